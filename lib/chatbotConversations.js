@@ -0,0 +1,151 @@
+import pool from '../db.js';
+
+const TITLE_LENGTH = 80;
+
+// How much earlier conversation is sent to the model with each question (default ~2000 tokens)
+function getHistoryTokenBudget() {
+  return parseInt(process.env.CHATBOT_HISTORY_TOKEN_BUDGET || '2000');
+}
+
+// Rough token count (about 4 characters per token in English), good enough for budgeting
+export function estimateTokens(text) {
+  return Math.ceil(text.length / 4) + 4; // + per-message overhead
+}
+
+// The user's conversations, most recently active first
+export async function listConversations(userId, limit = 50) {
+  const result = await pool.query(
+    `SELECT c.id, c.title, c.created_at, c.updated_at,
+      (SELECT COUNT(*)::int FROM chatbot_messages m WHERE m.conversation_id = c.id) AS message_count
+     FROM chatbot_conversations c
+     WHERE c.user_id = $1
+     ORDER BY c.updated_at DESC
+     LIMIT $2`,
+    [userId, limit]
+  );
+  return result.rows;
+}
+
+// A conversation owned by the user, or null
+export async function getConversation(conversationId, userId) {
+  if (!/^\d+$/.test(String(conversationId))) return null;
+
+  const result = await pool.query(
+    'SELECT id, title, created_at, updated_at FROM chatbot_conversations WHERE id = $1 AND user_id = $2',
+    [conversationId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+export async function getMessages(conversationId) {
+  const result = await pool.query(
+    `SELECT id, role, content, citations, created_at FROM chatbot_messages
+     WHERE conversation_id = $1
+     ORDER BY id`,
+    [conversationId]
+  );
+  return result.rows;
+}
+
+export async function deleteConversation(conversationId, userId) {
+  if (!/^\d+$/.test(String(conversationId))) return false;
+
+  const result = await pool.query(
+    'DELETE FROM chatbot_conversations WHERE id = $1 AND user_id = $2 RETURNING id',
+    [conversationId, userId]
+  );
+  return result.rows.length > 0;
+}
+
+// Earlier messages to send with a new question: the most recent ones that fit in the token budget,
+// oldest first. Always starts on a user message so the model never sees an answer without its question.
+export async function buildHistory(conversationId) {
+  if (!conversationId) return [];
+
+  const budget = getHistoryTokenBudget();
+  const result = await pool.query(
+    `SELECT role, content FROM chatbot_messages
+     WHERE conversation_id = $1
+     ORDER BY id DESC
+     LIMIT 100`,
+    [conversationId]
+  );
+
+  const history = [];
+  let tokens = 0;
+  for (const message of result.rows) {
+    tokens += estimateTokens(message.content);
+    if (tokens > budget) break;
+    history.unshift({ role: message.role, content: message.content });
+  }
+  while (history.length > 0 && history[0].role !== 'user') {
+    history.shift();
+  }
+  return history;
+}
+
+// Save a question and its answer, creating the conversation (titled after the first question) if needed.
+// Returns { conversationId, assistantMessageId }.
+export async function saveExchange({ conversationId, userId, question, answer, model, citations = [] }) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    if (conversationId) {
+      await client.query('UPDATE chatbot_conversations SET updated_at = NOW() WHERE id = $1', [conversationId]);
+    } else {
+      const title = question.length > TITLE_LENGTH ? `${question.slice(0, TITLE_LENGTH - 1)}…` : question;
+      const conversation = await client.query(
+        'INSERT INTO chatbot_conversations (user_id, title) VALUES ($1, $2) RETURNING id',
+        [userId, title]
+      );
+      conversationId = conversation.rows[0].id;
+    }
+
+    await client.query(
+      `INSERT INTO chatbot_messages (conversation_id, role, content) VALUES ($1, 'user', $2)`,
+      [conversationId, question]
+    );
+    const assistantMessage = await client.query(
+      `INSERT INTO chatbot_messages (conversation_id, role, content, model, citations) VALUES ($1, 'assistant', $2, $3, $4)
+       RETURNING id`,
+      [conversationId, answer, model, JSON.stringify(citations)]
+    );
+
+    await client.query('COMMIT');
+    return { conversationId, assistantMessageId: assistantMessage.rows[0].id };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Rate an answer in one of the user's conversations. Rating the same answer again replaces the rating.
+// Returns the feedback row, or null if the answer isn't the user's.
+export async function saveFeedback({ messageId, userId, rating, reason }) {
+  const message = await pool.query(
+    `SELECT m.id, m.content,
+      (SELECT q.content FROM chatbot_messages q
+       WHERE q.conversation_id = m.conversation_id AND q.id < m.id AND q.role = 'user'
+       ORDER BY q.id DESC LIMIT 1) AS question
+     FROM chatbot_messages m
+     JOIN chatbot_conversations c ON c.id = m.conversation_id
+     WHERE m.id = $1 AND c.user_id = $2 AND m.role = 'assistant'`,
+    [messageId, userId]
+  );
+  if (message.rows.length === 0) return null;
+
+  const { content, question } = message.rows[0];
+  const result = await pool.query(
+    `INSERT INTO chatbot_feedback (message_id, user_id, rating, reason, question, answer)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (message_id, user_id)
+     DO UPDATE SET rating = EXCLUDED.rating, reason = EXCLUDED.reason, updated_at = NOW()
+     RETURNING id, message_id, rating, reason, created_at, updated_at`,
+    [messageId, userId, rating, reason, question, content]
+  );
+  return result.rows[0];
+}
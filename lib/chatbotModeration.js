@@ -0,0 +1,191 @@
+// Input and output checks for the chatbot: length caps, role-spoofing removal,
+// prompt-injection detection and the "Irish driving test or DriveFlow only" topic filter.
+
+// The reply the system prompt tells the model to give for anything off-topic
+export const OFF_TOPIC_REPLY = 'I can only answer questions related to the Irish driving test or DriveFlow.';
+
+const WITHHELD_REPLY = 'Sorry, I can\'t share that. I can only answer questions related to the Irish driving test or DriveFlow.';
+
+export function getModerationSettings() {
+  return {
+    maxQuestionLength: parseInt(process.env.CHATBOT_MAX_QUESTION_LENGTH || '1000'),
+    maxAnswerLength: parseInt(process.env.CHATBOT_MAX_ANSWER_LENGTH || '4000'),
+    maxHistoryMessageLength: 2000,
+    topicFilter: process.env.CHATBOT_TOPIC_FILTER !== 'off',
+  };
+}
+
+// Chat-template tokens and "System:"-style labels that try to pass text off as another role
+const ROLE_TOKENS = /<\|?\/?(?:im_start|im_end|system|assistant|user|endoftext|eot_id|start_header_id|end_header_id)\|?>|\[\/?INST\]|<<\/?SYS>>/gi;
+const ROLE_LABELS = /^[ \t]*(?:#+[ \t]*)?(?:system|assistant|developer|tool)[ \t]*(?:message|prompt)?[ \t]*:[ \t]*/gim;
+
+// Remove role-spoofing content from text a user wrote
+export function stripRoleSpoofing(text) {
+  return text.replace(ROLE_TOKENS, ' ').replace(ROLE_LABELS, '').replace(/[ \t]{2,}/g, ' ').trim();
+}
+
+const INJECTION_PATTERNS = [
+  /\b(?:ignore|disregard|forget|override|bypass)\s+(?:all\s+|any\s+)?(?:of\s+)?(?:the\s+|your\s+)?(?:previous|prior|above|earlier|preceding|system|your)\s+(?:instructions?|rules?|prompts?|guidelines?|messages?)\b/i,
+  /\b(?:reveal|show|print|repeat|output|tell me|what (?:is|are))\b.{0,30}\b(?:system prompt|(?:your|hidden|initial|original) (?:instructions?|prompt|rules?))\b/i,
+  /\byou are (?:now|no longer)\b/i,
+  /\b(?:developer|god|jailbreak|DAN) mode\b/i,
+  /\bnew (?:instructions?|rules?|system prompt)\s*:/i,
+];
+
+// True if the text looks like an attempt to override the assistant's instructions
+export function detectPromptInjection(text) {
+  return INJECTION_PATTERNS.some(pattern => pattern.test(text));
+}
+
+// Word beginnings that mark a question as about driving, the test or DriveFlow
+const TOPIC_KEYWORDS = [
+  'driv', 'car', 'vehicle', 'van', 'motorbike', 'motorcycl', 'road', 'test', 'exam', 'tester', 'licen',
+  'learner', 'permit', 'novice', 'nct', 'rsa', 'ndls', 'edt', 'lesson', 'instructor', 'pass', 'fail', 'fault',
+  'speed', 'limit', 'roundabout', 'junction', 'crossing', 'lane', 'overtak', 'park', 'revers', 'turn',
+  'signal', 'indicat', 'mirror', 'brak', 'stop', 'yield', 'give way', 'right of way', 'pedestrian', 'cyclist',
+  'motorway', 'traffic', 'sign', 'light', 'hazard', 'tyre', 'seat belt', 'seatbelt', 'phone', 'alcohol', 'drink',
+  'insurance', 'tax', 'penalty', 'points', 'l plate', 'l-plate', 'n plate', 'n-plate', 'hill start', 'theory',
+  'mock', 'yellow box', 'driveflow', 'route', 'centre', 'center', 'naas', 'tallaght', 'account', 'password',
+  'email', 'login', 'log in', 'sign up', 'pay', 'price', 'cost', 'refund', 'receipt', 'voucher', 'gift', 'promo',
+  'discount', 'organi', 'school', 'student', 'seat', 'access', 'gpx', 'map', 'chatbot', 'assistant',
+];
+const TOPIC_PATTERN = new RegExp(`\\b(?:${TOPIC_KEYWORDS.join('|')})`, 'i');
+
+// Whether a question is about the Irish driving test or DriveFlow. Lenient on purpose: a question passes
+// if any word starts with a driving or DriveFlow term. Follow-ups in an existing conversation always
+// pass ("why?", "and in the wet?").
+export function isOnTopic(question, { hasHistory = false } = {}) {
+  if (!getModerationSettings().topicFilter || hasHistory) return true;
+  return TOPIC_PATTERN.test(question);
+}
+
+// Check a new question. Returns { question } with role spoofing removed, or { error, reason } if it
+// can't be sent to the model.
+export function checkQuestion(message) {
+  const { maxQuestionLength } = getModerationSettings();
+
+  if (message.length > maxQuestionLength) {
+    return { error: `Questions can be at most ${maxQuestionLength} characters`, reason: 'too_long' };
+  }
+
+  const question = stripRoleSpoofing(message);
+  if (!question) {
+    return { error: 'Message is required and must be a non-empty string', reason: 'empty' };
+  }
+
+  if (detectPromptInjection(question)) {
+    return {
+      error: 'This question looks like an attempt to change the assistant\'s instructions, so it wasn\'t sent.',
+      reason: 'prompt_injection',
+    };
+  }
+
+  return { question };
+}
+
+// Earlier messages cleaned before they go back to the model: user text loses any role spoofing,
+// and everything is capped in length
+export function sanitizeHistory(history) {
+  const { maxHistoryMessageLength } = getModerationSettings();
+
+  return history
+    .map(message => ({
+      role: message.role,
+      content: (message.role === 'user' ? stripRoleSpoofing(message.content) : message.content).slice(0, maxHistoryMessageLength),
+    }))
+    .filter(message => message.content);
+}
+
+// Distinctive lines of the system prompt (without list numbers), lowercased
+function instructionLines(systemPrompt) {
+  return systemPrompt.split('\n')
+    .map(line => line.trim().replace(/^(?:\d+\.|-)\s*/, '').toLowerCase())
+    .filter(line => line.length >= 30);
+}
+
+// An answer quoting a distinctive line of the system prompt is leaking it
+function leaksInstructions(answer, systemPrompt) {
+  const text = answer.toLowerCase();
+  return instructionLines(systemPrompt).some(line => text.includes(line));
+}
+
+// Check an answer before it's returned and stored. Returns { answer, filtered } where filtered names
+// the check that changed it (or is null).
+export function checkAnswer(answer, systemPrompt) {
+  const { maxAnswerLength } = getModerationSettings();
+
+  if (leaksInstructions(answer, systemPrompt)) {
+    return { answer: WITHHELD_REPLY, filtered: 'instructions_leak' };
+  }
+
+  const cleaned = answer.replace(ROLE_TOKENS, ' ').trim();
+  if (cleaned.length > maxAnswerLength) {
+    return { answer: `${cleaned.slice(0, maxAnswerLength - 1).trimEnd()}…`, filtered: 'too_long' };
+  }
+
+  return { answer: cleaned, filtered: null };
+}
+
+// Longest role token ROLE_TOKENS matches ("<|start_header_id|>")
+const MAX_ROLE_TOKEN_LENGTH = 20;
+
+// How much of a partly streamed answer can be sent: everything before a trailing part that could still
+// turn into a quoted instruction line or a role token, and before trailing whitespace (so the final
+// trim never takes back text that was sent)
+function sendableLength(text, lines) {
+  let end = text.length;
+
+  for (let start = Math.max(text.length - Math.max(...lines.map(line => line.length), 0), 0); start < end; start++) {
+    const tail = text.slice(start).toLowerCase();
+    if (lines.some(line => line.startsWith(tail))) {
+      end = start;
+      break;
+    }
+  }
+
+  const opener = text.slice(-MAX_ROLE_TOKEN_LENGTH).search(/[<[][^<>[\]]*$/);
+  if (opener !== -1) {
+    end = Math.min(end, Math.max(text.length - MAX_ROLE_TOKEN_LENGTH, 0) + opener);
+  }
+
+  return text.slice(0, end).trimEnd().length;
+}
+
+// Check a streamed answer as it arrives, so nothing is sent that checkAnswer() would have removed.
+// push(content) takes the next piece from the model and returns the text that can be sent now; text that
+// might be the start of a quoted instruction line or a role token is held back until the rest arrives.
+// stop is set once the answer leaks instructions or passes the length cap, and the model should be
+// stopped. finish(fallback) returns checkAnswer()'s { answer, filtered } for the whole answer (fallback if
+// it's empty) and rest, the text still to send - nothing if the answer was withheld.
+export function createStreamCheck(systemPrompt) {
+  const { maxAnswerLength } = getModerationSettings();
+  const lines = instructionLines(systemPrompt);
+  let raw = '';
+  let sent = 0;
+
+  return {
+    stop: false,
+
+    push(content) {
+      raw += content;
+      if (leaksInstructions(raw, systemPrompt)) {
+        this.stop = true;
+        return '';
+      }
+      if (raw.length > maxAnswerLength) this.stop = true;
+
+      const visible = raw.replace(ROLE_TOKENS, ' ').trimStart();
+      const end = Math.min(sendableLength(visible, lines), maxAnswerLength - 1);
+      if (end <= sent) return '';
+
+      const text = visible.slice(sent, end);
+      sent = end;
+      return text;
+    },
+
+    finish(fallback) {
+      const { answer, filtered } = checkAnswer(raw || fallback, systemPrompt);
+      return { answer, filtered, rest: filtered === 'instructions_leak' ? '' : answer.slice(sent) };
+    },
+  };
+}
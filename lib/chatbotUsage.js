@@ -0,0 +1,109 @@
+import pool from '../db.js';
+import { hasActiveLicense } from './licenses.js';
+
+// Daily quotas reset at midnight Irish time
+export const QUOTA_TIME_ZONE = 'Europe/Dublin';
+
+// Questions per day for each tier. Users with an active route license (and admins) get the licensed quota.
+export function getQuotaTiers() {
+  return {
+    free: parseInt(process.env.CHATBOT_FREE_QUESTIONS_PER_DAY || '4'),
+    licensed: parseInt(process.env.CHATBOT_LICENSED_QUESTIONS_PER_DAY || '20'),
+  };
+}
+
+export async function getQuota(userId) {
+  const tiers = getQuotaTiers();
+  const tier = await hasActiveLicense(userId) ? 'licensed' : 'free';
+  return { tier, limit: tiers[tier] };
+}
+
+// Date and time parts of an instant in Irish local time
+function dublinParts(date) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: QUOTA_TIME_ZONE,
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const get = type => parseInt(parts.find(part => part.type === type).value);
+  return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour'), minute: get('minute'), second: get('second') };
+}
+
+// Today's date in Ireland (YYYY-MM-DD), which is the date usage is counted against
+export function getUsageDate(now = new Date()) {
+  const { year, month, day } = dublinParts(now);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// The next midnight in Ireland, when the quota resets (accounts for summer time)
+export function getQuotaResetAt(now = new Date()) {
+  const { year, month, day } = dublinParts(now);
+  const midnightAsUtc = Date.UTC(year, month - 1, day + 1);
+
+  // Irish time is UTC+0 or UTC+1; work out the offset at that midnight and shift by it
+  const local = dublinParts(new Date(midnightAsUtc));
+  const offset = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second) - midnightAsUtc;
+  return new Date(midnightAsUtc - offset);
+}
+
+// Count a question against today's quota in one atomic upsert, so concurrent requests can't go over it.
+// Returns { allowed, tier, used, remaining, total, usageDate, resetsAt }.
+export async function consumeQuestion(userId) {
+  const { tier, limit } = await getQuota(userId);
+  const usageDate = getUsageDate();
+  const quota = { tier, total: limit, usageDate, resetsAt: getQuotaResetAt() };
+
+  const result = limit > 0 ? await pool.query(
+    `INSERT INTO chatbot_usage (user_id, usage_date, question_count)
+     VALUES ($1, $2, 1)
+     ON CONFLICT (user_id, usage_date)
+     DO UPDATE SET question_count = chatbot_usage.question_count + 1, updated_at = NOW()
+     WHERE chatbot_usage.question_count < $3
+     RETURNING question_count`,
+    [userId, usageDate, limit]
+  ) : { rows: [] };
+
+  if (result.rows.length === 0) {
+    return { ...quota, allowed: false, used: limit, remaining: 0 };
+  }
+
+  const used = result.rows[0].question_count;
+  return { ...quota, allowed: true, used, remaining: Math.max(limit - used, 0) };
+}
+
+// Give back a question when the model call fails, so errors don't use up the daily quota.
+// Uses the date the question was counted on, in case the request ran past midnight.
+export async function refundQuestion(userId, usageDate) {
+  try {
+    await pool.query(
+      `UPDATE chatbot_usage
+       SET question_count = GREATEST(question_count - 1, 0), updated_at = NOW()
+       WHERE user_id = $1 AND usage_date = $2`,
+      [userId, usageDate]
+    );
+  } catch (err) {
+    console.error('Error refunding chatbot usage:', err);
+  }
+}
+
+// Today's usage for GET /chatbot/usage
+export async function getUsage(userId) {
+  const { tier, limit } = await getQuota(userId);
+  const usageDate = getUsageDate();
+
+  const result = await pool.query(
+    'SELECT question_count FROM chatbot_usage WHERE user_id = $1 AND usage_date = $2',
+    [userId, usageDate]
+  );
+  const used = result.rows[0]?.question_count || 0;
+
+  return {
+    tier,
+    used,
+    remaining: Math.max(limit - used, 0),
+    total: limit,
+    limitReached: used >= limit,
+    resetsAt: getQuotaResetAt(),
+  };
+}
@@ -0,0 +1,229 @@
+import pool from '../db.js';
+import { frontendUrl } from './mailer.js';
+import { queueMail } from './mailOutbox.js';
+import { recordPromoRedemption } from './promoCodes.js';
+import { generateDiscountCode } from './waitlistRelease.js';
+import { getProduct, addMonths } from './licenses.js';
+import { sendReceiptEmail, giftPurchaseId } from './receipts.js';
+
+// How long a gift voucher can be redeemed for after purchase (default 12 months)
+function getVoucherValidMonths() {
+  return parseInt(process.env.GIFT_VOUCHER_VALID_MONTHS || '12');
+}
+
+const VOUCHER_COLUMNS = `v.id, v.code, v.product_id, p.name AS product_name, c.name AS centre_name,
+  v.recipient_email, v.recipient_name, v.message, v.amount_cents, v.currency, v.expires_at,
+  v.emailed_at, v.void_reason, v.redeemed_at, v.created_at`;
+
+// Gift vouchers a user has bought, newest first
+export async function listGiftVouchers(purchaserUserId) {
+  const result = await pool.query(
+    `SELECT ${VOUCHER_COLUMNS}
+     FROM gift_vouchers v
+     JOIN license_products p ON p.id = v.product_id
+     LEFT JOIN centres c ON c.id = v.centre_id
+     WHERE v.purchaser_user_id = $1
+     ORDER BY v.created_at DESC`,
+    [purchaserUserId]
+  );
+  return result.rows;
+}
+
+async function sendGiftVoucherEmail(voucher, purchaserName) {
+  return queueMail({
+    to: voucher.recipient_email,
+    template: 'gift-voucher',
+    data: {
+      recipientName: voucher.recipient_name,
+      purchaserName,
+      what: voucher.centre_name ? `${voucher.product_name} for ${voucher.centre_name}` : voucher.product_name,
+      message: voucher.message,
+      code: voucher.code,
+      expires: new Date(voucher.expires_at).toLocaleDateString('en-IE', { day: 'numeric', month: 'long', year: 'numeric' }),
+      link: frontendUrl(`/redeem?code=${encodeURIComponent(voucher.code)}`),
+    },
+  });
+}
+
+// Create the voucher a succeeded gift payment paid for and email it to the recipient.
+// Idempotent per PaymentIntent, like createLicenseFromPayment. Returns { voucher, created }.
+export async function createGiftVoucherFromPayment({ userId, paymentIntentId, metadata = {}, amount = null, currency = 'eur' }) {
+  const findExisting = async () => (await pool.query(
+    'SELECT id, code, recipient_email, expires_at FROM gift_vouchers WHERE stripe_payment_intent_id = $1',
+    [paymentIntentId]
+  )).rows[0];
+
+  const existing = await findExisting();
+  if (existing) {
+    return { voucher: existing, created: false };
+  }
+
+  const product = await getProduct(metadata.product_id);
+  if (!product) {
+    throw new Error(`Unknown license product: ${metadata.product_id}`);
+  }
+
+  // Like createLicenseFromPayment: the checkout's centre only counts for a single-centre pass
+  const centreId = product.scope === 'centre' && metadata.centre_id ? parseInt(metadata.centre_id) : null;
+  const expiresAt = addMonths(new Date(), getVoucherValidMonths());
+  let voucher = null;
+
+  // Retry on the (unlikely) unique code collision
+  for (let attempt = 0; attempt < 5 && !voucher; attempt++) {
+    try {
+      const result = await pool.query(
+        `INSERT INTO gift_vouchers
+         (code, product_id, centre_id, purchaser_user_id, recipient_email, recipient_name, message,
+          stripe_payment_intent_id, amount_cents, currency, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         ON CONFLICT (stripe_payment_intent_id) DO NOTHING
+         RETURNING id, code, recipient_email, expires_at`,
+        [
+          generateDiscountCode('GIFT'),
+          product.id,
+          centreId,
+          userId,
+          metadata.recipient_email,
+          metadata.recipient_name || null,
+          metadata.gift_message || null,
+          paymentIntentId,
+          amount,
+          currency,
+          expiresAt,
+        ]
+      );
+
+      // Lost a race with another request for the same payment
+      if (result.rows.length === 0) {
+        return { voucher: await findExisting(), created: false };
+      }
+      voucher = result.rows[0];
+    } catch (err) {
+      if (err.code !== '23505') throw err;
+    }
+  }
+  if (!voucher) {
+    throw new Error(`Could not generate a unique gift voucher code for payment ${paymentIntentId}`);
+  }
+
+  const promoCodeId = parseInt(metadata.promo_code_id);
+  if (promoCodeId) {
+    try {
+      await recordPromoRedemption({
+        promoCodeId,
+        userId,
+        paymentIntentId,
+        licenseId: null,
+        amountDiscounted: parseInt(metadata.discount_amount) || 0,
+      });
+    } catch (err) {
+      console.error(`Error recording promo redemption for payment ${paymentIntentId}:`, err);
+    }
+  }
+
+  console.log(`🎁 Gift voucher ${voucher.code} created by user ${userId} for ${voucher.recipient_email}`);
+
+  // The purchaser can always see the code in GET /routes/gifts, so a failed email isn't fatal
+  try {
+    const details = await pool.query(
+      `SELECT ${VOUCHER_COLUMNS}, u.username AS purchaser_name
+       FROM gift_vouchers v
+       JOIN license_products p ON p.id = v.product_id
+       LEFT JOIN centres c ON c.id = v.centre_id
+       LEFT JOIN users u ON u.id = v.purchaser_user_id
+       WHERE v.id = $1`,
+      [voucher.id]
+    );
+    const row = details.rows[0];
+    if (await sendGiftVoucherEmail(row, row.purchaser_name || 'Someone')) {
+      await pool.query('UPDATE gift_vouchers SET emailed_at = NOW() WHERE id = $1', [voucher.id]);
+    }
+  } catch (err) {
+    console.error(`Error emailing gift voucher ${voucher.code}:`, err);
+  }
+
+  // The purchaser's receipt, also available from /routes/purchases
+  try {
+    await sendReceiptEmail(giftPurchaseId(voucher.id));
+  } catch (err) {
+    console.error(`Error sending receipt for gift voucher ${voucher.code}:`, err);
+  }
+
+  return { voucher, created: true };
+}
+
+// Turn a voucher into a license for the redeeming user. If they already have an active license for the
+// same access, the new one extends it (starting when it ends) like an extension purchase does.
+// Returns { license, product } or { error, status } if the voucher can't be redeemed.
+export async function redeemGiftVoucher(code, userId) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `SELECT id, code, product_id, centre_id, expires_at, void_reason, redeemed_at
+       FROM gift_vouchers
+       WHERE code = $1
+       FOR UPDATE`,
+      [code]
+    );
+    const voucher = result.rows[0];
+
+    let failure = null;
+    if (!voucher) {
+      failure = { error: 'Voucher code not found', status: 404 };
+    } else if (voucher.redeemed_at) {
+      failure = { error: 'This voucher has already been used', status: 400 };
+    } else if (voucher.void_reason) {
+      failure = { error: 'This voucher is no longer valid', status: 400 };
+    } else if (new Date(voucher.expires_at) <= new Date()) {
+      failure = { error: 'This voucher has expired', status: 400 };
+    }
+    if (failure) {
+      await client.query('ROLLBACK');
+      return failure;
+    }
+
+    const productResult = await client.query(
+      'SELECT id, name, duration_months, currency, scope FROM license_products WHERE id = $1',
+      [voucher.product_id]
+    );
+    const product = productResult.rows[0];
+    const centreId = product.scope === 'centre' ? voucher.centre_id : null;
+
+    // Organization seats can be withdrawn, so only the user's own licenses are extended
+    const current = await client.query(
+      `SELECT id, expires_at FROM route_licenses
+       WHERE user_id = $1 AND is_active = true AND expires_at > NOW()
+         AND centre_id IS NOT DISTINCT FROM $2 AND organization_id IS NULL
+       ORDER BY expires_at DESC
+       LIMIT 1`,
+      [userId, centreId]
+    );
+    const extended = current.rows[0] || null;
+    const expiresAt = addMonths(extended ? new Date(extended.expires_at) : new Date(), product.duration_months);
+
+    const license = await client.query(
+      `INSERT INTO route_licenses
+       (user_id, expires_at, product_id, centre_id, extends_license_id, amount_cents, currency, gift_voucher_id, receipt_number)
+       VALUES ($1, $2, $3, $4, $5, 0, $6, $7, NULL)
+       RETURNING id, expires_at, centre_id, product_id, extends_license_id`,
+      [userId, expiresAt, product.id, centreId, extended?.id ?? null, product.currency, voucher.id]
+    );
+
+    await client.query(
+      'UPDATE gift_vouchers SET redeemed_by = $2, redeemed_at = NOW() WHERE id = $1',
+      [voucher.id, userId]
+    );
+
+    await client.query('COMMIT');
+    console.log(`🎁 Gift voucher ${voucher.code} redeemed by user ${userId}`);
+    return { license: license.rows[0], product };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
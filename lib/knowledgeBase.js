@@ -0,0 +1,170 @@
+import crypto from 'crypto';
+import pool from '../db.js';
+import { readdirSync, readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, basename } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const KNOWLEDGE_DIR = join(__dirname, '../knowledge');
+
+const MAX_CHUNK_LENGTH = 1200;
+
+// Split a knowledge file into { title, sourceUrl, chunks: [{ heading, content }] }.
+// Files are markdown: "# Title", an optional "Source: <url>" line, then one "## Heading" section per passage.
+// Sections longer than MAX_CHUNK_LENGTH are split between paragraphs.
+export function parseKnowledgeFile(text, fallbackTitle) {
+  let title = fallbackTitle;
+  let sourceUrl = null;
+  const sections = [];
+  let current = null;
+
+  for (const line of text.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (/^# /.test(trimmed)) {
+      title = trimmed.slice(2).trim();
+    } else if (/^source:/i.test(trimmed) && sections.length === 0 && !current) {
+      sourceUrl = trimmed.slice('source:'.length).trim() || null;
+    } else if (/^## /.test(trimmed)) {
+      current = { heading: trimmed.slice(3).trim(), lines: [] };
+      sections.push(current);
+    } else {
+      if (!current) {
+        current = { heading: null, lines: [] };
+        sections.push(current);
+      }
+      current.lines.push(line);
+    }
+  }
+
+  const chunks = [];
+  for (const section of sections) {
+    // Unwrap hard-wrapped lines, but keep list items on their own lines
+    const paragraphs = section.lines.join('\n').split(/\n\s*\n/)
+      .map(p => p.trim().replace(/[ \t]*\n[ \t]*(?![-*] )/g, ' '))
+      .filter(Boolean);
+    let content = '';
+    for (const paragraph of paragraphs) {
+      if (content && content.length + paragraph.length + 2 > MAX_CHUNK_LENGTH) {
+        chunks.push({ heading: section.heading, content });
+        content = '';
+      }
+      content = content ? `${content}\n\n${paragraph}` : paragraph;
+    }
+    if (content) chunks.push({ heading: section.heading, content });
+  }
+
+  return { title, sourceUrl, chunks };
+}
+
+// Store a document and its chunks, replacing the previous version. Unchanged files are skipped.
+// Returns { slug, chunkCount, updated }.
+export async function importKnowledgeDocument(slug, text) {
+  const checksum = crypto.createHash('sha256').update(text).digest('hex');
+  const existing = await pool.query('SELECT id, checksum FROM knowledge_documents WHERE slug = $1', [slug]);
+  if (existing.rows[0]?.checksum === checksum) {
+    return { slug, chunkCount: null, updated: false };
+  }
+
+  const { title, sourceUrl, chunks } = parseKnowledgeFile(text, slug);
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const document = await client.query(
+      `INSERT INTO knowledge_documents (slug, title, source_url, checksum)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (slug) DO UPDATE
+       SET title = EXCLUDED.title, source_url = EXCLUDED.source_url, checksum = EXCLUDED.checksum, updated_at = NOW()
+       RETURNING id`,
+      [slug, title, sourceUrl, checksum]
+    );
+    const documentId = document.rows[0].id;
+
+    await client.query('DELETE FROM knowledge_chunks WHERE document_id = $1', [documentId]);
+    for (const [index, chunk] of chunks.entries()) {
+      await client.query(
+        `INSERT INTO knowledge_chunks (document_id, chunk_index, heading, content)
+         VALUES ($1, $2, $3, $4)`,
+        [documentId, index, chunk.heading, chunk.content]
+      );
+    }
+
+    await client.query('COMMIT');
+    return { slug, chunkCount: chunks.length, updated: true };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Import every knowledge/*.md (or .txt) file. Documents whose file was removed are deleted.
+export async function importKnowledgeFiles(dir = KNOWLEDGE_DIR) {
+  const files = readdirSync(dir).filter(file => /\.(md|txt)$/.test(file));
+  const imported = [];
+
+  for (const file of files) {
+    try {
+      const slug = basename(file).replace(/\.(md|txt)$/, '');
+      imported.push({ file, ...await importKnowledgeDocument(slug, readFileSync(join(dir, file), 'utf-8')) });
+    } catch (err) {
+      console.error(`❌ Failed to import knowledge file ${file}:`, err.message);
+    }
+  }
+
+  const slugs = files.map(file => file.replace(/\.(md|txt)$/, ''));
+  await pool.query('DELETE FROM knowledge_documents WHERE slug <> ALL($1::text[])', [slugs]);
+
+  return imported;
+}
+
+// Turn a free-text question into an OR query of its words, so a passage doesn't need every word to match.
+// Stop words are dropped by to_tsquery itself.
+function toSearchQuery(question) {
+  const words = question.toLowerCase().match(/[a-z0-9]+/g) || [];
+  return [...new Set(words)].filter(word => word.length > 1).slice(0, 30).join(' | ');
+}
+
+// The passages that best match the question, best first (ranked with ts_rank_cd, normalised by length).
+// Returns [] when nothing matches.
+export async function searchKnowledge(question, limit = 3) {
+  const query = toSearchQuery(question);
+  if (!query) return [];
+
+  const result = await pool.query(
+    `SELECT k.id, k.heading, k.content, d.slug, d.title, d.source_url,
+      ts_rank_cd(k.search_vector, q, 1) AS rank
+     FROM knowledge_chunks k
+     JOIN knowledge_documents d ON d.id = k.document_id,
+       to_tsquery('english', $1) q
+     WHERE k.search_vector @@ q
+     ORDER BY rank DESC, k.id
+     LIMIT $2`,
+    [query, limit]
+  );
+  return result.rows;
+}
+
+// Prompt section with the numbered passages the model should answer from
+export function formatPassages(passages) {
+  return passages
+    .map((passage, index) => `[${index + 1}] ${passage.title}${passage.heading ? ` - ${passage.heading}` : ''}\n${passage.content}`)
+    .join('\n\n');
+}
+
+// Citations returned with an answer (and stored with it)
+export function toCitations(passages) {
+  return passages.map((passage, index) => ({
+    number: index + 1,
+    chunkId: passage.id,
+    document: passage.slug,
+    title: passage.title,
+    heading: passage.heading,
+    sourceUrl: passage.source_url,
+    excerpt: passage.content.length > 300 ? `${passage.content.slice(0, 297)}...` : passage.content,
+  }));
+}
@@ -0,0 +1,313 @@
+import pool from '../db.js';
+import { MIN_CHARGE_CENTS, recordPromoRedemption } from './promoCodes.js';
+import { sendReceiptEmail } from './receipts.js';
+
+// Product used for PaymentIntents and licenses created before products existed
+export const DEFAULT_PRODUCT_ID = 'all-centres-3m';
+
+export async function listProducts() {
+  const result = await pool.query(
+    `SELECT id, name, description, price_cents, currency, duration_months, scope, is_extension
+     FROM license_products
+     WHERE is_active = true
+     ORDER BY sort_order, id`
+  );
+  return result.rows;
+}
+
+export async function getProduct(productId) {
+  const result = await pool.query(
+    `SELECT id, name, description, price_cents, currency, duration_months, scope, is_extension, is_active
+     FROM license_products
+     WHERE id = $1`,
+    [productId]
+  );
+  return result.rows[0] || null;
+}
+
+// ROUTES_LICENSE_PRICE (cents) was the license price before products existed. Deployments that still set it
+// keep that price: it's applied to the default product at startup (called once from server.js).
+// Returns the price applied, or null if it isn't set.
+export async function applyLegacyLicensePrice() {
+  if (!process.env.ROUTES_LICENSE_PRICE) return null;
+
+  const price = parseInt(process.env.ROUTES_LICENSE_PRICE);
+  if (!Number.isInteger(price) || price < MIN_CHARGE_CENTS) {
+    console.warn(`⚠️ Ignoring ROUTES_LICENSE_PRICE "${process.env.ROUTES_LICENSE_PRICE}" - it must be at least ${MIN_CHARGE_CENTS} cents`);
+    return null;
+  }
+
+  const result = await pool.query(
+    'UPDATE license_products SET price_cents = $1 WHERE id = $2 AND price_cents <> $1 RETURNING id',
+    [price, DEFAULT_PRODUCT_ID]
+  );
+  if (result.rows.length > 0) {
+    console.log(`💶 ${DEFAULT_PRODUCT_ID} price set to ${price} cents from ROUTES_LICENSE_PRICE`);
+  }
+  return price;
+}
+
+// Licenses granted through an organization seat only count while the user is still one of its students
+function organizationAccessCheck(table) {
+  return `(${table}.organization_id IS NULL OR EXISTS (
+    SELECT 1 FROM organization_members m
+    WHERE m.organization_id = ${table}.organization_id AND m.user_id = ${table}.user_id AND m.removed_at IS NULL
+  ))`;
+}
+
+// Add a number of months to a date (the one place license durations are calculated)
+export function addMonths(from, months) {
+  const expiresAt = new Date(from);
+  expiresAt.setMonth(expiresAt.getMonth() + months);
+  return expiresAt;
+}
+
+// Check if user has an active license, bought or granted by an organization. With a centreId, the
+// license must cover that centre (an all-centres license or a pass for that centre); without one,
+// any active license counts.
+export async function hasActiveLicense(userId, centreId = null) {
+  try {
+    // Permanent access for admin users
+    const roleResult = await pool.query('SELECT role FROM users WHERE id = $1', [userId]);
+    if (roleResult.rows[0]?.role === 'admin') {
+      console.log('✅ Admin user detected - granting permanent access:', userId);
+      // Return a "permanent" license object (expires far in the future)
+      return {
+        expires_at: new Date('2099-12-31T23:59:59Z'),
+        is_permanent: true
+      };
+    }
+
+    const result = await pool.query(
+      `SELECT id, expires_at, centre_id, product_id, organization_id FROM route_licenses
+       WHERE user_id = $1 AND is_active = true AND expires_at > NOW()
+         AND ($2::int IS NULL OR centre_id IS NULL OR centre_id = $2)
+         AND ${organizationAccessCheck('route_licenses')}
+       ORDER BY (centre_id IS NULL) DESC, expires_at DESC LIMIT 1`,
+      [userId, centreId]
+    );
+    return result.rows[0] || null;
+  } catch (err) {
+    console.error('Error checking license:', err);
+    return null;
+  }
+}
+
+// All of a user's active licenses with what they cover
+export async function getActiveLicenses(userId) {
+  const result = await pool.query(
+    `SELECT l.id, l.expires_at, l.purchased_at, COALESCE(l.product_id, $2) AS product_id,
+      p.name AS product_name, c.name AS centre_name, c.slug AS centre_slug, o.name AS organization_name
+     FROM route_licenses l
+     LEFT JOIN license_products p ON p.id = COALESCE(l.product_id, $2)
+     LEFT JOIN centres c ON c.id = l.centre_id
+     LEFT JOIN organizations o ON o.id = l.organization_id
+     WHERE l.user_id = $1 AND l.is_active = true AND l.expires_at > NOW()
+       AND ${organizationAccessCheck('l')}
+     ORDER BY l.expires_at DESC`,
+    [userId, DEFAULT_PRODUCT_ID]
+  );
+  return result.rows;
+}
+
+// The license an extension bought now would extend: the user's latest-expiring active license. With a
+// centre, only that centre's license or an all-centres one (preferring the centre's), so an extension
+// bought for one centre never adds time to another's.
+export async function findLicenseToExtend(userId, centreId = null) {
+  const result = await pool.query(
+    `SELECT id, expires_at, centre_id FROM route_licenses
+     WHERE user_id = $1 AND is_active = true AND expires_at > NOW()
+       AND ($2::int IS NULL OR centre_id = $2 OR centre_id IS NULL)
+       AND ${organizationAccessCheck('route_licenses')}
+     ORDER BY COALESCE(centre_id = $2, false) DESC, expires_at DESC
+     LIMIT 1`,
+    [userId, centreId]
+  );
+  return result.rows[0] || null;
+}
+
+// Create the license a succeeded payment paid for. Idempotent per PaymentIntent, so
+// confirm-payment and the webhook can race safely. Returns { license, created }.
+export async function createLicenseFromPayment({
+  userId,
+  paymentIntentId,
+  checkoutSessionId = null,
+  metadata = {},
+  amount = null,
+  currency = 'eur',
+}) {
+  if (paymentIntentId) {
+    const existing = await pool.query(
+      'SELECT id, expires_at, centre_id, product_id FROM route_licenses WHERE stripe_payment_intent_id = $1',
+      [paymentIntentId]
+    );
+    if (existing.rows.length > 0) {
+      return { license: existing.rows[0], created: false };
+    }
+  }
+
+  const product = await getProduct(metadata.product_id || DEFAULT_PRODUCT_ID);
+  if (!product) {
+    throw new Error(`Unknown license product: ${metadata.product_id}`);
+  }
+
+  let centreId = metadata.centre_id ? parseInt(metadata.centre_id) : null;
+  let startsAt = new Date();
+  let extendsLicenseId = null;
+
+  if (product.is_extension) {
+    // Extend from the end of the license being extended; if it has lapsed since checkout, from now
+    const extended = metadata.extends_license_id
+      ? (await pool.query(
+          'SELECT id, expires_at, centre_id FROM route_licenses WHERE id = $1 AND user_id = $2',
+          [metadata.extends_license_id, userId]
+        )).rows[0]
+      : await findLicenseToExtend(userId, centreId);
+
+    if (extended) {
+      extendsLicenseId = extended.id;
+      centreId = extended.centre_id;
+      if (new Date(extended.expires_at) > startsAt) startsAt = new Date(extended.expires_at);
+    }
+  } else if (product.scope === 'all') {
+    centreId = null;
+  }
+
+  const expiresAt = addMonths(startsAt, product.duration_months);
+
+  const result = await pool.query(
+    `INSERT INTO route_licenses
+     (user_id, stripe_payment_intent_id, stripe_checkout_session_id, expires_at,
+      product_id, centre_id, extends_license_id, amount_cents, currency)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     ON CONFLICT (stripe_payment_intent_id) DO NOTHING
+     RETURNING id, expires_at, centre_id, product_id`,
+    [userId, paymentIntentId, checkoutSessionId, expiresAt, product.id, centreId, extendsLicenseId, amount, currency]
+  );
+
+  // Lost a race with another request for the same payment
+  if (result.rows.length === 0) {
+    const existing = await pool.query(
+      'SELECT id, expires_at, centre_id, product_id FROM route_licenses WHERE stripe_payment_intent_id = $1',
+      [paymentIntentId]
+    );
+    return { license: existing.rows[0], created: false };
+  }
+
+  const license = result.rows[0];
+
+  // Record the promo code used, if any. A failure is logged rather than failing the license,
+  // which has already been paid for.
+  const promoCodeId = parseInt(metadata.promo_code_id);
+  if (promoCodeId) {
+    try {
+      await recordPromoRedemption({
+        promoCodeId,
+        userId,
+        paymentIntentId,
+        licenseId: license.id,
+        amountDiscounted: parseInt(metadata.discount_amount) || 0,
+      });
+    } catch (err) {
+      console.error(`Error recording promo redemption for payment ${paymentIntentId}:`, err);
+    }
+  }
+
+  console.log(`✅ License ${license.id} (${product.id}) created for user ${userId}`);
+
+  // The receipt email is a courtesy - the receipt can always be downloaded from /routes/purchases
+  try {
+    await sendReceiptEmail(license.id);
+  } catch (err) {
+    console.error(`Error sending receipt for license ${license.id}:`, err);
+  }
+
+  return { license, created: true };
+}
+
+// Reasons that take a license away. A restore only undoes the most recent of these.
+const REVOKING_REASONS = ['refunded', 'disputed', 'payment_failed'];
+
+// Deactivate, restore or just annotate the licenses bought with a payment (including one redeemed
+// from a gift voucher it paid for), recording each one in route_license_events. Runs in a
+// transaction so the license and its audit row change together.
+// Returns the ids of the licenses whose is_active actually changed.
+async function updatePaymentLicenses(paymentIntentId, action, { reason, eventId = null, details = null, restoreReason = null }) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const licenses = await client.query(
+      `SELECT l.id, l.is_active,
+        (SELECT e.reason FROM route_license_events e
+         WHERE e.license_id = l.id AND e.action <> 'reactivated' AND e.reason = ANY($2)
+         ORDER BY e.id DESC LIMIT 1) AS revoked_for
+       FROM route_licenses l
+       WHERE l.stripe_payment_intent_id = $1
+          OR l.gift_voucher_id IN (SELECT id FROM gift_vouchers WHERE stripe_payment_intent_id = $1)
+       FOR UPDATE OF l`,
+      [paymentIntentId, REVOKING_REASONS]
+    );
+
+    const changed = [];
+    for (const license of licenses.rows) {
+      let recordedAction = 'noted';
+
+      if (action === 'deactivated' && license.is_active) {
+        recordedAction = 'deactivated';
+      } else if (action === 'reactivated' && !license.is_active && (!restoreReason || license.revoked_for === restoreReason)) {
+        recordedAction = 'reactivated';
+      }
+
+      if (recordedAction !== 'noted') {
+        await client.query('UPDATE route_licenses SET is_active = $2 WHERE id = $1', [license.id, recordedAction === 'reactivated']);
+        changed.push(license.id);
+      }
+
+      await client.query(
+        `INSERT INTO route_license_events (license_id, action, reason, stripe_event_id, details)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [license.id, recordedAction, reason, eventId, details ? JSON.stringify(details) : null]
+      );
+    }
+
+    // A gift voucher that hasn't been redeemed yet is voided (or restored) along with the payment
+    if (action === 'deactivated' && REVOKING_REASONS.includes(reason)) {
+      await client.query(
+        'UPDATE gift_vouchers SET void_reason = $2 WHERE stripe_payment_intent_id = $1 AND redeemed_at IS NULL',
+        [paymentIntentId, reason]
+      );
+    } else if (action === 'reactivated') {
+      await client.query(
+        `UPDATE gift_vouchers SET void_reason = NULL
+         WHERE stripe_payment_intent_id = $1 AND redeemed_at IS NULL AND ($2::text IS NULL OR void_reason = $2)`,
+        [paymentIntentId, restoreReason]
+      );
+    }
+
+    await client.query('COMMIT');
+    return changed;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Revoke the licenses bought with a payment (refunds, disputes, failed payments)
+export function deactivatePaymentLicenses(paymentIntentId, options) {
+  return updatePaymentLicenses(paymentIntentId, 'deactivated', options);
+}
+
+// Restore licenses revoked for options.restoreReason (e.g. 'disputed' once the dispute is won).
+// Licenses revoked for anything else since, such as a refund, stay revoked.
+export function reactivatePaymentLicenses(paymentIntentId, options) {
+  return updatePaymentLicenses(paymentIntentId, 'reactivated', options);
+}
+
+// Record something that happened to a payment without changing its licenses (e.g. a partial refund)
+export function notePaymentLicenses(paymentIntentId, options) {
+  return updatePaymentLicenses(paymentIntentId, 'noted', options);
+}
@@ -0,0 +1,164 @@
+import OpenAI, { AzureOpenAI } from 'openai';
+
+// Chat model providers for the chatbot, picked with CHATBOT_PROVIDER:
+// - openai (default): api.openai.com, or any OpenAI-compatible server at OPENAI_BASE_URL
+//   (llama.cpp, Ollama, vLLM, a local mock...)
+// - azure: an Azure OpenAI deployment
+// - canned: fixed, deterministic answers without any model, for tests and local development
+//
+// Every provider has the same shape:
+//   { name, model, baseUrl, configured, missing, complete(messages), stream(messages, { signal }), check() }
+// complete() resolves to { content, model }; stream() yields { content, model } pieces.
+
+const CHECK_TIMEOUT_MS = 5000;
+
+// Generation settings shared by every provider
+export function getGenerationSettings() {
+  return {
+    model: process.env.CHATBOT_MODEL?.trim() || 'gpt-3.5-turbo',
+    temperature: parseFloat(process.env.CHATBOT_TEMPERATURE || '0.7'),
+    maxTokens: parseInt(process.env.CHATBOT_MAX_TOKENS || '500'),
+  };
+}
+
+// Trim whitespace and remove quotes if present (a common copy-paste mistake in hosting dashboards)
+function cleanEnv(value) {
+  return value ? value.trim().replace(/^["']|["']$/g, '') : '';
+}
+
+// Provider on top of an OpenAI SDK client (used for both OpenAI-compatible servers and Azure)
+function clientProvider({ name, model, baseUrl, configured, missing, createClient }) {
+  const settings = getGenerationSettings();
+  let client = null;
+
+  const getClient = () => {
+    if (!configured) throw new Error(missing);
+    client = client || createClient();
+    return client;
+  };
+
+  const request = messages => ({
+    model,
+    messages,
+    temperature: settings.temperature,
+    max_tokens: settings.maxTokens,
+  });
+
+  return {
+    name,
+    model,
+    baseUrl,
+    configured,
+    missing: configured ? null : missing,
+
+    async complete(messages) {
+      const completion = await getClient().chat.completions.create(request(messages));
+      return { content: completion.choices[0]?.message?.content || '', model: completion.model };
+    },
+
+    async *stream(messages, { signal } = {}) {
+      const stream = await getClient().chat.completions.create({ ...request(messages), stream: true }, { signal });
+      for await (const chunk of stream) {
+        const content = chunk.choices[0]?.delta?.content;
+        if (content) yield { content, model: chunk.model };
+      }
+    },
+
+    // Reachable if the server answers a model list request
+    async check() {
+      if (!configured) return { reachable: false, error: missing };
+      try {
+        await getClient().models.list({ timeout: CHECK_TIMEOUT_MS, maxRetries: 0 });
+        return { reachable: true };
+      } catch (err) {
+        return { reachable: false, error: err.message };
+      }
+    },
+  };
+}
+
+function createOpenAIProvider() {
+  const { model } = getGenerationSettings();
+  const baseUrl = cleanEnv(process.env.OPENAI_BASE_URL) || null;
+  const apiKey = cleanEnv(process.env.OPENAI_API_KEY);
+
+  // Local servers usually don't check the key, so one is only required for api.openai.com
+  return clientProvider({
+    name: 'openai',
+    model,
+    baseUrl: baseUrl || 'https://api.openai.com/v1',
+    configured: !!(apiKey || baseUrl),
+    missing: 'OPENAI_API_KEY is not set in environment variables',
+    createClient: () => new OpenAI({ apiKey: apiKey || 'not-needed', ...(baseUrl ? { baseURL: baseUrl } : {}) }),
+  });
+}
+
+function createAzureProvider() {
+  const endpoint = cleanEnv(process.env.AZURE_OPENAI_ENDPOINT);
+  const apiKey = cleanEnv(process.env.AZURE_OPENAI_API_KEY);
+  const deployment = cleanEnv(process.env.AZURE_OPENAI_DEPLOYMENT);
+
+  return clientProvider({
+    name: 'azure',
+    model: deployment || getGenerationSettings().model,
+    baseUrl: endpoint || null,
+    configured: !!(endpoint && apiKey && deployment),
+    missing: 'AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_KEY and AZURE_OPENAI_DEPLOYMENT must all be set',
+    createClient: () => new AzureOpenAI({
+      endpoint,
+      apiKey,
+      deployment,
+      apiVersion: cleanEnv(process.env.AZURE_OPENAI_API_VERSION) || '2024-10-21',
+    }),
+  });
+}
+
+// Always gives the same answer for the same question: CHATBOT_CANNED_RESPONSE if set, otherwise an echo.
+// Cites reference passage [1] when the prompt has any, so citations can be tested too.
+function createCannedProvider() {
+  const answer = messages => {
+    const question = [...messages].reverse().find(message => message.role === 'user')?.content || '';
+    const hasPassages = messages.some(message => message.role === 'system' && message.content.includes('[1]'));
+    const text = process.env.CHATBOT_CANNED_RESPONSE || `This is a canned answer to: "${question}"`;
+    return hasPassages ? `${text} [1]` : text;
+  };
+
+  return {
+    name: 'canned',
+    model: 'canned',
+    baseUrl: null,
+    configured: true,
+    missing: null,
+
+    async complete(messages) {
+      return { content: answer(messages), model: 'canned' };
+    },
+
+    async *stream(messages, { signal } = {}) {
+      for (const piece of answer(messages).match(/\S+\s*/g) || []) {
+        if (signal?.aborted) return;
+        yield { content: piece, model: 'canned' };
+      }
+    },
+
+    async check() {
+      return { reachable: true };
+    },
+  };
+}
+
+const PROVIDERS = {
+  openai: createOpenAIProvider,
+  azure: createAzureProvider,
+  canned: createCannedProvider,
+};
+
+// The provider chosen by CHATBOT_PROVIDER. Built on each call, so settings changes apply without a restart.
+export function getLLMProvider() {
+  const name = (process.env.CHATBOT_PROVIDER || 'openai').trim().toLowerCase();
+  const create = PROVIDERS[name];
+  if (!create) {
+    throw new Error(`Unknown CHATBOT_PROVIDER "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return create();
+}
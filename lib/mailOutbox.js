@@ -0,0 +1,259 @@
+import pool from '../db.js';
+import { sendMail, isMailConfigured } from './mailer.js';
+import { renderTemplate } from './mailTemplates.js';
+
+// All email goes through the email_outbox table: queueMail() renders a template and saves the message,
+// and the worker started by startMailWorker() sends it. Sends that fail (SMTP down, timeouts) are retried
+// with exponential backoff, so an SMTP problem never fails the request that wanted to send an email.
+// Email with an expiry (verification and reset links) is never sent once it has passed, and the bodies and
+// attachments of sent and failed email are cleared after a while so links and receipts aren't kept forever.
+
+const BATCH_SIZE = 10;
+
+// A message still 'sending' after this long is assumed to have been interrupted and is sent again
+const STALE_SENDING_MINUTES = 10;
+
+const MAX_RETRY_DELAY_SECONDS = 60 * 60;
+
+export const OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+export function getOutboxSettings() {
+  return {
+    intervalMs: parseInt(process.env.MAIL_WORKER_INTERVAL_MS || '15000'),
+    maxAttempts: parseInt(process.env.MAIL_MAX_ATTEMPTS || '8'),
+    retryBaseSeconds: parseInt(process.env.MAIL_RETRY_BASE_SECONDS || '60'),
+    bodyRetentionDays: parseInt(process.env.MAIL_BODY_RETENTION_DAYS || '7'),
+  };
+}
+
+// Seconds to wait after a failed attempt: the base delay, doubled for each attempt, capped at an hour
+export function retryDelaySeconds(attempts) {
+  const { retryBaseSeconds } = getOutboxSettings();
+  return Math.min(retryBaseSeconds * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY_SECONDS);
+}
+
+// Attachments are stored as base64 so they fit in the JSONB column (nodemailer decodes them when sending)
+function storedAttachment({ filename, content, contentType }) {
+  return {
+    filename,
+    contentType,
+    content: Buffer.isBuffer(content) ? content.toString('base64') : Buffer.from(content).toString('base64'),
+    encoding: 'base64',
+  };
+}
+
+// Render an email template and save it to be sent. Pass expiresAt for email that's useless after a time
+// (e.g. when its link stops working), and a transaction client as db to queue the email only if the
+// transaction commits. Returns the outbox message id.
+export async function queueMail({ to, template, data, replyTo = null, attachments = [], expiresAt = null }, db = pool) {
+  if (!to) {
+    throw new Error(`No recipient for "${template}" email`);
+  }
+
+  const { subject, text, html } = renderTemplate(template, data);
+  const result = await db.query(
+    `INSERT INTO email_outbox (template, to_address, reply_to, subject, text_body, html_body, attachments, max_attempts, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING id`,
+    [template, to, replyTo, subject, text, html, JSON.stringify(attachments.map(storedAttachment)),
+      getOutboxSettings().maxAttempts, expiresAt]
+  );
+
+  const id = result.rows[0].id;
+  console.log(`📨 Queued email #${id} "${subject}" for ${to}`);
+  wakeMailWorker();
+  return id;
+}
+
+// Claim due messages (and ones stuck in 'sending') so concurrent workers never send the same one
+async function claimDueMessages() {
+  const result = await pool.query(
+    `UPDATE email_outbox
+     SET status = 'sending', attempts = attempts + 1, locked_at = NOW(), updated_at = NOW()
+     WHERE id IN (
+       SELECT id FROM email_outbox
+       WHERE ((status = 'pending' AND next_attempt_at <= NOW())
+          OR (status = 'sending' AND locked_at < NOW() - make_interval(mins => $2)))
+         AND (expires_at IS NULL OR expires_at > NOW())
+       ORDER BY next_attempt_at, id
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [BATCH_SIZE, STALE_SENDING_MINUTES]
+  );
+  return result.rows;
+}
+
+async function deliver(message) {
+  try {
+    const sent = await sendMail({
+      to: message.to_address,
+      replyTo: message.reply_to || undefined,
+      subject: message.subject,
+      text: message.text_body,
+      html: message.html_body,
+      attachments: message.attachments,
+    });
+    if (!sent) throw new Error('Mail is not configured');
+
+    await pool.query(
+      `UPDATE email_outbox SET status = 'sent', sent_at = NOW(), locked_at = NULL, last_error = NULL, updated_at = NOW()
+       WHERE id = $1`,
+      [message.id]
+    );
+    return 'sent';
+  } catch (err) {
+    const delay = retryDelaySeconds(message.attempts);
+
+    // Give up after the last attempt, or if the next one would come after the email expires
+    const result = await pool.query(
+      `UPDATE email_outbox
+       SET status = CASE
+             WHEN $2 OR (expires_at IS NOT NULL AND expires_at <= NOW() + make_interval(secs => $4)) THEN 'failed'
+             ELSE 'pending'
+           END,
+           last_error = $3, locked_at = NULL, updated_at = NOW(),
+           next_attempt_at = NOW() + make_interval(secs => $4)
+       WHERE id = $1
+       RETURNING status`,
+      [message.id, message.attempts >= message.max_attempts, err.message || String(err), delay]
+    );
+
+    if (result.rows[0]?.status === 'failed') {
+      console.error(`❌ Email #${message.id} to ${message.to_address} failed after ${message.attempts} attempts:`, err.message);
+      return 'failed';
+    }
+    console.warn(`⚠️ Email #${message.id} to ${message.to_address} failed (attempt ${message.attempts} of ${message.max_attempts}), retrying in ${delay}s:`, err.message);
+    return 'retrying';
+  }
+}
+
+// Send everything that's due. Messages stay queued while mail isn't configured.
+// Returns { sent, retrying, failed }.
+export async function processOutbox() {
+  const counts = { sent: 0, retrying: 0, failed: 0 };
+  if (!isMailConfigured()) return counts;
+
+  let batch;
+  do {
+    batch = await claimDueMessages();
+    for (const message of batch) {
+      counts[await deliver(message)]++;
+    }
+  } while (batch.length === BATCH_SIZE);
+
+  return counts;
+}
+
+// Mark queued email that has expired as failed, so it's never sent. Returns how many there were.
+export async function expireOutboxMessages() {
+  const result = await pool.query(
+    `UPDATE email_outbox
+     SET status = 'failed', last_error = 'Expired before it could be sent', locked_at = NULL, updated_at = NOW()
+     WHERE expires_at <= NOW()
+       AND (status = 'pending' OR (status = 'sending' AND locked_at < NOW() - make_interval(mins => $1)))`,
+    [STALE_SENDING_MINUTES]
+  );
+  if (result.rowCount > 0) {
+    console.warn(`⚠️ ${result.rowCount} queued email(s) expired before they could be sent`);
+  }
+  return result.rowCount;
+}
+
+// Clear the bodies and attachments of sent and failed email. Email with an expiry is cleared as soon as
+// it's sent or has expired; other email is kept for MAIL_BODY_RETENTION_DAYS so failed email can still be
+// retried. Returns how many messages were cleared.
+export async function purgeOutboxBodies() {
+  const { bodyRetentionDays } = getOutboxSettings();
+  const result = await pool.query(
+    `UPDATE email_outbox
+     SET text_body = '', html_body = '', attachments = '[]', purged_at = NOW()
+     WHERE purged_at IS NULL
+       AND status IN ('sent', 'failed')
+       AND (updated_at < NOW() - make_interval(days => $1)
+            OR (expires_at IS NOT NULL AND (status = 'sent' OR expires_at <= NOW())))`,
+    [bodyRetentionDays]
+  );
+  if (result.rowCount > 0) {
+    console.log(`🧹 Cleared the bodies of ${result.rowCount} sent or failed email(s)`);
+  }
+  return result.rowCount;
+}
+
+let workerTimer = null;
+let workerRun = null;
+let wakeRequested = false;
+
+// Run the worker once; a wake-up while it's running makes it go round again when it finishes
+function runMailWorker() {
+  if (workerRun) {
+    wakeRequested = true;
+    return workerRun;
+  }
+
+  workerRun = expireOutboxMessages()
+    .then(processOutbox)
+    .then(purgeOutboxBodies)
+    .catch(err => console.error('❌ Email outbox worker failed:', err))
+    .finally(() => {
+      workerRun = null;
+      if (wakeRequested) {
+        wakeRequested = false;
+        runMailWorker();
+      }
+    });
+  return workerRun;
+}
+
+// Send newly queued email straight away instead of waiting for the next interval
+function wakeMailWorker() {
+  if (workerTimer) setImmediate(runMailWorker);
+}
+
+// Start sending queued email in the background (called once from server.js)
+export function startMailWorker() {
+  if (workerTimer) return;
+
+  const { intervalMs } = getOutboxSettings();
+  workerTimer = setInterval(runMailWorker, intervalMs);
+  workerTimer.unref();
+  runMailWorker();
+
+  console.log(`📨 Email outbox worker started (every ${intervalMs / 1000}s)`);
+  if (!isMailConfigured()) {
+    console.warn('⚠️ Mail is not configured - emails will be queued until SMTP_USER and SMTP_PASS (or MAIL_TRANSPORT=file) are set');
+  }
+}
+
+// Outbox messages for the admin view (without their bodies), newest first
+export async function listOutboxMessages({ status = null, limit = 50 } = {}) {
+  const result = await pool.query(
+    `SELECT id, template, to_address, subject, status, attempts, max_attempts, next_attempt_at, last_error,
+            sent_at, expires_at, purged_at, created_at, updated_at
+     FROM email_outbox
+     WHERE ($1::text IS NULL OR status = $1)
+     ORDER BY created_at DESC, id DESC
+     LIMIT $2`,
+    [status, limit]
+  );
+  return result.rows;
+}
+
+// Queue a failed message again with a fresh set of attempts. Returns false if it isn't a failed message,
+// or it can't be sent any more (it has expired or its body has been cleared).
+export async function retryOutboxMessage(id) {
+  if (!/^\d+$/.test(String(id))) return false;
+
+  const result = await pool.query(
+    `UPDATE email_outbox
+     SET status = 'pending', attempts = 0, next_attempt_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status = 'failed' AND purged_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+     RETURNING id`,
+    [id]
+  );
+  if (result.rows.length === 0) return false;
+
+  wakeMailWorker();
+  return true;
+}
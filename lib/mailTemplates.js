@@ -0,0 +1,191 @@
+import { escapeHtml } from './mailer.js';
+
+// HTML and plain-text versions of every email DriveFlow sends. Each template takes its data and
+// returns { subject, text, html }; user-supplied values are escaped in the HTML here, so callers
+// pass them as they are.
+
+const ACCENT = '#5bc0be';
+
+function layout(content) {
+  return `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      ${content}
+    </div>
+  `;
+}
+
+function heading(text) {
+  return `<h2 style="color: ${ACCENT};">${escapeHtml(text)}</h2>`;
+}
+
+function link(href, label) {
+  return `<a href="${escapeHtml(href)}" style="color: ${ACCENT};">${escapeHtml(label)}</a>`;
+}
+
+function button(href, label) {
+  return `<p><a href="${escapeHtml(href)}" style="display: inline-block; background: ${ACCENT}; color: #fff; padding: 12px 20px; border-radius: 4px; text-decoration: none;">${escapeHtml(label)}</a></p>`;
+}
+
+// A code to copy (discount codes, gift vouchers)
+function codeBlock(code) {
+  return `<p style="font-size: 22px; font-weight: bold; letter-spacing: 2px; background: #f5f5f5; padding: 15px; border-radius: 4px; text-align: center;">${escapeHtml(code)}</p>`;
+}
+
+function smallPrint(text) {
+  return `<p style="color: #666; font-size: 12px;">${escapeHtml(text)}</p>`;
+}
+
+// Multi-line user text as HTML paragraphs
+function paragraphs(text) {
+  return escapeHtml(text).replace(/\n/g, '<br>');
+}
+
+function greeting(name) {
+  return name ? `Hi ${name},` : 'Hi,';
+}
+
+const templates = {
+  'verify-email': ({ username, link: href, hours }) => ({
+    subject: 'Verify your DriveFlow email address',
+    text: `${greeting(username)}\n\n` +
+          `Please verify your email address by opening this link:\n${href}\n\n` +
+          `The link expires in ${hours} hours.\n\n` +
+          `If you didn't create a DriveFlow account, you can ignore this email.`,
+    html: layout(`
+      ${heading('Verify your email address')}
+      <p>${escapeHtml(greeting(username))}</p>
+      <p>Please verify your email address by clicking the link below:</p>
+      <p>${link(href, 'Verify my email')}</p>
+      ${smallPrint(`The link expires in ${hours} hours. If you didn't create a DriveFlow account, you can ignore this email.`)}
+    `),
+  }),
+
+  'password-reset': ({ username, link: href, minutes }) => ({
+    subject: 'Reset your DriveFlow password',
+    text: `${greeting(username)}\n\n` +
+          `We received a request to reset your password. Open this link to choose a new one:\n${href}\n\n` +
+          `The link expires in ${minutes} minutes and can only be used once.\n\n` +
+          `If you didn't ask to reset your password, you can ignore this email.`,
+    html: layout(`
+      ${heading('Reset your password')}
+      <p>${escapeHtml(greeting(username))}</p>
+      <p>We received a request to reset your password. Click the link below to choose a new one:</p>
+      <p>${link(href, 'Reset my password')}</p>
+      ${smallPrint(`The link expires in ${minutes} minutes and can only be used once. If you didn't ask to reset your password, you can ignore this email.`)}
+    `),
+  }),
+
+  // To support: a new contact form message, or a follow-up on an existing ticket
+  contact: ({ ticket, body, followUp = false, link: href }) => {
+    const from = `${ticket.name || 'Anonymous'} (${ticket.email || 'no email'})`;
+    const title = `${followUp ? 'Follow-up on' : 'New'} support ticket #${ticket.id}`;
+
+    return {
+      subject: `${title} [${ticket.category}]: ${ticket.subject}`,
+      text: `${followUp ? 'Follow-up' : 'New contact form message'} from DriveFlow\n\n` +
+            `From: ${from}\nCategory: ${ticket.category}\n\n` +
+            `Message:\n${body}\n\n` +
+            `Reply from the admin tickets page: ${href}`,
+      html: layout(`
+        ${heading(title)}
+        <div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p><strong>From:</strong> ${escapeHtml(from)}</p>
+          <p><strong>Category:</strong> ${escapeHtml(ticket.category)}</p>
+          <p><strong>Message:</strong></p>
+          <p style="background: white; padding: 15px; border-radius: 4px;">${paragraphs(body)}</p>
+        </div>
+        <p>${link(href, 'Reply from the admin tickets page')}</p>
+      `),
+    };
+  },
+
+  // To the person who opened a ticket: a reply from support. link is only given to account holders.
+  'contact-reply': ({ ticket, body, link: href = null }) => ({
+    subject: `Re: ${ticket.subject} [DriveFlow support #${ticket.id}]`,
+    text: `${greeting(ticket.name)}\n\n${body}\n\n` +
+          (href ? `You can see the whole conversation and reply here: ${href}\n\n` : '') +
+          `DriveFlow Support`,
+    html: layout(`
+      <p>${escapeHtml(greeting(ticket.name))}</p>
+      <p>${paragraphs(body)}</p>
+      ${href ? `<p>${link(href, 'See the whole conversation and reply')}</p>` : ''}
+      <p>DriveFlow Support</p>
+    `),
+  }),
+
+  // The HTML body is the receipt document itself (the same page GET /routes/purchases/:id/receipt serves)
+  receipt: ({ receiptNumber, description, totalPaid, vatRate, accessLabel = 'Access until', accessUntil, purchasesLink, html }) => ({
+    subject: `Your DriveFlow receipt ${receiptNumber}`,
+    text: `Thanks for your purchase of ${description}.\n\n` +
+          `Receipt number: ${receiptNumber}\n` +
+          `Total paid: ${totalPaid} (incl. VAT @ ${vatRate}%)\n` +
+          `${accessLabel}: ${accessUntil}\n\n` +
+          `Your receipt is attached as a PDF. You can also download it any time from your account: ${purchasesLink}`,
+    html,
+  }),
+
+  'waitlist-release': ({ centreName, discountCode, link: href }) => ({
+    subject: `${centreName} test routes are now available on DriveFlow`,
+    text: `Good news - the ${centreName} test routes are now live on DriveFlow.\n\n` +
+          `As a thank you for joining the waitlist, here is your discount code:\n\n` +
+          `${discountCode}\n\n` +
+          `The code can be used once with the email address this message was sent to, at checkout: ${href}\n\n` +
+          `---\nYou're receiving this because you joined the ${centreName} waitlist on DriveFlow.`,
+    html: layout(`
+      ${heading(`${centreName} routes are now available`)}
+      <p>Good news - the ${escapeHtml(centreName)} test routes are now live on DriveFlow.</p>
+      <p>As a thank you for joining the waitlist, here is your discount code:</p>
+      ${codeBlock(discountCode)}
+      <p>The code can be used once with the email address this message was sent to, at ${link(href, 'checkout')}.</p>
+      <p style="color: #666; font-size: 12px; margin-top: 20px;">
+        ---<br>
+        You're receiving this because you joined the ${escapeHtml(centreName)} waitlist on DriveFlow.
+      </p>
+    `),
+  }),
+
+  'gift-voucher': ({ recipientName, purchaserName, what, message, code, expires, link: href }) => ({
+    subject: `${purchaserName} sent you DriveFlow route access`,
+    text: `${greeting(recipientName)}\n\n` +
+          `${purchaserName} has bought you a ${what} on DriveFlow, so you can practise the real driving test routes.\n\n` +
+          (message ? `Their message:\n"${message}"\n\n` : '') +
+          `Your voucher code is:\n\n${code}\n\n` +
+          `Redeem it by ${expires} after signing in: ${href}\n\n` +
+          `Good luck with your test!`,
+    html: layout(`
+      ${heading('You\'ve been given DriveFlow route access')}
+      <p>${escapeHtml(greeting(recipientName))}</p>
+      <p>${escapeHtml(purchaserName)} has bought you a <strong>${escapeHtml(what)}</strong> on DriveFlow, so you can practise the real driving test routes.</p>
+      ${message ? `<blockquote style="border-left: 4px solid ${ACCENT}; margin: 15px 0; padding: 10px 15px; background: #f9f9f9;">${paragraphs(message)}</blockquote>` : ''}
+      <p>Your voucher code is:</p>
+      ${codeBlock(code)}
+      <p>${link(href, 'Redeem it')} by ${escapeHtml(expires)} after signing in.</p>
+      <p>Good luck with your test!</p>
+    `),
+  }),
+
+  'organization-invite': ({ organizationName, validDays, link: href }) => ({
+    subject: `${organizationName} has invited you to DriveFlow`,
+    text: `${organizationName} has invited you to join them on DriveFlow and is covering your route access.\n\n` +
+          `Accept the invite (you'll be asked to sign in or create an account with this email address):\n${href}\n\n` +
+          `The invite expires in ${validDays} days.`,
+    html: layout(`
+      ${heading('You\'ve been invited to DriveFlow')}
+      <p><strong>${escapeHtml(organizationName)}</strong> has invited you to join them on DriveFlow and is covering your route access.</p>
+      ${button(href, 'Accept invite')}
+      <p>You'll be asked to sign in or create an account with this email address.</p>
+      ${smallPrint(`The invite expires in ${validDays} days.`)}
+    `),
+  }),
+};
+
+export const TEMPLATE_NAMES = Object.keys(templates);
+
+// Render a template to { subject, text, html }
+export function renderTemplate(name, data) {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template "${name}". Use one of: ${TEMPLATE_NAMES.join(', ')}`);
+  }
+  return template(data);
+}
@@ -0,0 +1,110 @@
+import nodemailer from "nodemailer";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+// Emails are delivered by the outbox worker (lib/mailOutbox.js). MAIL_TRANSPORT picks how:
+// - smtp (default): the SMTP server below
+// - file: each email is written to MAIL_FILE_DIR as an .eml file instead, for testing without a mail server
+export function getMailTransport() {
+  return process.env.MAIL_TRANSPORT?.trim().toLowerCase() === "file" ? "file" : "smtp";
+}
+
+export function getMailFileDir() {
+  return process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), "driveflow-mail");
+}
+
+// Create transporter (using environment variables)
+// For Gmail, you'll need an App Password: https://support.google.com/accounts/answer/185833
+// Railway may block port 587, so we default to 465 (SSL) which is more reliable
+export const transporter = nodemailer.createTransport({
+  host: process.env.SMTP_HOST || "smtp.gmail.com",
+  port: parseInt(process.env.SMTP_PORT || "465"),
+  secure: process.env.SMTP_SECURE !== "false", // true for 465, false for 587
+  auth: {
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+  },
+  connectionTimeout: 10000, // 10 seconds
+  greetingTimeout: 10000,
+  socketTimeout: 10000,
+});
+
+// Builds the raw message instead of sending it, for MAIL_TRANSPORT=file
+const fileTransporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: "unix" });
+
+export function isMailConfigured() {
+  return getMailTransport() === "file" || !!(process.env.SMTP_USER && process.env.SMTP_PASS);
+}
+
+// Verify transporter configuration
+if (getMailTransport() === "file") {
+  console.log("📧 MAIL_TRANSPORT=file - emails are written to", getMailFileDir());
+} else if (isMailConfigured()) {
+  console.log("📧 SMTP configured with user:", process.env.SMTP_USER);
+  console.log("📧 SMTP host:", process.env.SMTP_HOST || "smtp.gmail.com");
+  const smtpPort = parseInt(process.env.SMTP_PORT || "465");
+  console.log("📧 SMTP port:", smtpPort);
+  console.log("📧 SMTP secure:", process.env.SMTP_SECURE !== "false");
+  transporter.verify((error, success) => {
+    if (error) {
+      console.error("❌ SMTP configuration error:", error);
+      console.error("Error details:", {
+        code: error.code,
+        command: error.command,
+        response: error.response,
+        responseCode: error.responseCode
+      });
+    } else {
+      console.log("✅ SMTP server is ready to send emails");
+    }
+  });
+} else {
+  console.warn("⚠️ SMTP not configured - SMTP_USER or SMTP_PASS missing");
+  console.warn("SMTP_USER:", process.env.SMTP_USER ? "Set" : "Missing");
+  console.warn("SMTP_PASS:", process.env.SMTP_PASS ? "Set" : "Missing");
+}
+
+// Base URL of the frontend, used for links in emails
+export function frontendUrl(path = "") {
+  const base = (process.env.FRONTEND_URL || "https://driveflow-frontend-production.up.railway.app").replace(/\/+$/, "");
+  return `${base}${path}`;
+}
+
+// Escape user-supplied text before putting it in an HTML email
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Send an email from DriveFlow right away. Returns false (and logs) when mail isn't configured.
+// This is what the outbox worker calls; everywhere else should use queueMail() (lib/mailOutbox.js),
+// which survives SMTP outages and retries failures.
+export async function sendMail(mailOptions) {
+  if (!isMailConfigured()) {
+    console.error("❌ SMTP not configured. Email not sent to:", mailOptions.to, "-", mailOptions.subject);
+    return false;
+  }
+
+  const message = {
+    from: `"DriveFlow" <${process.env.SMTP_USER || "driveflow@localhost"}>`,
+    ...mailOptions,
+  };
+
+  if (getMailTransport() === "file") {
+    const info = await fileTransporter.sendMail(message);
+    const dir = getMailFileDir();
+    const file = path.join(dir, `${Date.now()}-${info.messageId.replace(/[^\w.@-]/g, "")}.eml`);
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(file, info.message);
+    console.log(`📝 Email "${mailOptions.subject}" to ${mailOptions.to} written to ${file}`);
+    return true;
+  }
+
+  await transporter.sendMail(message);
+  console.log(`✅ Email "${mailOptions.subject}" sent to ${mailOptions.to}`);
+  return true;
+}
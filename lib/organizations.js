@@ -0,0 +1,286 @@
+import crypto from 'crypto';
+import pool from '../db.js';
+import { frontendUrl } from './mailer.js';
+import { queueMail } from './mailOutbox.js';
+import { DEFAULT_PRODUCT_ID, getProduct, addMonths } from './licenses.js';
+
+const INVITE_VALID_DAYS = 14;
+
+// Price per student seat in cents (default €10.99, a discount on the single license)
+export function getSeatPrice() {
+  return parseInt(process.env.ORG_SEAT_PRICE || '1099');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Organizations the user owns (admins see every organization)
+export async function listOrganizations(user) {
+  const result = await pool.query(
+    `SELECT id, name, owner_user_id, seats, created_at
+     FROM organizations
+     WHERE owner_user_id = $1 OR $2
+     ORDER BY created_at`,
+    [user.user_id, user.role === 'admin']
+  );
+  return result.rows;
+}
+
+// An organization the user may manage: its owner, or an admin. null otherwise.
+export async function getManagedOrganization(organizationId, user) {
+  if (!/^\d+$/.test(String(organizationId))) return null;
+
+  const result = await pool.query(
+    'SELECT id, name, owner_user_id, seats, created_at FROM organizations WHERE id = $1',
+    [organizationId]
+  );
+  const organization = result.rows[0];
+  if (!organization) return null;
+  if (organization.owner_user_id !== user.user_id && user.role !== 'admin') return null;
+  return organization;
+}
+
+// Seats used by students who joined, held by pending invites, and still free
+export async function getSeatUsage(organizationId, db = pool) {
+  const result = await db.query(
+    `SELECT o.seats,
+      (SELECT COUNT(*)::int FROM route_licenses l WHERE l.organization_id = o.id) AS used,
+      (SELECT COUNT(*)::int FROM organization_invites i
+       WHERE i.organization_id = o.id AND i.accepted_at IS NULL AND i.revoked_at IS NULL AND i.expires_at > NOW()) AS pending
+     FROM organizations o
+     WHERE o.id = $1`,
+    [organizationId]
+  );
+  const { seats, used, pending } = result.rows[0];
+  return { seats, used, pending, available: Math.max(seats - used - pending, 0) };
+}
+
+// Add the seats a succeeded payment paid for. Idempotent per PaymentIntent.
+// Returns { organizationId, seats, created }.
+export async function addSeatsFromPayment({ userId, paymentIntentId, metadata = {}, amount = null, currency = 'eur' }) {
+  const organizationId = parseInt(metadata.organization_id);
+  const seats = parseInt(metadata.seats);
+  if (!organizationId || !seats) {
+    throw new Error(`Seat payment ${paymentIntentId} has no organization_id or seats in its metadata`);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const purchase = await client.query(
+      `INSERT INTO organization_seat_purchases
+       (organization_id, purchased_by, seats, stripe_payment_intent_id, amount_cents, currency)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (stripe_payment_intent_id) DO NOTHING
+       RETURNING id`,
+      [organizationId, userId, seats, paymentIntentId, amount, currency]
+    );
+
+    if (purchase.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { organizationId, seats, created: false };
+    }
+
+    await client.query('UPDATE organizations SET seats = seats + $2 WHERE id = $1', [organizationId, seats]);
+    await client.query('COMMIT');
+
+    console.log(`🏫 Added ${seats} seat(s) to organization ${organizationId} from payment ${paymentIntentId}`);
+    return { organizationId, seats, created: true };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function sendInviteEmail(email, organization, token) {
+  return queueMail({
+    to: email,
+    template: 'organization-invite',
+    data: { organizationName: organization.name, validDays: INVITE_VALID_DAYS, link: frontendUrl(`/join?token=${token}`) },
+  });
+}
+
+// Invite students by email. Each new invite holds a seat until it's accepted, revoked or expires.
+// Returns { invited, skipped } or { error } if there aren't enough free seats.
+export async function inviteStudents(organization, emails, invitedBy) {
+  const normalized = [...new Set(emails.map(email => email.trim().toLowerCase()))];
+  const expiresAt = new Date(Date.now() + INVITE_VALID_DAYS * 24 * 60 * 60 * 1000);
+  const client = await pool.connect();
+  let skippedEmails;
+  const created = [];
+
+  try {
+    await client.query('BEGIN');
+
+    // Locking the organization makes concurrent invites and accepts take their seats one at a time
+    await client.query('SELECT id FROM organizations WHERE id = $1 FOR UPDATE', [organization.id]);
+
+    // Existing students and people with a pending invite don't need another one
+    const existing = await client.query(
+      `SELECT u.email FROM organization_members m JOIN users u ON u.id = m.user_id
+       WHERE m.organization_id = $1 AND m.removed_at IS NULL AND u.email = ANY($2)
+       UNION
+       SELECT email FROM organization_invites
+       WHERE organization_id = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+         AND email = ANY($2)`,
+      [organization.id, normalized]
+    );
+    skippedEmails = new Set(existing.rows.map(row => row.email));
+    const toInvite = normalized.filter(email => !skippedEmails.has(email));
+
+    const usage = await getSeatUsage(organization.id, client);
+    if (toInvite.length > usage.available) {
+      await client.query('ROLLBACK');
+      return { error: `Not enough free seats: ${toInvite.length} needed, ${usage.available} available` };
+    }
+
+    for (const email of toInvite) {
+      const token = crypto.randomBytes(32).toString('hex');
+      const result = await client.query(
+        `INSERT INTO organization_invites (organization_id, email, token_hash, invited_by, expires_at)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id, email, expires_at`,
+        [organization.id, email, hashToken(token), invitedBy, expiresAt]
+      );
+      created.push({ invite: result.rows[0], token });
+    }
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  const invited = [];
+  for (const { invite, token } of created) {
+    let emailed = false;
+    try {
+      emailed = !!(await sendInviteEmail(invite.email, organization, token));
+    } catch (err) {
+      console.error(`Error sending organization invite to ${invite.email}:`, err);
+    }
+    invited.push({ ...invite, emailed });
+  }
+
+  return { invited, skipped: [...skippedEmails] };
+}
+
+// Accept an invite: the user joins the organization and gets a license (the default product) from one of its seats.
+// Returns { organization, license } or { error, status }.
+export async function acceptInvite(token, user) {
+  const product = await getProduct(DEFAULT_PRODUCT_ID);
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const inviteResult = await client.query(
+      `SELECT i.id, i.organization_id, i.email, i.expires_at, i.accepted_at, i.revoked_at, o.name
+       FROM organization_invites i
+       JOIN organizations o ON o.id = i.organization_id
+       WHERE i.token_hash = $1
+       FOR UPDATE OF i, o`,
+      [hashToken(token)]
+    );
+    const invite = inviteResult.rows[0];
+
+    let failure = null;
+    if (!invite || invite.revoked_at) {
+      failure = { error: 'Invite not found', status: 404 };
+    } else if (invite.accepted_at) {
+      failure = { error: 'This invite has already been used', status: 400 };
+    } else if (new Date(invite.expires_at) <= new Date()) {
+      failure = { error: 'This invite has expired', status: 400 };
+    } else if (invite.email !== user.email.toLowerCase()) {
+      failure = { error: `This invite was sent to ${invite.email}. Sign in with that email address to accept it.`, status: 403 };
+    }
+    if (failure) {
+      await client.query('ROLLBACK');
+      return failure;
+    }
+
+    // The invite held a seat, so one is free unless seats were removed since
+    const usage = await getSeatUsage(invite.organization_id, client);
+    if (usage.used >= usage.seats) {
+      await client.query('ROLLBACK');
+      return { error: 'This organization has no free seats left', status: 409 };
+    }
+
+    await client.query(
+      `INSERT INTO organization_members (organization_id, user_id)
+       VALUES ($1, $2)
+       ON CONFLICT (organization_id, user_id) DO UPDATE SET removed_at = NULL, joined_at = NOW()`,
+      [invite.organization_id, user.user_id]
+    );
+
+    const license = await client.query(
+      `INSERT INTO route_licenses (user_id, expires_at, product_id, amount_cents, currency, organization_id, receipt_number)
+       VALUES ($1, $2, $3, 0, $4, $5, NULL)
+       RETURNING id, expires_at`,
+      [user.user_id, addMonths(new Date(), product.duration_months), product.id, product.currency, invite.organization_id]
+    );
+
+    await client.query(
+      'UPDATE organization_invites SET accepted_at = NOW(), accepted_by = $2 WHERE id = $1',
+      [invite.id, user.user_id]
+    );
+
+    await client.query('COMMIT');
+    console.log(`🏫 User ${user.user_id} joined organization ${invite.organization_id}`);
+    return { organization: { id: invite.organization_id, name: invite.name }, license: license.rows[0] };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Students with their license status and mock test stats
+export async function listStudents(organizationId) {
+  const result = await pool.query(
+    `SELECT u.id, u.username, u.email, m.joined_at,
+      l.expires_at AS license_expires_at,
+      (l.is_active AND l.expires_at > NOW()) AS has_license,
+      COALESCE(r.attempts, 0) AS mock_attempts,
+      COALESCE(r.passed, 0) AS mock_passed,
+      r.average_percentage, r.best_percentage, r.last_attempt_at
+     FROM organization_members m
+     JOIN users u ON u.id = m.user_id
+     LEFT JOIN LATERAL (
+       SELECT expires_at, is_active FROM route_licenses
+       WHERE user_id = m.user_id AND organization_id = m.organization_id
+       ORDER BY expires_at DESC LIMIT 1
+     ) l ON true
+     LEFT JOIN LATERAL (
+       SELECT COUNT(*)::int AS attempts,
+         COUNT(*) FILTER (WHERE passed)::int AS passed,
+         ROUND(AVG(percentage))::int AS average_percentage,
+         MAX(percentage) AS best_percentage,
+         MAX(created_at) AS last_attempt_at
+       FROM mock_test_results
+       WHERE user_id = m.user_id
+     ) r ON true
+     WHERE m.organization_id = $1 AND m.removed_at IS NULL
+     ORDER BY u.username`,
+    [organizationId]
+  );
+  return result.rows;
+}
+
+// Remove a student. Their seat stays used, but the license it gave them stops counting.
+export async function removeStudent(organizationId, userId) {
+  const result = await pool.query(
+    `UPDATE organization_members SET removed_at = NOW()
+     WHERE organization_id = $1 AND user_id = $2 AND removed_at IS NULL
+     RETURNING id`,
+    [organizationId, userId]
+  );
+  return result.rows.length > 0;
+}
@@ -0,0 +1,226 @@
+import pool from '../db.js';
+import stripe from './stripe.js';
+
+// Stripe won't create a EUR PaymentIntent below €0.50
+export const MIN_CHARGE_CENTS = 50;
+
+// A checkout that hasn't been paid after this long stops holding its code once someone else needs it
+const RESERVATION_MINUTES = 30;
+
+export function normalizeCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+function calculateDiscount(promo, amount) {
+  const discount = promo.discount_type === 'percent'
+    ? Math.round((amount * promo.discount_value) / 100)
+    : promo.discount_value;
+  return Math.min(discount, amount - MIN_CHARGE_CENTS);
+}
+
+// Check a code against the purchase it's being used for. scope is the product's: a code for one centre
+// only discounts a single-centre pass for that centre.
+// Returns { valid: false, error } or { valid: true, promo, discount, finalAmount }.
+// Uses held by userId's own unfinished checkouts or abandoned ones don't count, since reservePromoCode()
+// releases them when it needs to.
+export async function validatePromoCode({ code, email, centreId = null, scope, amount, userId = null }) {
+  const normalized = normalizeCode(code);
+  if (!normalized) {
+    return { valid: false, error: 'Promo code is required' };
+  }
+
+  const result = await pool.query(
+    `SELECT p.*, c.name AS centre_name,
+       (SELECT COUNT(*)::int FROM promo_redemptions r
+        WHERE r.promo_code_id = p.id AND r.status = 'reserved'
+          AND (r.user_id = $2 OR r.created_at < NOW() - make_interval(mins => $3))) AS releasable_count
+     FROM promo_codes p
+     LEFT JOIN centres c ON c.id = p.centre_id
+     WHERE p.code = $1`,
+    [normalized, userId, RESERVATION_MINUTES]
+  );
+
+  const promo = result.rows[0];
+
+  if (!promo || !promo.is_active) {
+    return { valid: false, error: 'Promo code not found' };
+  }
+
+  if (promo.expires_at && new Date(promo.expires_at) < new Date()) {
+    return { valid: false, error: 'Promo code has expired' };
+  }
+
+  if (promo.max_redemptions !== null && promo.redemption_count - promo.releasable_count >= promo.max_redemptions) {
+    return { valid: false, error: 'Promo code has already been used' };
+  }
+
+  if (promo.email && promo.email.toLowerCase() !== (email || '').toLowerCase()) {
+    return { valid: false, error: 'Promo code is not valid for this account' };
+  }
+
+  if (promo.centre_id && (scope !== 'centre' || promo.centre_id !== centreId)) {
+    return { valid: false, error: `Promo code is only valid for a ${promo.centre_name} single-centre pass` };
+  }
+
+  const discount = Math.max(0, calculateDiscount(promo, amount));
+
+  return { valid: true, promo, discount, finalAmount: amount - discount };
+}
+
+// Take one use of a code for a checkout that's starting. Atomic, so concurrent checkouts can't use a code
+// more than max_redemptions times. Returns false if the code has been used up.
+export async function reservePromoCode(promoCodeId, userId) {
+  const reserve = () => pool.query(
+    `UPDATE promo_codes SET redemption_count = redemption_count + 1
+     WHERE id = $1 AND (max_redemptions IS NULL OR redemption_count < max_redemptions)
+     RETURNING id`,
+    [promoCodeId]
+  );
+
+  if ((await reserve()).rows.length > 0) return true;
+
+  // Used up - but uses held by abandoned checkouts (or this user's earlier one) can go to this one
+  if ((await releaseStaleReservations(promoCodeId, userId)) === 0) return false;
+  return (await reserve()).rows.length > 0;
+}
+
+// Give back a use taken by reservePromoCode() when the checkout couldn't be started
+export async function unreservePromoCode(promoCodeId) {
+  await pool.query(
+    'UPDATE promo_codes SET redemption_count = GREATEST(redemption_count - 1, 0) WHERE id = $1',
+    [promoCodeId]
+  );
+}
+
+// Tie a reserved use to the checkout's PaymentIntent, so it can be redeemed or released later
+export async function recordPromoReservation({ promoCodeId, userId, paymentIntentId, amountDiscounted }) {
+  await pool.query(
+    `INSERT INTO promo_redemptions (promo_code_id, user_id, stripe_payment_intent_id, amount_discounted, status)
+     VALUES ($1, $2, $3, $4, 'reserved')
+     ON CONFLICT (stripe_payment_intent_id) DO NOTHING`,
+    [promoCodeId, userId, paymentIntentId, amountDiscounted]
+  );
+}
+
+// Release a payment's reserved use (the payment was cancelled or failed). Returns true if one was released.
+export async function releasePromoReservation(paymentIntentId) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const released = await client.query(
+      `UPDATE promo_redemptions SET status = 'released', updated_at = NOW()
+       WHERE stripe_payment_intent_id = $1 AND status = 'reserved'
+       RETURNING promo_code_id`,
+      [paymentIntentId]
+    );
+    if (released.rows.length > 0) {
+      await client.query(
+        'UPDATE promo_codes SET redemption_count = GREATEST(redemption_count - 1, 0) WHERE id = $1',
+        [released.rows[0].promo_code_id]
+      );
+    }
+
+    await client.query('COMMIT');
+    return released.rows.length > 0;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Release a code's reservations older than RESERVATION_MINUTES, and userId's own, and cancel their
+// PaymentIntents so they can't be paid at the discount afterwards. Returns how many uses were freed.
+async function releaseStaleReservations(promoCodeId, userId) {
+  const stale = await pool.query(
+    `SELECT stripe_payment_intent_id FROM promo_redemptions
+     WHERE promo_code_id = $1 AND status = 'reserved'
+       AND (created_at < NOW() - make_interval(mins => $2) OR user_id = $3)`,
+    [promoCodeId, RESERVATION_MINUTES, userId]
+  );
+
+  let freed = 0;
+  for (const { stripe_payment_intent_id: paymentIntentId } of stale.rows) {
+    try {
+      await stripe?.paymentIntents.cancel(paymentIntentId);
+    } catch (err) {
+      // Already paid (its webhook redeems the use) or already cancelled
+      if (err.code !== 'payment_intent_unexpected_state') {
+        console.error(`Error cancelling abandoned payment ${paymentIntentId}:`, err.message);
+        continue;
+      }
+    }
+    if (await releasePromoReservation(paymentIntentId)) freed++;
+  }
+
+  if (freed > 0) {
+    console.log(`🏷️ Released ${freed} abandoned reservation(s) of promo code ${promoCodeId}`);
+  }
+  return freed;
+}
+
+// Record a code's use against a succeeded payment. Idempotent per PaymentIntent, so confirm-payment and
+// the webhook can both call it. A reserved use is marked redeemed; payments without one (started before
+// reservations, or released after a failure and then paid) take a use now.
+export async function recordPromoRedemption({ promoCodeId, userId, paymentIntentId, licenseId, amountDiscounted }) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      'SELECT id, status FROM promo_redemptions WHERE stripe_payment_intent_id = $1 FOR UPDATE',
+      [paymentIntentId]
+    );
+    const previous = existing.rows[0];
+
+    if (previous?.status === 'redeemed') {
+      await client.query('COMMIT');
+      return false;
+    }
+
+    if (previous) {
+      await client.query(
+        `UPDATE promo_redemptions SET status = 'redeemed', license_id = $2, updated_at = NOW() WHERE id = $1`,
+        [previous.id, licenseId]
+      );
+    } else {
+      await client.query(
+        `INSERT INTO promo_redemptions (promo_code_id, user_id, license_id, stripe_payment_intent_id, amount_discounted, status)
+         VALUES ($1, $2, $3, $4, $5, 'redeemed')`,
+        [promoCodeId, userId, licenseId, paymentIntentId, amountDiscounted]
+      );
+    }
+
+    // The payment has gone through, so the use counts even if that takes the code over its limit
+    if (previous?.status !== 'reserved') {
+      await client.query(
+        'UPDATE promo_codes SET redemption_count = redemption_count + 1 WHERE id = $1',
+        [promoCodeId]
+      );
+    }
+
+    await client.query('COMMIT');
+    return true;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Register a waitlist discount code as a single-use promo code for that signup's email and centre
+export async function createWaitlistPromoCode({ code, email, centreId }) {
+  const percent = parseInt(process.env.WAITLIST_DISCOUNT_PERCENT || '20');
+
+  await pool.query(
+    `INSERT INTO promo_codes (code, description, discount_type, discount_value, max_redemptions, email, centre_id)
+     VALUES ($1, $2, 'percent', $3, 1, $4, $5)
+     ON CONFLICT (code) DO NOTHING`,
+    [normalizeCode(code), 'Waitlist release discount', percent, email, centreId]
+  );
+}
@@ -0,0 +1,301 @@
+import PDFDocument from 'pdfkit';
+import pool from '../db.js';
+import { frontendUrl, escapeHtml } from './mailer.js';
+import { queueMail } from './mailOutbox.js';
+import { DEFAULT_PRODUCT_ID } from './licenses.js';
+
+// Prices are VAT-inclusive. Irish standard rate unless VAT_RATE says otherwise.
+function getVatRate() {
+  return parseFloat(process.env.VAT_RATE || '23');
+}
+
+// Seller details printed on every receipt
+function getSeller() {
+  return {
+    name: process.env.BUSINESS_NAME || 'DriveFlow',
+    address: process.env.BUSINESS_ADDRESS || 'Ireland',
+    vatNumber: process.env.VAT_NUMBER || null,
+    email: process.env.SMTP_USER || null,
+  };
+}
+
+// 1399, 'eur' -> "€13.99"
+export function formatMoney(cents, currency = 'eur') {
+  return new Intl.NumberFormat('en-IE', { style: 'currency', currency: currency.toUpperCase() }).format(cents / 100);
+}
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('en-IE', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Europe/Dublin' });
+}
+
+// Licenses bought before products and amounts were recorded are shown as the default product at its
+// price. $1 is always DEFAULT_PRODUCT_ID.
+const PURCHASE_COLUMNS = `
+  l.id, l.receipt_number, l.stripe_payment_intent_id, l.purchased_at, l.expires_at, l.is_active,
+  COALESCE(l.product_id, $1) AS product_id,
+  p.name AS product_name,
+  COALESCE(l.amount_cents, p.price_cents - COALESCE(pr.amount_discounted, 0)) AS amount_cents,
+  COALESCE(l.currency, p.currency, 'eur') AS currency,
+  COALESCE(pr.amount_discounted, 0) AS discount_cents,
+  pc.code AS promo_code,
+  c.name AS centre_name,
+  false AS is_gift`;
+
+// Only licenses that were paid for are purchases: ones granted by an organization seat or redeemed from a
+// gift voucher cost the user nothing (the gift's purchaser gets the receipt for the voucher)
+const PAID_LICENSE = 'l.organization_id IS NULL AND l.gift_voucher_id IS NULL';
+
+const PURCHASE_JOINS = `
+  FROM route_licenses l
+  LEFT JOIN license_products p ON p.id = COALESCE(l.product_id, $1)
+  LEFT JOIN promo_redemptions pr ON pr.license_id = l.id
+  LEFT JOIN promo_codes pc ON pc.id = pr.promo_code_id
+  LEFT JOIN centres c ON c.id = l.centre_id`;
+
+// A gift purchase is the voucher, receipted to the purchaser (the license it's redeemed for belongs to the
+// recipient). Its purchase id is "gift-<voucher id>"; expires_at is when the voucher can be redeemed until.
+const GIFT_PURCHASE_COLUMNS = `
+  'gift-' || v.id AS id, v.receipt_number, v.stripe_payment_intent_id, v.created_at AS purchased_at,
+  v.expires_at, v.void_reason IS NULL AS is_active,
+  v.product_id,
+  p.name AS product_name,
+  v.amount_cents,
+  COALESCE(v.currency, 'eur') AS currency,
+  COALESCE(pr.amount_discounted, 0) AS discount_cents,
+  pc.code AS promo_code,
+  c.name AS centre_name,
+  true AS is_gift,
+  v.recipient_email`;
+
+const GIFT_PURCHASE_JOINS = `
+  FROM gift_vouchers v
+  JOIN license_products p ON p.id = v.product_id
+  LEFT JOIN promo_redemptions pr ON pr.stripe_payment_intent_id = v.stripe_payment_intent_id AND pr.status = 'redeemed'
+  LEFT JOIN promo_codes pc ON pc.id = pr.promo_code_id
+  LEFT JOIN centres c ON c.id = v.centre_id`;
+
+export function giftPurchaseId(voucherId) {
+  return `gift-${voucherId}`;
+}
+
+// The voucher id of a gift purchase id, or null for a license
+function giftVoucherId(purchaseId) {
+  const match = /^gift-(\d+)$/.exec(String(purchaseId));
+  return match ? parseInt(match[1]) : null;
+}
+
+// A user's purchases (licenses and gift vouchers), newest first
+export async function listPurchases(userId) {
+  const [licenses, gifts] = await Promise.all([
+    pool.query(
+      `SELECT ${PURCHASE_COLUMNS}
+       ${PURCHASE_JOINS}
+       WHERE l.user_id = $2 AND ${PAID_LICENSE}`,
+      [DEFAULT_PRODUCT_ID, userId]
+    ),
+    pool.query(
+      `SELECT ${GIFT_PURCHASE_COLUMNS}
+       ${GIFT_PURCHASE_JOINS}
+       WHERE v.purchaser_user_id = $1`,
+      [userId]
+    ),
+  ]);
+
+  return [...licenses.rows, ...gifts.rows]
+    .sort((a, b) => new Date(b.purchased_at) - new Date(a.purchased_at));
+}
+
+// Everything a receipt shows for one purchase - a license id, or a gift purchase id. With userId, only
+// that user's purchase is returned.
+export async function getReceipt(purchaseId, userId = null) {
+  const voucherId = giftVoucherId(purchaseId);
+  const result = voucherId
+    ? await pool.query(
+        `SELECT ${GIFT_PURCHASE_COLUMNS}, u.email, u.username
+         ${GIFT_PURCHASE_JOINS}
+         JOIN users u ON u.id = v.purchaser_user_id
+         WHERE v.id = $1 AND ($2::uuid IS NULL OR v.purchaser_user_id = $2)`,
+        [voucherId, userId]
+      )
+    : await pool.query(
+        `SELECT ${PURCHASE_COLUMNS}, u.email, u.username
+         ${PURCHASE_JOINS}
+         JOIN users u ON u.id = l.user_id
+         WHERE l.id = $2 AND ($3::uuid IS NULL OR l.user_id = $3) AND ${PAID_LICENSE}`,
+        [DEFAULT_PRODUCT_ID, purchaseId, userId]
+      );
+  const purchase = result.rows[0];
+  if (!purchase) return null;
+
+  const product = purchase.centre_name ? `${purchase.product_name} - ${purchase.centre_name}` : purchase.product_name;
+  const vatRate = getVatRate();
+  const total = purchase.amount_cents ?? 0;
+  const net = Math.round(total / (1 + vatRate / 100));
+
+  return {
+    ...purchase,
+    receiptNumber: `DF-${purchase.receipt_number}`,
+    description: purchase.is_gift ? `Gift voucher: ${product} for ${purchase.recipient_email}` : product,
+    accessLabel: purchase.is_gift ? 'Redeemable until' : 'Access until',
+    seller: getSeller(),
+    vatRate,
+    netCents: net,
+    vatCents: total - net,
+    totalCents: total,
+  };
+}
+
+export function renderReceiptHtml(receipt) {
+  const money = cents => formatMoney(cents, receipt.currency);
+  const { seller } = receipt;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Receipt ${escapeHtml(receipt.receiptNumber)}</title>
+</head>
+<body style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; color: #222;">
+  <h2 style="color: #5bc0be;">Receipt</h2>
+  <p>
+    <strong>${escapeHtml(seller.name)}</strong><br>
+    ${escapeHtml(seller.address)}<br>
+    ${seller.vatNumber ? `VAT number: ${escapeHtml(seller.vatNumber)}<br>` : ''}
+    ${seller.email ? escapeHtml(seller.email) : ''}
+  </p>
+  <table style="width: 100%; margin: 20px 0;">
+    <tr><td>Receipt number</td><td style="text-align: right;">${escapeHtml(receipt.receiptNumber)}</td></tr>
+    <tr><td>Date</td><td style="text-align: right;">${formatDate(receipt.purchased_at)}</td></tr>
+    <tr><td>Billed to</td><td style="text-align: right;">${escapeHtml(receipt.username)} (${escapeHtml(receipt.email)})</td></tr>
+    <tr><td>Payment reference</td><td style="text-align: right;">${escapeHtml(receipt.stripe_payment_intent_id || '-')}</td></tr>
+  </table>
+  <table style="width: 100%; border-collapse: collapse;">
+    <tr style="background: #f5f5f5;">
+      <th style="text-align: left; padding: 8px;">Description</th>
+      <th style="text-align: right; padding: 8px;">Amount</th>
+    </tr>
+    <tr>
+      <td style="padding: 8px;">${escapeHtml(receipt.description)}<br>
+        <span style="color: #666; font-size: 12px;">${receipt.accessLabel} ${formatDate(receipt.expires_at)}</span></td>
+      <td style="text-align: right; padding: 8px;">${money(receipt.totalCents + receipt.discount_cents)}</td>
+    </tr>
+    ${receipt.discount_cents > 0 ? `<tr>
+      <td style="padding: 8px;">Discount (${escapeHtml(receipt.promo_code || 'promo code')})</td>
+      <td style="text-align: right; padding: 8px;">-${money(receipt.discount_cents)}</td>
+    </tr>` : ''}
+    <tr style="border-top: 1px solid #ddd;">
+      <td style="padding: 8px;">Net amount</td>
+      <td style="text-align: right; padding: 8px;">${money(receipt.netCents)}</td>
+    </tr>
+    <tr>
+      <td style="padding: 8px;">VAT @ ${receipt.vatRate}%</td>
+      <td style="text-align: right; padding: 8px;">${money(receipt.vatCents)}</td>
+    </tr>
+    <tr style="font-weight: bold; border-top: 1px solid #ddd;">
+      <td style="padding: 8px;">Total paid</td>
+      <td style="text-align: right; padding: 8px;">${money(receipt.totalCents)}</td>
+    </tr>
+  </table>
+  <p style="color: #666; font-size: 12px; margin-top: 20px;">
+    Thank you for your purchase. Keep this receipt for your records.
+  </p>
+</body>
+</html>
+`;
+}
+
+// Same layout as the HTML receipt, resolved to a Buffer
+export function renderReceiptPdf(receipt) {
+  return new Promise((resolve, reject) => {
+    const money = cents => formatMoney(cents, receipt.currency);
+    const { seller } = receipt;
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Receipt ${receipt.receiptNumber}` } });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.fontSize(20).fillColor('#5bc0be').text('Receipt');
+    doc.moveDown();
+
+    doc.fontSize(11).fillColor('#222').font('Helvetica-Bold').text(seller.name);
+    doc.font('Helvetica').text(seller.address);
+    if (seller.vatNumber) doc.text(`VAT number: ${seller.vatNumber}`);
+    if (seller.email) doc.text(seller.email);
+    doc.moveDown();
+
+    doc.text(`Receipt number: ${receipt.receiptNumber}`);
+    doc.text(`Date: ${formatDate(receipt.purchased_at)}`);
+    doc.text(`Billed to: ${receipt.username} (${receipt.email})`);
+    doc.text(`Payment reference: ${receipt.stripe_payment_intent_id || '-'}`);
+    doc.moveDown(1.5);
+
+    const line = (label, amount, options = {}) => {
+      const y = doc.y;
+      doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica');
+      doc.text(label, 50, y, { width: 350 });
+      const labelBottom = doc.y;
+      doc.text(amount, 400, y, { width: 145, align: 'right' });
+      doc.y = Math.max(labelBottom, doc.y);
+      doc.moveDown(0.5);
+    };
+
+    line(`${receipt.description} (${receipt.accessLabel.toLowerCase()} ${formatDate(receipt.expires_at)})`, money(receipt.totalCents + receipt.discount_cents));
+    if (receipt.discount_cents > 0) {
+      line(`Discount (${receipt.promo_code || 'promo code'})`, `-${money(receipt.discount_cents)}`);
+    }
+    doc.moveTo(50, doc.y).lineTo(545, doc.y).strokeColor('#dddddd').stroke();
+    doc.moveDown(0.5);
+    line('Net amount', money(receipt.netCents));
+    line(`VAT @ ${receipt.vatRate}%`, money(receipt.vatCents));
+    line('Total paid', money(receipt.totalCents), { bold: true });
+
+    doc.moveDown(2);
+    doc.font('Helvetica').fontSize(9).fillColor('#666')
+      .text('Thank you for your purchase. Keep this receipt for your records.', 50);
+
+    doc.end();
+  });
+}
+
+// Queue the receipt email (HTML body, PDF attached) for a license or gift purchase and record that it
+// was sent. Returns false without queueing it again if it has been sent before.
+export async function sendReceiptEmail(purchaseId) {
+  const receipt = await getReceipt(purchaseId);
+  if (!receipt) return false;
+
+  const voucherId = giftVoucherId(purchaseId);
+  const [table, id] = voucherId ? ['gift_vouchers', voucherId] : ['route_licenses', purchaseId];
+
+  const claimed = await pool.query(
+    `UPDATE ${table} SET receipt_sent_at = NOW() WHERE id = $1 AND receipt_sent_at IS NULL RETURNING id`,
+    [id]
+  );
+  if (claimed.rows.length === 0) return false;
+
+  try {
+    const pdf = await renderReceiptPdf(receipt);
+    await queueMail({
+      to: receipt.email,
+      template: 'receipt',
+      data: {
+        receiptNumber: receipt.receiptNumber,
+        description: receipt.description,
+        totalPaid: formatMoney(receipt.totalCents, receipt.currency),
+        vatRate: receipt.vatRate,
+        accessLabel: receipt.accessLabel,
+        accessUntil: formatDate(receipt.expires_at),
+        purchasesLink: frontendUrl('/account/purchases'),
+        html: renderReceiptHtml(receipt),
+      },
+      attachments: [
+        { filename: `driveflow-receipt-${receipt.receiptNumber}.pdf`, content: pdf, contentType: 'application/pdf' },
+      ],
+    });
+    return true;
+  } catch (err) {
+    await pool.query(`UPDATE ${table} SET receipt_sent_at = NULL WHERE id = $1`, [id]);
+    throw err;
+  }
+}
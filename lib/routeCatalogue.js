@@ -0,0 +1,179 @@
+import pool from '../db.js';
+import { readdirSync, readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { parseDirectionsLink } from './routeGeometry.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DATA_DIR = join(__dirname, '../data');
+
+// Turn a centre name into a URL-safe slug ("Dún Laoghaire / Deansgrange" -> "dun-laoghaire-deansgrange")
+export function slugify(name) {
+  return name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/'/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Validate a centre file in the { location, routes: [{ id, name, link }] } shape
+export function validateCentreData(data) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object') {
+    return ['Centre data must be a JSON object'];
+  }
+
+  if (!data.location || typeof data.location !== 'string' || !data.location.trim()) {
+    errors.push('"location" is required and must be a non-empty string');
+  }
+
+  if (!Array.isArray(data.routes)) {
+    errors.push('"routes" must be an array');
+    return errors;
+  }
+
+  const seenIds = new Set();
+  data.routes.forEach((route, index) => {
+    if (!Number.isInteger(route?.id) || route.id < 1) {
+      errors.push(`routes[${index}].id must be a positive integer`);
+    } else if (seenIds.has(route.id)) {
+      errors.push(`routes[${index}].id ${route.id} is duplicated`);
+    } else {
+      seenIds.add(route.id);
+    }
+    if (!route?.name || typeof route.name !== 'string') {
+      errors.push(`routes[${index}].name is required`);
+    }
+    if (!route?.link || typeof route.link !== 'string') {
+      errors.push(`routes[${index}].link is required`);
+    } else if (!parseDirectionsLink(route.link)) {
+      errors.push(`routes[${index}].link is not a Google Maps directions URL with at least two waypoints`);
+    }
+  });
+
+  return errors;
+}
+
+// Add a centre and its routes. The centre is matched by name or slug (so a renamed centre is still found)
+// and created if it doesn't exist; it's never renamed. Routes that already exist are updated in place,
+// or left alone with { overwrite: false }. With { replace: true }, routes that aren't in the data are removed.
+// Returns { centre, routeCount, addedCount, removedCount }.
+export async function importCentreData(data, { replace = false, overwrite = true } = {}) {
+  const errors = validateCentreData(data);
+  if (errors.length > 0) {
+    throw new Error(`Invalid centre data: ${errors.join('; ')}`);
+  }
+
+  const name = data.location.trim();
+  const slug = slugify(name);
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      `SELECT id, name, slug FROM centres
+       WHERE LOWER(name) = LOWER($1) OR slug = $2
+       ORDER BY (LOWER(name) = LOWER($1)) DESC
+       LIMIT 1`,
+      [name, slug]
+    );
+    const centre = existing.rows[0] || (await client.query(
+      'INSERT INTO centres (name, slug) VALUES ($1, $2) RETURNING id, name, slug',
+      [name, slug]
+    )).rows[0];
+
+    let addedCount = 0;
+    for (const route of data.routes) {
+      const result = await client.query(
+        `INSERT INTO routes (centre_id, route_number, name, link)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (centre_id, route_number)
+         ${overwrite ? 'DO UPDATE SET name = EXCLUDED.name, link = EXCLUDED.link, updated_at = NOW()' : 'DO NOTHING'}
+         RETURNING (xmax = 0) AS inserted`,
+        [centre.id, route.id, route.name.trim(), route.link.trim()]
+      );
+      if (result.rows[0]?.inserted) addedCount++;
+    }
+
+    let removedCount = 0;
+    if (replace) {
+      const removed = await client.query(
+        `DELETE FROM routes WHERE centre_id = $1 AND route_number <> ALL($2::int[])`,
+        [centre.id, data.routes.map(route => route.id)]
+      );
+      removedCount = removed.rowCount;
+    }
+
+    await client.query('COMMIT');
+    return { centre, routeCount: data.routes.length, addedCount, removedCount };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Import every data/*.json centre file (see scripts/import-routes.js). Routes already in the database are
+// left as they are unless { overwrite: true }, so edits made through the admin API aren't undone.
+// A bad file is logged and skipped, not fatal.
+export async function importRouteFiles(dir = DATA_DIR, { overwrite = false } = {}) {
+  const files = readdirSync(dir).filter(file => file.endsWith('.json'));
+  const imported = [];
+
+  for (const file of files) {
+    try {
+      const data = JSON.parse(readFileSync(join(dir, file), 'utf-8'));
+      const result = await importCentreData(data, { overwrite });
+      imported.push({ file, centre: result.centre.name, routeCount: result.routeCount, addedCount: result.addedCount });
+    } catch (err) {
+      console.error(`❌ Failed to import route file ${file}:`, err.message);
+    }
+  }
+
+  return imported;
+}
+
+// Find a centre by slug or (case-insensitive) name
+export async function findCentre(key) {
+  if (!key || typeof key !== 'string') return null;
+
+  const result = await pool.query(
+    `SELECT id, name, slug FROM centres
+     WHERE slug = $1 OR LOWER(name) = LOWER($2)
+     LIMIT 1`,
+    [key.trim().toLowerCase(), key.trim()]
+  );
+  return result.rows[0] || null;
+}
+
+// Get all routes for a centre, ordered by route number
+export async function getCentreRoutes(centreId) {
+  const result = await pool.query(
+    `SELECT id, route_number, name, link
+     FROM routes
+     WHERE centre_id = $1
+     ORDER BY route_number`,
+    [centreId]
+  );
+  return result.rows;
+}
+
+// Get a single route for a centre by its route number (null if it isn't a number, e.g. from a bad URL)
+export async function getCentreRoute(centreId, routeNumber) {
+  if (!/^\d+$/.test(String(routeNumber))) return null;
+
+  const result = await pool.query(
+    `SELECT id, route_number, name, link
+     FROM routes
+     WHERE centre_id = $1 AND route_number = $2`,
+    [centreId, routeNumber]
+  );
+  return result.rows[0] || null;
+}
@@ -0,0 +1,156 @@
+// Parse Google Maps directions links into route geometry and export it as GeoJSON or GPX
+
+const EARTH_RADIUS_METRES = 6371008.8;
+const COORDINATE_PATTERN = /^(-?\d{1,2}(?:\.\d+)?),\s*(-?\d{1,3}(?:\.\d+)?)$/;
+
+// google.com, google.ie and google.co.uk, with or without www. or maps. in front
+const GOOGLE_MAPS_HOST_PATTERN = /^(www\.|maps\.)?google\.(com|ie|co\.uk)$/i;
+
+// Parse a google.com/maps/dir/lat,lng/lat,lng/... link into its waypoints.
+// Returns null if the link isn't a directions URL with at least two coordinate waypoints.
+export function parseDirectionsLink(link) {
+  let url;
+  try {
+    url = new URL(link);
+  } catch {
+    return null;
+  }
+
+  if (!GOOGLE_MAPS_HOST_PATTERN.test(url.hostname) || !url.pathname.startsWith('/maps/dir/')) {
+    return null;
+  }
+
+  const points = [];
+  let skipped = 0;
+
+  const segments = url.pathname.slice('/maps/dir/'.length).split('/');
+  for (const rawSegment of segments) {
+    if (!rawSegment) continue;
+
+    // "@lat,lng,zoom" is the map viewport and "data=..." the encoded options - waypoints end there
+    if (rawSegment.startsWith('@') || rawSegment.startsWith('data=')) break;
+
+    let segment;
+    try {
+      segment = decodeURIComponent(rawSegment).replace(/\+/g, ' ').trim();
+    } catch {
+      // Malformed percent escape ("%E0%A4%A") - not a waypoint we can read
+      skipped++;
+      continue;
+    }
+    const match = segment.match(COORDINATE_PATTERN);
+    if (!match) {
+      // Named places ("Naas+Driving+Test+Centre") can't be resolved without geocoding
+      skipped++;
+      continue;
+    }
+
+    const lat = parseFloat(match[1]);
+    const lng = parseFloat(match[2]);
+    if (Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      skipped++;
+      continue;
+    }
+
+    points.push({ lat, lng });
+  }
+
+  if (points.length < 2) {
+    return null;
+  }
+
+  return { points, skipped };
+}
+
+// Great-circle distance between two points, in metres
+function haversineMetres(a, b) {
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METRES * Math.asin(Math.sqrt(h));
+}
+
+// Straight-line distance through every waypoint plus the bounding box.
+// Waypoints are dense enough on our routes that this is close to the driven distance.
+export function describeRoute(points) {
+  let distanceMetres = 0;
+  for (let i = 1; i < points.length; i++) {
+    distanceMetres += haversineMetres(points[i - 1], points[i]);
+  }
+
+  const lats = points.map(point => point.lat);
+  const lngs = points.map(point => point.lng);
+
+  return {
+    distanceMetres: Math.round(distanceMetres),
+    waypointCount: points.length,
+    boundingBox: {
+      minLat: Math.min(...lats),
+      minLng: Math.min(...lngs),
+      maxLat: Math.max(...lats),
+      maxLng: Math.max(...lngs),
+    },
+  };
+}
+
+// GeoJSON FeatureCollection with the route as a LineString ([lng, lat] order per RFC 7946)
+export function toGeoJSON({ name, centre }, points) {
+  const { distanceMetres, boundingBox } = describeRoute(points);
+
+  return {
+    type: 'FeatureCollection',
+    bbox: [boundingBox.minLng, boundingBox.minLat, boundingBox.maxLng, boundingBox.maxLat],
+    features: [
+      {
+        type: 'Feature',
+        properties: { name, centre, distanceMetres },
+        geometry: {
+          type: 'LineString',
+          coordinates: points.map(point => [point.lng, point.lat]),
+        },
+      },
+    ],
+  };
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// GPX 1.1 document with the route as <rte> (sat-navs follow it) and <trk> (practice apps draw it)
+export function toGPX({ name, centre }, points) {
+  const { boundingBox } = describeRoute(points);
+  const title = escapeXml(`${centre} - ${name}`);
+  const routePoints = points
+    .map((point, index) => `    <rtept lat="${point.lat}" lon="${point.lng}"><name>${index + 1}</name></rtept>`)
+    .join('\n');
+  const trackPoints = points
+    .map(point => `      <trkpt lat="${point.lat}" lon="${point.lng}"></trkpt>`)
+    .join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="DriveFlow" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>${title}</name>
+    <bounds minlat="${boundingBox.minLat}" minlon="${boundingBox.minLng}" maxlat="${boundingBox.maxLat}" maxlon="${boundingBox.maxLng}"/>
+  </metadata>
+  <rte>
+    <name>${title}</name>
+${routePoints}
+  </rte>
+  <trk>
+    <name>${title}</name>
+    <trkseg>
+${trackPoints}
+    </trkseg>
+  </trk>
+</gpx>
+`;
+}
@@ -0,0 +1,141 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import pool from "../db.js";
+
+// Short-lived access tokens; the refresh token (30 days) is what keeps a user logged in
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS || "30");
+
+export const REFRESH_COOKIE_NAME = "refresh_token";
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+export function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { user_id: user.id, email: user.email, username: user.username, session_id: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// The frontend is on a different domain, so outside development the cookie must be SameSite=None; Secure
+export function setRefreshCookie(res, refreshToken, expiresAt) {
+  const secure = process.env.NODE_ENV !== "development";
+  res.cookie(REFRESH_COOKIE_NAME, refreshToken, {
+    httpOnly: true,
+    secure,
+    sameSite: secure ? "none" : "lax",
+    path: "/auth",
+    expires: expiresAt,
+  });
+}
+
+export function clearRefreshCookie(res) {
+  const secure = process.env.NODE_ENV !== "development";
+  res.clearCookie(REFRESH_COOKIE_NAME, {
+    httpOnly: true,
+    secure,
+    sameSite: secure ? "none" : "lax",
+    path: "/auth",
+  });
+}
+
+// Start a new session for a user and return its access and refresh tokens
+export async function createSession(user, req) {
+  const refreshToken = crypto.randomBytes(48).toString("hex");
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+  const result = await pool.query(
+    `INSERT INTO user_sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id`,
+    [user.id, hashToken(refreshToken), req.headers["user-agent"] || null, req.ip || null, expiresAt]
+  );
+
+  const sessionId = result.rows[0].id;
+  return { sessionId, accessToken: signAccessToken(user, sessionId), refreshToken, expiresAt };
+}
+
+// Swap a refresh token for a new one. Presenting an already-rotated token means it was
+// copied, so the whole session is revoked.
+export async function rotateSession(refreshToken) {
+  if (!refreshToken || typeof refreshToken !== "string") return null;
+
+  const tokenHash = hashToken(refreshToken);
+  const newRefreshToken = crypto.randomBytes(48).toString("hex");
+
+  const result = await pool.query(
+    `UPDATE user_sessions s
+     SET refresh_token_hash = $2, previous_token_hash = $1, last_used_at = NOW()
+     FROM users u
+     WHERE s.refresh_token_hash = $1 AND s.revoked_at IS NULL AND s.expires_at > NOW()
+       AND u.id = s.user_id
+     RETURNING s.id, s.expires_at, u.id AS user_id, u.email, u.username`,
+    [tokenHash, hashToken(newRefreshToken)]
+  );
+
+  if (result.rows.length === 0) {
+    const reused = await pool.query(
+      `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = 'refresh_token_reuse'
+       WHERE previous_token_hash = $1 AND revoked_at IS NULL
+       RETURNING id, user_id`,
+      [tokenHash]
+    );
+    if (reused.rows.length > 0) {
+      console.warn("⚠️ Refresh token reuse detected - session revoked:", reused.rows[0].id);
+    }
+    return null;
+  }
+
+  const session = result.rows[0];
+  const user = { id: session.user_id, email: session.email, username: session.username };
+
+  return {
+    sessionId: session.id,
+    accessToken: signAccessToken(user, session.id),
+    refreshToken: newRefreshToken,
+    expiresAt: session.expires_at,
+    user,
+  };
+}
+
+export async function findSessionByRefreshToken(refreshToken) {
+  if (!refreshToken || typeof refreshToken !== "string") return null;
+
+  const result = await pool.query(
+    "SELECT id, user_id FROM user_sessions WHERE refresh_token_hash = $1 AND revoked_at IS NULL",
+    [hashToken(refreshToken)]
+  );
+  return result.rows[0] || null;
+}
+
+export async function isSessionActive(sessionId) {
+  const result = await pool.query(
+    "SELECT 1 FROM user_sessions WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW()",
+    [sessionId]
+  );
+  return result.rows.length > 0;
+}
+
+// Revoke one of a user's sessions. Returns false if it doesn't exist or isn't theirs.
+export async function revokeSession(sessionId, userId, reason = "logout") {
+  const result = await pool.query(
+    `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $3
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+     RETURNING id`,
+    [sessionId, userId, reason]
+  );
+  return result.rows.length > 0;
+}
+
+// Revoke every session for a user, optionally keeping the one making the request
+export async function revokeUserSessions(userId, reason, exceptSessionId = null) {
+  const result = await pool.query(
+    `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $2
+     WHERE user_id = $1 AND revoked_at IS NULL AND ($3::uuid IS NULL OR id <> $3::uuid)`,
+    [userId, reason, exceptSessionId]
+  );
+  return result.rowCount;
+}
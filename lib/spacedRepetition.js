@@ -0,0 +1,39 @@
+// SM-2 spaced-repetition scheduling (https://super-memory.com/english/ol/sm2.htm)
+
+const MIN_EASE_FACTOR = 1.3;
+
+// Work out the next review for a question from its current schedule and the answer quality (0-5).
+// Quality below 3 is a lapse: the question starts again at a 1-day interval.
+export function scheduleReview({ ease_factor = 2.5, interval_days = 0, repetitions = 0 }, quality, now = new Date()) {
+  const easeFactor = parseFloat(ease_factor);
+  let nextRepetitions;
+  let nextInterval;
+
+  if (quality < 3) {
+    nextRepetitions = 0;
+    nextInterval = 1;
+  } else {
+    nextRepetitions = repetitions + 1;
+    if (nextRepetitions === 1) {
+      nextInterval = 1;
+    } else if (nextRepetitions === 2) {
+      nextInterval = 6;
+    } else {
+      nextInterval = Math.round(interval_days * easeFactor);
+    }
+  }
+
+  const nextEaseFactor = Math.max(
+    MIN_EASE_FACTOR,
+    easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  );
+
+  const dueAt = new Date(now.getTime() + nextInterval * 24 * 60 * 60 * 1000);
+
+  return {
+    ease_factor: Math.round(nextEaseFactor * 100) / 100,
+    interval_days: nextInterval,
+    repetitions: nextRepetitions,
+    due_at: dueAt,
+  };
+}
@@ -0,0 +1,23 @@
+import Stripe from 'stripe';
+
+// Initialize Stripe (shared by every route that takes payments; undefined if the key isn't set)
+let stripe;
+try {
+  if (!process.env.STRIPE_SECRET_KEY) {
+    console.error('⚠️ STRIPE_SECRET_KEY not set in environment variables');
+  } else {
+    const secretKey = process.env.STRIPE_SECRET_KEY.trim();
+    const keyType = secretKey.startsWith('sk_test_') ? 'TEST' : 
+                   secretKey.startsWith('sk_live_') ? 'LIVE' : 'UNKNOWN';
+    console.log(`🔑 Stripe Secret Key Type: ${keyType}`);
+    
+    stripe = new Stripe(secretKey, {
+      apiVersion: '2024-11-20.acacia',
+    });
+    console.log('✅ Stripe initialized successfully');
+  }
+} catch (err) {
+  console.error('❌ Failed to initialize Stripe:', err.message);
+}
+
+export default stripe;
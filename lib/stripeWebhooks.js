@@ -0,0 +1,40 @@
+import pool from '../db.js';
+
+// An event still 'processing' after this long is assumed to have crashed mid-way and can be retried
+const STALE_PROCESSING_MINUTES = 10;
+
+// Record a webhook event as being processed. Returns false if it has already been processed
+// (or is being processed right now), so Stripe redeliveries are handled exactly once.
+export async function claimWebhookEvent(event) {
+  const result = await pool.query(
+    `INSERT INTO stripe_webhook_events (id, type)
+     VALUES ($1, $2)
+     ON CONFLICT (id) DO UPDATE
+       SET status = 'processing', attempts = stripe_webhook_events.attempts + 1, error = NULL, last_attempt_at = NOW()
+       WHERE stripe_webhook_events.status = 'failed'
+          OR (stripe_webhook_events.status = 'processing'
+              AND stripe_webhook_events.last_attempt_at < NOW() - make_interval(mins => $3))
+     RETURNING attempts`,
+    [event.id, event.type, STALE_PROCESSING_MINUTES]
+  );
+  return result.rows.length > 0;
+}
+
+export async function markWebhookEventProcessed(eventId) {
+  await pool.query(
+    `UPDATE stripe_webhook_events SET status = 'processed', processed_at = NOW() WHERE id = $1`,
+    [eventId]
+  );
+}
+
+// Failed events are retried on Stripe's next delivery attempt
+export async function markWebhookEventFailed(eventId, err) {
+  try {
+    await pool.query(
+      `UPDATE stripe_webhook_events SET status = 'failed', error = $2 WHERE id = $1`,
+      [eventId, err?.message || String(err)]
+    );
+  } catch (updateErr) {
+    console.error(`Error marking webhook event ${eventId} as failed:`, updateErr);
+  }
+}
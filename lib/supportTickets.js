@@ -0,0 +1,169 @@
+import pool from '../db.js';
+import { frontendUrl } from './mailer.js';
+import { queueMail } from './mailOutbox.js';
+
+export const TICKET_CATEGORIES = ['general', 'account', 'payments', 'routes', 'mock-tests', 'chatbot', 'other'];
+export const TICKET_STATUSES = ['open', 'answered', 'closed'];
+
+const SUBJECT_LENGTH = 80;
+
+const TICKET_COLUMNS = `t.id, t.user_id, COALESCE(u.email, t.email) AS email, COALESCE(u.username, t.name) AS name,
+  t.category, t.subject, t.status, t.staff_notified_at, t.closed_at, t.created_at, t.updated_at`;
+
+// Subject line from the first line of the message
+function subjectFrom(message) {
+  const firstLine = message.split('\n').find(line => line.trim())?.trim() || 'Contact form message';
+  return firstLine.length > SUBJECT_LENGTH ? `${firstLine.slice(0, SUBJECT_LENGTH - 1)}…` : firstLine;
+}
+
+// Tell support about a new ticket or a follow-up (CONTACT_EMAIL, or SMTP_USER)
+async function notifyStaff(ticket, body, { followUp = false } = {}) {
+  return queueMail({
+    to: process.env.CONTACT_EMAIL || process.env.SMTP_USER,
+    replyTo: ticket.email,
+    template: 'contact',
+    data: { ticket, body, followUp, link: frontendUrl(`/admin/tickets/${ticket.id}`) },
+  });
+}
+
+// Email a staff reply to the person who opened the ticket
+async function sendReplyEmail(ticket, body) {
+  return queueMail({
+    to: ticket.email,
+    template: 'contact-reply',
+    data: { ticket, body, link: ticket.user_id ? frontendUrl('/support') : null },
+  });
+}
+
+// Save a contact form message as a ticket, then queue an email to support. The ticket is kept even if
+// the email can't be queued, so messages are never lost. Returns the ticket.
+export async function createTicket({ userId = null, email = null, name = null, category = 'general', message }) {
+  const client = await pool.connect();
+  let ticketId;
+
+  try {
+    await client.query('BEGIN');
+
+    const ticket = await client.query(
+      `INSERT INTO support_tickets (user_id, email, name, category, subject)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id`,
+      [userId, email, name, category, subjectFrom(message)]
+    );
+    ticketId = ticket.rows[0].id;
+
+    await client.query(
+      `INSERT INTO support_ticket_messages (ticket_id, author_type, author_user_id, body)
+       VALUES ($1, 'user', $2, $3)`,
+      [ticketId, userId, message]
+    );
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  const ticket = await getTicket(ticketId);
+  console.log(`🎫 Support ticket #${ticket.id} created by ${ticket.email || 'anonymous'} [${ticket.category}]`);
+
+  try {
+    if (await notifyStaff(ticket, message)) {
+      await pool.query('UPDATE support_tickets SET staff_notified_at = NOW() WHERE id = $1', [ticket.id]);
+    }
+  } catch (err) {
+    console.error(`❌ Error emailing support about ticket #${ticket.id}:`, err);
+  }
+
+  return ticket;
+}
+
+// A ticket (with the sender's current email and username if they have an account), or null
+export async function getTicket(ticketId) {
+  if (!/^\d+$/.test(String(ticketId))) return null;
+
+  const result = await pool.query(
+    `SELECT ${TICKET_COLUMNS}
+     FROM support_tickets t
+     LEFT JOIN users u ON u.id = t.user_id
+     WHERE t.id = $1`,
+    [ticketId]
+  );
+  return result.rows[0] || null;
+}
+
+export async function getTicketMessages(ticketId) {
+  const result = await pool.query(
+    `SELECT id, author_type, body, emailed_at, created_at
+     FROM support_ticket_messages
+     WHERE ticket_id = $1
+     ORDER BY id`,
+    [ticketId]
+  );
+  return result.rows;
+}
+
+// Tickets for the admin list (or one user's tickets), most recently updated first
+export async function listTickets({ userId = null, status = null, category = null, limit = 50 } = {}) {
+  const result = await pool.query(
+    `SELECT ${TICKET_COLUMNS},
+      (SELECT COUNT(*)::int FROM support_ticket_messages m WHERE m.ticket_id = t.id) AS message_count
+     FROM support_tickets t
+     LEFT JOIN users u ON u.id = t.user_id
+     WHERE ($1::uuid IS NULL OR t.user_id = $1)
+       AND ($2::text IS NULL OR t.status = $2)
+       AND ($3::text IS NULL OR t.category = $3)
+     ORDER BY t.updated_at DESC
+     LIMIT $4`,
+    [userId, status, category, limit]
+  );
+  return result.rows;
+}
+
+// Add a message to a ticket. A staff reply marks the ticket answered and is emailed to the user;
+// a user follow-up reopens it and is emailed to support. Returns { message, emailed }, where emailed
+// means the email was queued.
+export async function addTicketMessage(ticket, { authorType, authorUserId, body }) {
+  const status = authorType === 'staff' ? 'answered' : 'open';
+
+  const result = await pool.query(
+    `INSERT INTO support_ticket_messages (ticket_id, author_type, author_user_id, body)
+     VALUES ($1, $2, $3, $4)
+     RETURNING id, author_type, body, emailed_at, created_at`,
+    [ticket.id, authorType, authorUserId, body]
+  );
+  await pool.query(
+    'UPDATE support_tickets SET status = $2, closed_at = NULL, updated_at = NOW() WHERE id = $1',
+    [ticket.id, status]
+  );
+  const message = result.rows[0];
+
+  let emailed = false;
+  try {
+    if (authorType === 'staff') {
+      emailed = !!ticket.email && !!(await sendReplyEmail(ticket, body));
+      if (emailed) {
+        await pool.query('UPDATE support_ticket_messages SET emailed_at = NOW() WHERE id = $1', [message.id]);
+      }
+    } else {
+      emailed = !!(await notifyStaff(ticket, body, { followUp: true }));
+    }
+  } catch (err) {
+    console.error(`❌ Error emailing message on support ticket #${ticket.id}:`, err);
+  }
+
+  console.log(`🎫 ${authorType === 'staff' ? 'Reply' : 'Follow-up'} added to support ticket #${ticket.id}`);
+  return { message, emailed };
+}
+
+export async function closeTicket(ticketId) {
+  const result = await pool.query(
+    `UPDATE support_tickets SET status = 'closed', closed_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status <> 'closed'
+     RETURNING id`,
+    [ticketId]
+  );
+  return result.rows.length > 0;
+}
@@ -0,0 +1,96 @@
+import crypto from 'crypto';
+import pool from '../db.js';
+import { frontendUrl } from './mailer.js';
+import { queueMail } from './mailOutbox.js';
+import { createWaitlistPromoCode } from './promoCodes.js';
+
+// No 0/O or 1/I so codes can be read out and typed without mistakes
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+export function generateDiscountCode(prefix = 'WAITLIST') {
+  const bytes = crypto.randomBytes(8);
+  const suffix = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  return `${prefix}-${suffix}`;
+}
+
+// Give a waitlist row a code if it doesn't have one yet. Retries on the (unlikely) unique collision.
+async function ensureDiscountCode(row) {
+  if (row.discount_code) return row.discount_code;
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    try {
+      const result = await pool.query(
+        `UPDATE route_waitlist SET discount_code = COALESCE(discount_code, $1)
+         WHERE id = $2
+         RETURNING discount_code`,
+        [generateDiscountCode(), row.id]
+      );
+      return result.rows[0].discount_code;
+    } catch (err) {
+      if (err.code !== '23505') throw err;
+    }
+  }
+  throw new Error(`Could not generate a unique discount code for waitlist entry ${row.id}`);
+}
+
+async function sendReleaseEmail(email, centre, discountCode) {
+  return queueMail({
+    to: email,
+    template: 'waitlist-release',
+    data: { centreName: centre.name, discountCode, link: frontendUrl('/routes') },
+  });
+}
+
+// Signups for a centre: linked to it when they signed up, or typed as a name with the same slug
+// before the centre was in the catalogue. Takes the centre's id and slug as $1 and $2.
+export const WAITLIST_CENTRE_MATCH = '(w.centre_id = $1 OR (w.centre_id IS NULL AND w.centre_slug = $2))';
+
+// Email every not-yet-notified waitlist signup for a centre their discount code.
+// Safe to re-run: each row is claimed before its email is queued, and rows whose email can't be queued
+// are released again (keeping their code) so the next run retries them.
+export async function releaseWaitlist(centre) {
+  const pending = await pool.query(
+    `SELECT w.id, w.email, w.discount_code
+     FROM route_waitlist w
+     WHERE ${WAITLIST_CENTRE_MATCH} AND w.notified = false
+     ORDER BY w.created_at`,
+    [centre.id, centre.slug]
+  );
+
+  let notified = 0;
+  let failed = 0;
+
+  for (const row of pending.rows) {
+    const discountCode = await ensureDiscountCode(row);
+    await createWaitlistPromoCode({ code: discountCode, email: row.email, centreId: centre.id });
+
+    // Claim the row so a concurrent run can't email the same person twice
+    const claim = await pool.query(
+      `UPDATE route_waitlist SET notified = true, notified_at = NOW()
+       WHERE id = $1 AND notified = false
+       RETURNING id`,
+      [row.id]
+    );
+    if (claim.rows.length === 0) continue;
+
+    let sent = false;
+    try {
+      sent = await sendReleaseEmail(row.email, centre, discountCode);
+    } catch (err) {
+      console.error(`❌ Waitlist release email to ${row.email} failed:`, err.message);
+    }
+
+    if (sent) {
+      notified++;
+    } else {
+      failed++;
+      await pool.query(
+        'UPDATE route_waitlist SET notified = false, notified_at = NULL WHERE id = $1',
+        [row.id]
+      );
+    }
+  }
+
+  console.log(`📣 Waitlist release for ${centre.name}: ${notified} notified, ${failed} failed`);
+  return { centre: centre.name, pending: pending.rows.length, notified, failed };
+}
@@ -1,6 +1,7 @@
 import jwt from "jsonwebtoken";
+import { isSessionActive } from "../lib/sessions.js";
 
-export default function authMiddleware(req, res, next) {
+export default async function authMiddleware(req, res, next) {
   const header = req.headers["authorization"];
 
   if (!header) {
@@ -13,16 +14,27 @@ export default function authMiddleware(req, res, next) {
     return res.status(401).json({ error: "Invalid token format." });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // save user info for next routes
-    req.user = decoded;
-
-    next();
-
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (err) {
     console.error("JWT ERROR:", err);
     return res.status(403).json({ error: "Invalid or expired token." });
   }
+
+  try {
+    // Access tokens are tied to a session, so logging out or revoking it takes effect immediately.
+    // Tokens issued before sessions existed have no session_id and simply run out.
+    if (decoded.session_id && !(await isSessionActive(decoded.session_id))) {
+      return res.status(401).json({ error: "Session has been revoked. Please log in again." });
+    }
+  } catch (err) {
+    console.error("SESSION CHECK ERROR:", err);
+    return res.status(500).json({ error: "Failed to verify session." });
+  }
+
+  // save user info for next routes
+  req.user = decoded;
+
+  next();
 }
@@ -0,0 +1,33 @@
+// Fixed-window rate limiting per client IP, kept in memory (so limits are per server process).
+// Behind Railway's proxy req.ip is the client's address because server.js sets "trust proxy".
+export default function rateLimit({ windowMs, max, message = "Too many requests. Please try again later." }) {
+  const hits = new Map();
+
+  // Forget finished windows so the map doesn't grow forever
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, windowMs);
+  sweep.unref();
+
+  return function rateLimitMiddleware(req, res, next) {
+    const now = Date.now();
+    const key = req.ip;
+    let entry = hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count++;
+
+    if (entry.count > max) {
+      res.set("Retry-After", String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({ error: message });
+    }
+
+    next();
+  };
+}
@@ -0,0 +1,29 @@
+import pool from "../db.js";
+
+export const ROLES = ["learner", "instructor", "admin"];
+
+// Restrict a route to users with one of the given roles. Use after authMiddleware.
+// The role is read from the database rather than the JWT so grants and revocations apply immediately.
+export default function requireRole(...allowedRoles) {
+  return async function (req, res, next) {
+    try {
+      const result = await pool.query(
+        "SELECT role FROM users WHERE id = $1",
+        [req.user.user_id]
+      );
+
+      const role = result.rows[0]?.role;
+
+      if (!role || !allowedRoles.includes(role)) {
+        return res.status(403).json({ error: "You do not have permission to do this." });
+      }
+
+      req.user.role = role;
+      next();
+
+    } catch (err) {
+      console.error("ROLE CHECK ERROR:", err);
+      return res.status(500).json({ error: "Failed to check permissions." });
+    }
+  };
+}
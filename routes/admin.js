@@ -0,0 +1,673 @@
+import express from 'express';
+import pool from '../db.js';
+import authMiddleware from '../middleware/auth.js';
+import requireRole, { ROLES } from '../middleware/requireRole.js';
+import {
+  slugify,
+  validateCentreData,
+  importCentreData,
+  findCentre,
+  getCentreRoutes,
+} from '../lib/routeCatalogue.js';
+import { parseDirectionsLink } from '../lib/routeGeometry.js';
+import { releaseWaitlist, generateDiscountCode, WAITLIST_CENTRE_MATCH } from '../lib/waitlistRelease.js';
+import { normalizeCode } from '../lib/promoCodes.js';
+import {
+  TICKET_CATEGORIES,
+  TICKET_STATUSES,
+  getTicket,
+  getTicketMessages,
+  listTickets,
+  addTicketMessage,
+  closeTicket,
+} from '../lib/supportTickets.js';
+import { OUTBOX_STATUSES, listOutboxMessages, retryOutboxMessage } from '../lib/mailOutbox.js';
+
+const router = express.Router();
+
+// Every admin route requires a logged-in admin
+router.use(authMiddleware, requireRole('admin'));
+
+// GET /admin/users - List users, optionally filtered by role or email/username search
+router.get('/users', async (req, res) => {
+  try {
+    const { role, search } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const result = await pool.query(
+      `SELECT id, email, username, role, created_at
+       FROM users
+       WHERE ($1::text IS NULL OR role = $1)
+         AND ($2::text IS NULL OR email ILIKE '%' || $2 || '%' OR username ILIKE '%' || $2 || '%')
+       ORDER BY created_at DESC
+       LIMIT $3`,
+      [role || null, search || null, limit]
+    );
+
+    res.json({ users: result.rows });
+  } catch (err) {
+    console.error('Error listing users:', err);
+    res.status(500).json({ error: 'Failed to list users' });
+  }
+});
+
+// PUT /admin/users/:id/role - Grant or change a user's role
+router.put('/users/:id/role', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    // Stop admins locking themselves out
+    if (id === req.user.user_id && role !== 'admin') {
+      return res.status(400).json({ error: 'You cannot remove your own admin role' });
+    }
+
+    const existing = await pool.query('SELECT id, role FROM users WHERE id = $1', [id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const oldRole = existing.rows[0].role;
+
+    const result = await pool.query(
+      `UPDATE users SET role = $1 WHERE id = $2
+       RETURNING id, email, username, role`,
+      [role, id]
+    );
+
+    if (oldRole !== role) {
+      await pool.query(
+        `INSERT INTO user_role_changes (user_id, old_role, new_role, changed_by)
+         VALUES ($1, $2, $3, $4)`,
+        [id, oldRole, role, req.user.user_id]
+      );
+      console.log(`✅ User ${id} role changed from ${oldRole} to ${role} by ${req.user.user_id}`);
+    }
+
+    res.json({ user: result.rows[0] });
+  } catch (err) {
+    // Malformed UUIDs
+    if (err.code === '22P02') {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    console.error('Error updating user role:', err);
+    res.status(500).json({ error: 'Failed to update role' });
+  }
+});
+
+// Look up the centre named in :centre, sending a 404 if it doesn't exist
+async function loadCentre(req, res) {
+  const centre = await findCentre(req.params.centre);
+  if (!centre) {
+    res.status(404).json({ error: 'Test centre not found' });
+    return null;
+  }
+  return centre;
+}
+
+// Publishing routes releases the centre's waitlist. A failed release is logged, not fatal -
+// it can be re-run with POST /admin/centres/:centre/waitlist/release.
+async function releaseWaitlistAfterPublish(centre) {
+  try {
+    return await releaseWaitlist(centre);
+  } catch (err) {
+    console.error(`❌ Waitlist release for ${centre.name} failed:`, err);
+    return { centre: centre.name, error: 'Waitlist release failed' };
+  }
+}
+
+// GET /admin/centres - List centres with route and waitlist counts
+router.get('/centres', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT c.id, c.name, c.slug, c.created_at, c.updated_at,
+        (SELECT COUNT(*)::int FROM routes r WHERE r.centre_id = c.id) AS route_count,
+        (SELECT COUNT(*)::int FROM route_waitlist w
+         WHERE w.centre_id = c.id OR (w.centre_id IS NULL AND w.centre_slug = c.slug)) AS waitlist_count
+       FROM centres c
+       ORDER BY c.name`
+    );
+
+    res.json({ centres: result.rows });
+  } catch (err) {
+    console.error('Error listing centres:', err);
+    res.status(500).json({ error: 'Failed to list centres' });
+  }
+});
+
+// POST /admin/centres - Create a centre
+router.post('/centres', async (req, res) => {
+  try {
+    const name = req.body.name?.trim();
+    if (!name) {
+      return res.status(400).json({ error: 'Centre name is required' });
+    }
+
+    const slug = req.body.slug ? slugify(req.body.slug) : slugify(name);
+    if (!slug) {
+      return res.status(400).json({ error: 'Centre slug must contain letters or numbers' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO centres (name, slug) VALUES ($1, $2)
+       RETURNING id, name, slug, created_at`,
+      [name, slug]
+    );
+
+    console.log(`✅ Centre ${name} created by ${req.user.user_id}`);
+    res.status(201).json({ centre: result.rows[0] });
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'A centre with that name or slug already exists' });
+    }
+    console.error('Error creating centre:', err);
+    res.status(500).json({ error: 'Failed to create centre' });
+  }
+});
+
+// POST /admin/centres/import - Bulk import a centre file ({ location, routes: [{ id, name, link }] })
+// ?replace=true also removes routes that aren't in the file
+router.post('/centres/import', async (req, res) => {
+  try {
+    const errors = validateCentreData(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid centre data', details: errors });
+    }
+
+    const result = await importCentreData(req.body, { replace: req.query.replace === 'true' });
+
+    console.log(`✅ Imported ${result.routeCount} routes for ${result.centre.name} by ${req.user.user_id}`);
+    const waitlist = result.routeCount > 0 ? await releaseWaitlistAfterPublish(result.centre) : null;
+
+    res.json({
+      centre: result.centre,
+      routeCount: result.routeCount,
+      removedCount: result.removedCount,
+      waitlist,
+    });
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'Another centre already uses this centre\'s slug' });
+    }
+    console.error('Error importing centre:', err);
+    res.status(500).json({ error: 'Failed to import centre' });
+  }
+});
+
+// PUT /admin/centres/:centre - Rename a centre or change its slug
+router.put('/centres/:centre', async (req, res) => {
+  try {
+    const centre = await loadCentre(req, res);
+    if (!centre) return;
+
+    const name = req.body.name?.trim() || centre.name;
+    const slug = req.body.slug ? slugify(req.body.slug) : centre.slug;
+    if (!slug) {
+      return res.status(400).json({ error: 'Centre slug must contain letters or numbers' });
+    }
+
+    const result = await pool.query(
+      `UPDATE centres SET name = $1, slug = $2, updated_at = NOW()
+       WHERE id = $3
+       RETURNING id, name, slug, created_at, updated_at`,
+      [name, slug, centre.id]
+    );
+
+    res.json({ centre: result.rows[0] });
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'A centre with that name or slug already exists' });
+    }
+    console.error('Error updating centre:', err);
+    res.status(500).json({ error: 'Failed to update centre' });
+  }
+});
+
+// DELETE /admin/centres/:centre - Delete a centre and all of its routes
+router.delete('/centres/:centre', async (req, res) => {
+  try {
+    const centre = await loadCentre(req, res);
+    if (!centre) return;
+
+    await pool.query('DELETE FROM centres WHERE id = $1', [centre.id]);
+
+    console.log(`🗑️ Centre ${centre.name} deleted by ${req.user.user_id}`);
+    res.json({ message: 'Centre deleted', centre });
+  } catch (err) {
+    console.error('Error deleting centre:', err);
+    res.status(500).json({ error: 'Failed to delete centre' });
+  }
+});
+
+// GET /admin/centres/:centre/routes - List a centre's routes, including links
+router.get('/centres/:centre/routes', async (req, res) => {
+  try {
+    const centre = await loadCentre(req, res);
+    if (!centre) return;
+
+    const routes = await getCentreRoutes(centre.id);
+    res.json({ centre, routes });
+  } catch (err) {
+    console.error('Error listing routes:', err);
+    res.status(500).json({ error: 'Failed to list routes' });
+  }
+});
+
+// POST /admin/centres/:centre/routes - Add a route (routeNumber defaults to the next free number)
+router.post('/centres/:centre/routes', async (req, res) => {
+  try {
+    const centre = await loadCentre(req, res);
+    if (!centre) return;
+
+    const { routeNumber } = req.body;
+    const name = req.body.name?.trim();
+    const link = req.body.link?.trim();
+
+    if (!name || !link) {
+      return res.status(400).json({ error: 'Route name and link are required' });
+    }
+
+    if (!parseDirectionsLink(link)) {
+      return res.status(400).json({ error: 'Link must be a Google Maps directions URL with at least two waypoints' });
+    }
+
+    if (routeNumber !== undefined && (!Number.isInteger(routeNumber) || routeNumber < 1)) {
+      return res.status(400).json({ error: 'routeNumber must be a positive integer' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO routes (centre_id, route_number, name, link)
+       VALUES ($1, COALESCE($2, (SELECT COALESCE(MAX(route_number), 0) + 1 FROM routes WHERE centre_id = $1)), $3, $4)
+       RETURNING id, route_number, name, link`,
+      [centre.id, routeNumber ?? null, name, link]
+    );
+
+    console.log(`✅ Route ${result.rows[0].route_number} added to ${centre.name} by ${req.user.user_id}`);
+    const waitlist = await releaseWaitlistAfterPublish(centre);
+
+    res.status(201).json({ route: result.rows[0], waitlist });
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'That route number already exists for this centre' });
+    }
+    console.error('Error creating route:', err);
+    res.status(500).json({ error: 'Failed to create route' });
+  }
+});
+
+// PUT /admin/centres/:centre/routes/:routeNumber - Update a route's name or link
+router.put('/centres/:centre/routes/:routeNumber', async (req, res) => {
+  try {
+    const centre = await loadCentre(req, res);
+    if (!centre) return;
+    if (!/^\d+$/.test(req.params.routeNumber)) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    const name = req.body.name?.trim() || null;
+    const link = req.body.link?.trim() || null;
+
+    if (link && !parseDirectionsLink(link)) {
+      return res.status(400).json({ error: 'Link must be a Google Maps directions URL with at least two waypoints' });
+    }
+
+    const result = await pool.query(
+      `UPDATE routes
+       SET name = COALESCE($1, name), link = COALESCE($2, link), updated_at = NOW()
+       WHERE centre_id = $3 AND route_number = $4
+       RETURNING id, route_number, name, link`,
+      [name, link, centre.id, req.params.routeNumber]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    res.json({ route: result.rows[0] });
+  } catch (err) {
+    console.error('Error updating route:', err);
+    res.status(500).json({ error: 'Failed to update route' });
+  }
+});
+
+// DELETE /admin/centres/:centre/routes/:routeNumber - Remove a route
+router.delete('/centres/:centre/routes/:routeNumber', async (req, res) => {
+  try {
+    const centre = await loadCentre(req, res);
+    if (!centre) return;
+    if (!/^\d+$/.test(req.params.routeNumber)) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    const result = await pool.query(
+      `DELETE FROM routes WHERE centre_id = $1 AND route_number = $2
+       RETURNING id, route_number, name`,
+      [centre.id, req.params.routeNumber]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    console.log(`🗑️ Route ${result.rows[0].route_number} removed from ${centre.name} by ${req.user.user_id}`);
+    res.json({ message: 'Route deleted', route: result.rows[0] });
+  } catch (err) {
+    console.error('Error deleting route:', err);
+    res.status(500).json({ error: 'Failed to delete route' });
+  }
+});
+
+// GET /admin/centres/:centre/waitlist - View a centre's waitlist signups
+router.get('/centres/:centre/waitlist', async (req, res) => {
+  try {
+    const centre = await loadCentre(req, res);
+    if (!centre) return;
+
+    const result = await pool.query(
+      `SELECT w.id, w.email, w.route_number, w.created_at, w.notified, w.notified_at, w.discount_code
+       FROM route_waitlist w
+       WHERE ${WAITLIST_CENTRE_MATCH}
+       ORDER BY w.created_at`,
+      [centre.id, centre.slug]
+    );
+
+    res.json({ centre, signups: result.rows, count: result.rows.length });
+  } catch (err) {
+    console.error('Error getting waitlist:', err);
+    res.status(500).json({ error: 'Failed to get waitlist' });
+  }
+});
+
+// POST /admin/centres/:centre/waitlist/release - Email discount codes to everyone not yet notified
+router.post('/centres/:centre/waitlist/release', async (req, res) => {
+  try {
+    const centre = await loadCentre(req, res);
+    if (!centre) return;
+
+    const routes = await getCentreRoutes(centre.id);
+    if (routes.length === 0) {
+      return res.status(400).json({ error: 'This centre has no routes yet - publish routes before releasing its waitlist' });
+    }
+
+    const result = await releaseWaitlist(centre);
+    res.json(result);
+  } catch (err) {
+    console.error('Error releasing waitlist:', err);
+    res.status(500).json({ error: 'Failed to release waitlist' });
+  }
+});
+
+// GET /admin/waitlist/demand - Waitlist signups per centre, most wanted first
+router.get('/waitlist/demand', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT COALESCE(c.name, MIN(w.test_centre)) AS test_centre,
+        COALESCE(c.slug, w.centre_slug) AS slug,
+        COUNT(*)::int AS signups,
+        COUNT(*) FILTER (WHERE w.notified)::int AS notified,
+        COUNT(*) FILTER (WHERE NOT w.notified)::int AS pending,
+        MIN(w.created_at) AS first_signup_at,
+        MAX(w.created_at) AS last_signup_at,
+        (SELECT COUNT(*)::int FROM routes r WHERE r.centre_id = c.id) AS route_count
+       FROM route_waitlist w
+       LEFT JOIN centres c ON c.id = w.centre_id OR (w.centre_id IS NULL AND c.slug = w.centre_slug)
+       GROUP BY c.id, COALESCE(c.slug, w.centre_slug)
+       ORDER BY signups DESC, test_centre`
+    );
+
+    res.json({ demand: result.rows });
+  } catch (err) {
+    console.error('Error getting waitlist demand:', err);
+    res.status(500).json({ error: 'Failed to get waitlist demand' });
+  }
+});
+
+// GET /admin/promo-codes - List promo codes with their redemption counts
+router.get('/promo-codes', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT p.id, p.code, p.description, p.discount_type, p.discount_value, p.expires_at,
+        p.max_redemptions, p.redemption_count, p.email, p.is_active, p.created_at,
+        c.slug AS centre,
+        (SELECT COUNT(*)::int FROM promo_redemptions r
+         WHERE r.promo_code_id = p.id AND r.status = 'reserved') AS reserved_count
+       FROM promo_codes p
+       LEFT JOIN centres c ON c.id = p.centre_id
+       WHERE ($1::boolean IS NULL OR p.is_active = $1)
+       ORDER BY p.created_at DESC`,
+      [req.query.active === undefined ? null : req.query.active === 'true']
+    );
+
+    res.json({ promoCodes: result.rows });
+  } catch (err) {
+    console.error('Error listing promo codes:', err);
+    res.status(500).json({ error: 'Failed to list promo codes' });
+  }
+});
+
+// POST /admin/promo-codes - Create a promo code (a random code is generated if none is given)
+router.post('/promo-codes', async (req, res) => {
+  try {
+    const { description, discountType, discountValue, expiresAt, maxRedemptions, email, centre: centreKey } = req.body;
+    const code = req.body.code ? normalizeCode(req.body.code) : generateDiscountCode('PROMO');
+
+    if (!/^[A-Z0-9-]{3,50}$/.test(code)) {
+      return res.status(400).json({ error: 'Code must be 3-50 letters, numbers or hyphens' });
+    }
+
+    if (!['percent', 'fixed'].includes(discountType)) {
+      return res.status(400).json({ error: 'discountType must be percent or fixed' });
+    }
+
+    if (!Number.isInteger(discountValue) || discountValue < 1 || (discountType === 'percent' && discountValue > 100)) {
+      return res.status(400).json({ error: 'discountValue must be a whole percentage (1-100) or amount in cents' });
+    }
+
+    if (maxRedemptions !== undefined && maxRedemptions !== null && (!Number.isInteger(maxRedemptions) || maxRedemptions < 1)) {
+      return res.status(400).json({ error: 'maxRedemptions must be a positive integer' });
+    }
+
+    if (expiresAt && isNaN(new Date(expiresAt).getTime())) {
+      return res.status(400).json({ error: 'expiresAt must be a valid date' });
+    }
+
+    let centre = null;
+    if (centreKey) {
+      centre = await findCentre(centreKey);
+      if (!centre) {
+        return res.status(404).json({ error: 'Test centre not found' });
+      }
+    }
+
+    const result = await pool.query(
+      `INSERT INTO promo_codes (code, description, discount_type, discount_value, expires_at, max_redemptions, email, centre_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [code, description || null, discountType, discountValue, expiresAt || null, maxRedemptions || null, email || null, centre?.id ?? null]
+    );
+
+    console.log(`✅ Promo code ${code} created by ${req.user.user_id}`);
+    res.status(201).json({ promoCode: result.rows[0] });
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'That promo code already exists' });
+    }
+    console.error('Error creating promo code:', err);
+    res.status(500).json({ error: 'Failed to create promo code' });
+  }
+});
+
+// DELETE /admin/promo-codes/:code - Deactivate a promo code (kept for redemption history)
+router.delete('/promo-codes/:code', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE promo_codes SET is_active = false WHERE code = $1 RETURNING code`,
+      [normalizeCode(req.params.code)]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Promo code not found' });
+    }
+
+    res.json({ message: 'Promo code deactivated', code: result.rows[0].code });
+  } catch (err) {
+    console.error('Error deactivating promo code:', err);
+    res.status(500).json({ error: 'Failed to deactivate promo code' });
+  }
+});
+
+// GET /admin/chatbot-feedback?rating=down - Chatbot answer ratings for review, newest first
+router.get('/chatbot-feedback', async (req, res) => {
+  try {
+    const { rating } = req.query;
+    if (rating && !['up', 'down'].includes(rating)) {
+      return res.status(400).json({ error: 'rating must be up or down' });
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const result = await pool.query(
+      `SELECT f.id, f.message_id, f.rating, f.reason, f.question, f.answer, f.created_at, f.updated_at,
+        u.email AS user_email
+       FROM chatbot_feedback f
+       LEFT JOIN users u ON u.id = f.user_id
+       WHERE ($1::text IS NULL OR f.rating = $1)
+       ORDER BY f.updated_at DESC
+       LIMIT $2`,
+      [rating || null, limit]
+    );
+
+    res.json({ feedback: result.rows });
+  } catch (err) {
+    console.error('Error listing chatbot feedback:', err);
+    res.status(500).json({ error: 'Failed to list chatbot feedback' });
+  }
+});
+
+// GET /admin/tickets?status=open&category=payments - Support tickets, most recently updated first
+router.get('/tickets', async (req, res) => {
+  try {
+    const { status, category } = req.query;
+    if (status && !TICKET_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${TICKET_STATUSES.join(', ')}` });
+    }
+    if (category && !TICKET_CATEGORIES.includes(category)) {
+      return res.status(400).json({ error: `category must be one of: ${TICKET_CATEGORIES.join(', ')}` });
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const tickets = await listTickets({ status: status || null, category: category || null, limit });
+    res.json({ tickets });
+  } catch (err) {
+    console.error('Error listing support tickets:', err);
+    res.status(500).json({ error: 'Failed to list tickets' });
+  }
+});
+
+// Load the :id support ticket, or send a 404
+async function loadTicket(req, res) {
+  const ticket = await getTicket(req.params.id);
+  if (!ticket) {
+    res.status(404).json({ error: 'Ticket not found' });
+    return null;
+  }
+  return ticket;
+}
+
+// GET /admin/tickets/:id - A ticket with its whole thread
+router.get('/tickets/:id', async (req, res) => {
+  try {
+    const ticket = await loadTicket(req, res);
+    if (!ticket) return;
+
+    res.json({ ...ticket, messages: await getTicketMessages(ticket.id) });
+  } catch (err) {
+    console.error('Error getting support ticket:', err);
+    res.status(500).json({ error: 'Failed to get ticket' });
+  }
+});
+
+// POST /admin/tickets/:id/reply - Reply to a ticket; the reply is emailed to the user
+// Body: { message, close? } - close: true also closes the ticket
+router.post('/tickets/:id/reply', async (req, res) => {
+  try {
+    const ticket = await loadTicket(req, res);
+    if (!ticket) return;
+
+    const message = req.body?.message;
+    if (!message || typeof message !== 'string' || !message.trim()) {
+      return res.status(400).json({ error: 'Message is required' });
+    }
+
+    const result = await addTicketMessage(ticket, {
+      authorType: 'staff',
+      authorUserId: req.user.user_id,
+      body: message.trim(),
+    });
+    if (req.body.close === true) {
+      await closeTicket(ticket.id);
+    }
+
+    res.status(201).json({
+      message: result.message,
+      emailed: result.emailed,
+      // Anonymous tickets without an email address can only be answered here
+      warning: ticket.email ? undefined : 'This ticket has no email address, so the reply was not emailed',
+    });
+  } catch (err) {
+    console.error('Error replying to support ticket:', err);
+    res.status(500).json({ error: 'Failed to reply to ticket' });
+  }
+});
+
+// POST /admin/tickets/:id/close - Close a ticket
+router.post('/tickets/:id/close', async (req, res) => {
+  try {
+    const ticket = await loadTicket(req, res);
+    if (!ticket) return;
+
+    if (!(await closeTicket(ticket.id))) {
+      return res.status(400).json({ error: 'Ticket is already closed' });
+    }
+    console.log(`🎫 Support ticket #${ticket.id} closed by ${req.user.user_id}`);
+    res.json({ message: 'Ticket closed', id: ticket.id });
+  } catch (err) {
+    console.error('Error closing support ticket:', err);
+    res.status(500).json({ error: 'Failed to close ticket' });
+  }
+});
+
+// GET /admin/email-outbox?status=failed - Queued and sent emails, newest first
+router.get('/email-outbox', async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !OUTBOX_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${OUTBOX_STATUSES.join(', ')}` });
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const emails = await listOutboxMessages({ status: status || null, limit });
+    res.json({ emails });
+  } catch (err) {
+    console.error('Error listing email outbox:', err);
+    res.status(500).json({ error: 'Failed to list emails' });
+  }
+});
+
+// POST /admin/email-outbox/:id/retry - Send a failed email again (unless it has expired or been cleared)
+router.post('/email-outbox/:id/retry', async (req, res) => {
+  try {
+    if (!(await retryOutboxMessage(req.params.id))) {
+      return res.status(404).json({ error: 'No failed email with that id that can still be sent' });
+    }
+    res.json({ message: 'Email queued again', id: Number(req.params.id) });
+  } catch (err) {
+    console.error('Error retrying email:', err);
+    res.status(500).json({ error: 'Failed to retry email' });
+  }
+});
+
+export default router;
@@ -2,6 +2,21 @@ import express from 'express';
 import bcrypt from 'bcrypt';
 import pool from '../db.js';
 import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import { frontendUrl } from "../lib/mailer.js";
+import { queueMail } from "../lib/mailOutbox.js";
+import authMiddleware from "../middleware/auth.js";
+import rateLimit from "../middleware/rateLimit.js";
+import {
+  REFRESH_COOKIE_NAME,
+  createSession,
+  rotateSession,
+  findSessionByRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  setRefreshCookie,
+  clearRefreshCookie,
+} from "../lib/sessions.js";
 
 const router = express.Router();
 
@@ -20,6 +35,88 @@ function verifyToken(req, res, next) {
   });
 }
 
+const VERIFY_EMAIL_TOKEN_HOURS = 24;
+const RESET_PASSWORD_TOKEN_MINUTES = 60;
+// At most this many verification or reset emails per address per hour, so an address can't be mail-bombed
+const AUTH_EMAILS_PER_HOUR = 3;
+
+// Per-IP limit on the unauthenticated forgot-password endpoint
+const forgotPasswordLimit = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: "Too many password reset requests. Please try again later.",
+});
+
+// Only the SHA-256 of a token is stored, so a leaked table can't be used to reset passwords
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// Whether a user has had AUTH_EMAILS_PER_HOUR tokens of this purpose in the last hour
+async function tooManyAuthEmails(userId, purpose) {
+  const result = await pool.query(
+    `SELECT COUNT(*)::int AS count FROM auth_tokens
+     WHERE user_id = $1 AND purpose = $2 AND created_at > NOW() - INTERVAL '1 hour'`,
+    [userId, purpose]
+  );
+  return result.rows[0].count >= AUTH_EMAILS_PER_HOUR;
+}
+
+// Issue a single-use token for a user, invalidating any earlier unused one with the same purpose
+async function createAuthToken(userId, purpose, expiresAt) {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  await pool.query(
+    "UPDATE auth_tokens SET used_at = NOW() WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL",
+    [userId, purpose]
+  );
+
+  await pool.query(
+    "INSERT INTO auth_tokens (user_id, purpose, token_hash, expires_at) VALUES ($1, $2, $3, $4)",
+    [userId, purpose, hashToken(token), expiresAt]
+  );
+
+  return token;
+}
+
+// Mark a token as used and return its user id - null if it's unknown, expired or already used
+async function consumeAuthToken(token, purpose) {
+  if (!token || typeof token !== "string") return null;
+
+  const result = await pool.query(
+    `UPDATE auth_tokens SET used_at = NOW()
+     WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING user_id`,
+    [hashToken(token), purpose]
+  );
+
+  return result.rows[0]?.user_id || null;
+}
+
+async function sendVerificationEmail(user) {
+  const expiresAt = new Date(Date.now() + VERIFY_EMAIL_TOKEN_HOURS * 60 * 60 * 1000);
+  const token = await createAuthToken(user.id, "verify_email", expiresAt);
+
+  return queueMail({
+    to: user.email,
+    template: "verify-email",
+    data: { username: user.username, link: frontendUrl(`/verify-email?token=${token}`), hours: VERIFY_EMAIL_TOKEN_HOURS },
+    expiresAt,
+  });
+}
+
+async function sendPasswordResetEmail(user) {
+  const expiresAt = new Date(Date.now() + RESET_PASSWORD_TOKEN_MINUTES * 60 * 1000);
+  const token = await createAuthToken(user.id, "reset_password", expiresAt);
+
+  return queueMail({
+    to: user.email,
+    template: "password-reset",
+    data: { username: user.username, link: frontendUrl(`/reset-password?token=${token}`), minutes: RESET_PASSWORD_TOKEN_MINUTES },
+    expiresAt,
+  });
+}
+
 // SIGNUP ROUTE
 router.post("/signup", async (req, res) => {
   console.log("🔥 SIGNUP ROUTE HIT");
@@ -67,6 +164,13 @@ router.post("/signup", async (req, res) => {
 
     console.log("✅ New user created:", newUser.id);
 
+    // Verification email failure shouldn't block signup - the user can ask for a resend
+    try {
+      await sendVerificationEmail(newUser);
+    } catch (emailError) {
+      console.error("❌ Verification email failed:", emailError);
+    }
+
     // For now we just confirm creation (frontend redirects to login)
     return res.status(201).json({
       message: "Account created successfully",
@@ -113,16 +217,15 @@ router.post('/login', async (req, res) => {
     if (!process.env.JWT_SECRET)
       return res.status(500).json({ error: "Server config error" });
 
-    const token = jwt.sign(
-      { user_id: user.id, email: user.email, username: user.username },
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" }
-    );
+    // Short-lived access token plus a rotating refresh token (httpOnly cookie and body)
+    const session = await createSession(user, req);
+    setRefreshCookie(res, session.refreshToken, session.expiresAt);
 
     res.json({
       message: "Login successful",
-      token,
-      user: { id: user.id, email: user.email, username: user.username }
+      token: session.accessToken,
+      refreshToken: session.refreshToken,
+      user: { id: user.id, email: user.email, username: user.username, role: user.role, emailVerified: !!user.email_verified }
     });
 
   } catch (err) {
@@ -131,6 +234,277 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// REFRESH ROUTE - swap a refresh token (cookie or body) for a new access token
+router.post("/refresh", async (req, res) => {
+  try {
+    const refreshToken = req.cookies?.[REFRESH_COOKIE_NAME] || req.body?.refreshToken;
+
+    if (!refreshToken)
+      return res.status(401).json({ error: "No refresh token provided" });
+
+    if (!process.env.JWT_SECRET)
+      return res.status(500).json({ error: "Server config error" });
+
+    const session = await rotateSession(refreshToken);
+    if (!session) {
+      clearRefreshCookie(res);
+      return res.status(401).json({ error: "Invalid or expired refresh token. Please log in again." });
+    }
+
+    setRefreshCookie(res, session.refreshToken, session.expiresAt);
+
+    res.json({
+      token: session.accessToken,
+      refreshToken: session.refreshToken,
+      user: session.user
+    });
+  } catch (err) {
+    console.error("🔥 REFRESH ERROR:", err);
+    res.status(500).json({ error: "Server error", details: err.message });
+  }
+});
+
+// LOGOUT ROUTE - revoke the current session (identified by refresh token or access token)
+router.post("/logout", async (req, res) => {
+  try {
+    const refreshToken = req.cookies?.[REFRESH_COOKIE_NAME] || req.body?.refreshToken;
+    let session = await findSessionByRefreshToken(refreshToken);
+
+    if (!session) {
+      // Fall back to the session in a (possibly expired) access token
+      const header = req.headers["authorization"];
+      const token = header && header.split(" ")[1];
+      if (token) {
+        try {
+          const decoded = jwt.verify(token, process.env.JWT_SECRET, { ignoreExpiration: true });
+          if (decoded.session_id) session = { id: decoded.session_id, user_id: decoded.user_id };
+        } catch (err) {
+          // Invalid access token - nothing to revoke
+        }
+      }
+    }
+
+    if (session) await revokeSession(session.id, session.user_id, "logout");
+
+    clearRefreshCookie(res);
+    res.json({ message: "Logged out" });
+  } catch (err) {
+    console.error("🔥 LOGOUT ERROR:", err);
+    res.status(500).json({ error: "Server error", details: err.message });
+  }
+});
+
+// LIST SESSIONS ROUTE (requires login)
+router.get("/sessions", authMiddleware, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+       FROM user_sessions
+       WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY last_used_at DESC`,
+      [req.user.user_id]
+    );
+
+    res.json({
+      sessions: result.rows.map(session => ({
+        id: session.id,
+        userAgent: session.user_agent,
+        ipAddress: session.ip_address,
+        createdAt: session.created_at,
+        lastUsedAt: session.last_used_at,
+        expiresAt: session.expires_at,
+        current: session.id === req.user.session_id
+      }))
+    });
+  } catch (err) {
+    console.error("🔥 SESSIONS ERROR:", err);
+    res.status(500).json({ error: "Server error", details: err.message });
+  }
+});
+
+// REVOKE SESSION ROUTE (requires login)
+router.delete("/sessions/:id", authMiddleware, async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.params.id, req.user.user_id, "revoked_by_user");
+    if (!revoked) return res.status(404).json({ error: "Session not found" });
+
+    res.json({ message: "Session revoked" });
+  } catch (err) {
+    // Malformed UUIDs end up here
+    if (err.code === "22P02") return res.status(404).json({ error: "Session not found" });
+    console.error("🔥 REVOKE SESSION ERROR:", err);
+    res.status(500).json({ error: "Server error", details: err.message });
+  }
+});
+
+// VERIFY EMAIL ROUTE
+router.get("/verify-email/:token", async (req, res) => {
+  console.log("🔥 VERIFY EMAIL ROUTE HIT");
+
+  try {
+    const userId = await consumeAuthToken(req.params.token, "verify_email");
+    if (!userId)
+      return res.status(400).json({ error: "Verification link is invalid or has expired." });
+
+    await pool.query(
+      "UPDATE users SET email_verified = true, email_verified_at = NOW() WHERE id = $1",
+      [userId]
+    );
+
+    res.json({ message: "Email verified successfully" });
+  } catch (err) {
+    console.error("🔥 VERIFY EMAIL ERROR:", err);
+    res.status(500).json({ error: "Server error", details: err.message });
+  }
+});
+
+// RESEND VERIFICATION EMAIL ROUTE (requires login)
+router.post("/resend-verification", authMiddleware, async (req, res) => {
+  console.log("🔥 RESEND VERIFICATION ROUTE HIT");
+
+  try {
+    const result = await pool.query(
+      "SELECT id, email, username, email_verified FROM users WHERE id = $1",
+      [req.user.user_id]
+    );
+
+    const user = result.rows[0];
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    if (user.email_verified)
+      return res.status(400).json({ error: "Email is already verified" });
+
+    if (await tooManyAuthEmails(user.id, "verify_email"))
+      return res.status(429).json({ error: "Too many verification emails. Please check your inbox or try again later." });
+
+    await sendVerificationEmail(user);
+
+    res.json({ message: "Verification email sent" });
+  } catch (err) {
+    console.error("🔥 RESEND VERIFICATION ERROR:", err);
+    res.status(500).json({ error: "Server error", details: err.message });
+  }
+});
+
+// FORGOT PASSWORD ROUTE
+router.post("/forgot-password", forgotPasswordLimit, async (req, res) => {
+  console.log("🔥 FORGOT PASSWORD ROUTE HIT");
+
+  // Same response whether or not the email exists, so accounts can't be enumerated
+  const genericResponse = { message: "If an account exists for that email, a password reset link has been sent." };
+
+  try {
+    const { email } = req.body;
+
+    if (!email)
+      return res.status(400).json({ error: "Email is required" });
+
+    const result = await pool.query(
+      "SELECT id, email, username FROM users WHERE email = $1",
+      [email]
+    );
+
+    if (result.rows.length === 0) return res.json(genericResponse);
+
+    // Throttled silently: a different response would reveal that the account exists
+    if (await tooManyAuthEmails(result.rows[0].id, "reset_password")) {
+      console.warn(`⚠️ Password reset emails throttled for user ${result.rows[0].id}`);
+      return res.json(genericResponse);
+    }
+
+    try {
+      await sendPasswordResetEmail(result.rows[0]);
+    } catch (emailError) {
+      console.error("❌ Password reset email failed:", emailError);
+    }
+
+    res.json(genericResponse);
+  } catch (err) {
+    console.error("🔥 FORGOT PASSWORD ERROR:", err);
+    res.status(500).json({ error: "Server error", details: err.message });
+  }
+});
+
+// RESET PASSWORD ROUTE
+router.post("/reset-password", async (req, res) => {
+  console.log("🔥 RESET PASSWORD ROUTE HIT");
+
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password)
+      return res.status(400).json({ error: "Token and new password are required" });
+
+    if (password.length < 6)
+      return res.status(400).json({ error: "Password must be at least 6 characters long" });
+
+    const userId = await consumeAuthToken(token, "reset_password");
+    if (!userId)
+      return res.status(400).json({ error: "Reset link is invalid or has expired." });
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    // Following the emailed link also proves the user owns the address
+    await pool.query(
+      `UPDATE users
+       SET password_hash = $1, password_changed_at = NOW(),
+           email_verified = true, email_verified_at = COALESCE(email_verified_at, NOW())
+       WHERE id = $2`,
+      [hashedPassword, userId]
+    );
+
+    // Anyone holding an old refresh token is logged out
+    await revokeUserSessions(userId, "password_reset");
+
+    console.log("✅ Password reset for user:", userId);
+    res.json({ message: "Password has been reset. You can now log in." });
+  } catch (err) {
+    console.error("🔥 RESET PASSWORD ERROR:", err);
+    res.status(500).json({ error: "Server error", details: err.message });
+  }
+});
+
+// CHANGE PASSWORD ROUTE (requires login)
+router.post("/change-password", authMiddleware, async (req, res) => {
+  console.log("🔥 CHANGE PASSWORD ROUTE HIT");
+
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword)
+      return res.status(400).json({ error: "Current password and new password are required" });
+
+    if (newPassword.length < 6)
+      return res.status(400).json({ error: "Password must be at least 6 characters long" });
+
+    const result = await pool.query(
+      "SELECT id, password_hash FROM users WHERE id = $1",
+      [req.user.user_id]
+    );
+
+    const user = result.rows[0];
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const match = await bcrypt.compare(currentPassword, user.password_hash);
+    if (!match) return res.status(400).json({ error: "Current password is incorrect." });
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    await pool.query(
+      "UPDATE users SET password_hash = $1, password_changed_at = NOW() WHERE id = $2",
+      [hashedPassword, user.id]
+    );
+
+    // Log out every other device; the session making this request stays signed in
+    const revokedSessions = await revokeUserSessions(user.id, "password_changed", req.user.session_id || null);
+
+    console.log("✅ Password changed for user:", user.id);
+    res.json({ message: "Password changed successfully", revokedSessions });
+  } catch (err) {
+    console.error("🔥 CHANGE PASSWORD ERROR:", err);
+    res.status(500).json({ error: "Server error", details: err.message });
+  }
+});
+
 // DB test route
 router.get('/test-db', async (req, res) => {
   try {
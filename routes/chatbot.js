@@ -1,34 +1,28 @@
 import express from 'express';
-import OpenAI from 'openai';
 import authMiddleware from '../middleware/auth.js';
-import pool from '../db.js';
+import {
+  listConversations,
+  getConversation,
+  getMessages,
+  deleteConversation,
+  buildHistory,
+  saveExchange,
+  saveFeedback,
+} from '../lib/chatbotConversations.js';
+import { searchKnowledge, formatPassages, toCitations } from '../lib/knowledgeBase.js';
+import { QUOTA_TIME_ZONE, consumeQuestion, refundQuestion, getUsage } from '../lib/chatbotUsage.js';
+import { getLLMProvider, getGenerationSettings } from '../lib/llm.js';
+import {
+  OFF_TOPIC_REPLY,
+  checkQuestion,
+  sanitizeHistory,
+  isOnTopic,
+  checkAnswer,
+  createStreamCheck,
+} from '../lib/chatbotModeration.js';
 
 const router = express.Router();
 
-const MAX_QUESTIONS_PER_DAY = 4;
-
-// Initialize OpenAI client lazily (only when needed)
-function getOpenAIClient() {
-  if (!process.env.OPENAI_API_KEY) {
-    throw new Error('OPENAI_API_KEY is not set in environment variables');
-  }
-  
-  // Trim whitespace and remove quotes if present
-  const apiKey = process.env.OPENAI_API_KEY.trim().replace(/^["']|["']$/g, '');
-  
-  // Validate key format (should start with sk-)
-  if (!apiKey.startsWith('sk-')) {
-    console.error('⚠️ API key does not start with "sk-"');
-    throw new Error('Invalid API key format. Key should start with "sk-"');
-  }
-  
-  console.log('🔑 Using API key with length:', apiKey.length, 'prefix:', apiKey.substring(0, 7));
-  
-  return new OpenAI({
-    apiKey: apiKey,
-  });
-}
-
 // System prompt for driving test assistance
 const SYSTEM_PROMPT = 
 `You are the DriveFlow Assistant.
@@ -48,111 +42,115 @@ Rules:
 7. Never give unsafe, illegal, or risky driving advice.
 8. Keep formatting simple unless the user explicitly asks for lists, steps, or long explanations.`;
 
-// GET /chatbot/test - Test if OpenAI API key is configured (protected route)
-router.get('/test', authMiddleware, (req, res) => {
+// GET /chatbot/test - Which model provider is active, whether it's configured and whether it's reachable (protected route)
+router.get('/test', authMiddleware, async (req, res) => {
   console.log('🔥 CHATBOT TEST ROUTE HIT');
-  const rawKey = process.env.OPENAI_API_KEY;
-  const hasKey = !!rawKey;
-  
-  let keyInfo = {
-    hasKey: false,
-    rawLength: 0,
-    trimmedLength: 0,
-    rawPrefix: 'N/A',
-    trimmedPrefix: 'N/A',
-    hasQuotes: false,
-    hasWhitespace: false,
-    isValidFormat: false
-  };
-  
-  if (rawKey) {
-    const trimmed = rawKey.trim().replace(/^["']|["']$/g, '');
-    keyInfo = {
-      hasKey: true,
-      rawLength: rawKey.length,
-      trimmedLength: trimmed.length,
-      rawPrefix: rawKey.substring(0, Math.min(10, rawKey.length)),
-      trimmedPrefix: trimmed.substring(0, Math.min(10, trimmed.length)),
-      hasQuotes: rawKey.startsWith('"') || rawKey.startsWith("'") || rawKey.endsWith('"') || rawKey.endsWith("'"),
-      hasWhitespace: rawKey !== rawKey.trim(),
-      isValidFormat: trimmed.startsWith('sk-')
-    };
+  try {
+    const provider = getLLMProvider();
+    const { temperature, maxTokens } = getGenerationSettings();
+    const { reachable, error } = await provider.check();
+
+    console.log(`🤖 Chatbot provider ${provider.name} (${provider.model}):`, reachable ? 'reachable' : error);
+    res.json({
+      provider: provider.name,
+      model: provider.model,
+      baseUrl: provider.baseUrl,
+      temperature,
+      maxTokens,
+      configured: provider.configured,
+      reachable,
+      error: error || null,
+      message: !provider.configured
+        ? `Chatbot provider "${provider.name}" is NOT configured`
+        : reachable
+          ? `Chatbot provider "${provider.name}" is configured and reachable`
+          : `Chatbot provider "${provider.name}" is configured but not reachable`
+    });
+  } catch (err) {
+    // Unknown CHATBOT_PROVIDER
+    res.json({ configured: false, reachable: false, error: err.message, message: err.message });
   }
-  
-  console.log('API Key check:', keyInfo);
-  
-  res.json({
-    configured: hasKey,
-    keyInfo: keyInfo,
-    message: hasKey 
-      ? (keyInfo.isValidFormat ? 'OpenAI API key is configured and formatted correctly' : 'OpenAI API key is configured but format may be invalid')
-      : 'OpenAI API key is NOT configured'
-  });
 });
 
-// Helper function to check and increment daily question count
-async function checkAndIncrementUsage(userId) {
-  const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
-  
-  // Get or create today's usage record
-  let result = await pool.query(
-    `SELECT question_count FROM chatbot_usage 
-     WHERE user_id = $1 AND usage_date = $2`,
-    [userId, today]
-  );
-
-  let currentCount = 0;
-  if (result.rows.length > 0) {
-    currentCount = result.rows[0].question_count;
-  } else {
-    // Create new record for today
-    await pool.query(
-      `INSERT INTO chatbot_usage (user_id, usage_date, question_count) 
-       VALUES ($1, $2, 0)`,
-      [userId, today]
-    );
+// Messages sent to the model: system prompt, knowledge base passages, earlier conversation
+// (rebuilt from the database), then the new question
+function buildMessages(message, history, passages = []) {
+  const reference = passages.length === 0 ? [] : [{
+    role: 'system',
+    content: 'Reference passages from the Rules of the Road, RSA test-day guidance and the DriveFlow FAQ:\n\n' +
+      `${formatPassages(passages)}\n\n` +
+      'Base your answer on these passages where they are relevant and cite them by number, e.g. [1]. ' +
+      'If they do not cover the question, do not make up an answer.'
+  }];
+
+  return [
+    { role: 'system', content: SYSTEM_PROMPT },
+    ...reference,
+    ...history,
+    { role: 'user', content: message }
+  ];
+}
+
+// Knowledge base passages for a question. The chatbot still answers (ungrounded) if the search fails.
+async function findPassages(question) {
+  try {
+    return await searchKnowledge(question);
+  } catch (err) {
+    console.error('Error searching the knowledge base:', err);
+    return [];
   }
+}
 
-  // Check if limit reached
-  if (currentCount >= MAX_QUESTIONS_PER_DAY) {
-    return { allowed: false, remaining: 0, total: MAX_QUESTIONS_PER_DAY };
+// Citations for the passages the answer refers to ([1], [2], ...), or all of them if it doesn't cite any
+function citationsFor(answer, passages) {
+  const citations = toCitations(passages);
+  const cited = citations.filter(citation => answer.includes(`[${citation.number}]`));
+  return cited.length > 0 ? cited : citations;
+}
+
+// Map a model provider error (the OpenAI SDK's, for OpenAI-compatible servers and Azure) to the response the client gets
+function sendChatbotError(res, err) {
+  if (err.status === 401 || (err.message && err.message.includes('Invalid API key'))) {
+    return res.status(500).json({ 
+      error: 'Invalid API key. Please check your chatbot provider configuration.',
+      details: err.message 
+    });
+  }
+  
+  if (err.status === 429) {
+    return res.status(429).json({ 
+      error: 'Rate limit exceeded. Please try again in a moment.',
+      details: err.message 
+    });
+  }
+  
+  if (err.status >= 500) {
+    return res.status(500).json({ 
+      error: 'Chatbot service error. Please try again later.',
+      details: err.message 
+    });
   }
 
-  // Increment count
-  await pool.query(
-    `UPDATE chatbot_usage 
-     SET question_count = question_count + 1, updated_at = NOW()
-     WHERE user_id = $1 AND usage_date = $2`,
-    [userId, today]
-  );
-
-  return { 
-    allowed: true, 
-    remaining: MAX_QUESTIONS_PER_DAY - (currentCount + 1), 
-    total: MAX_QUESTIONS_PER_DAY 
-  };
+  // Generic error response
+  res.status(500).json({ 
+    error: 'Failed to get chatbot response', 
+    details: err.message || 'Unknown error occurred'
+  });
 }
 
 // GET /chatbot/usage - Get current usage status (protected route)
 router.get('/usage', authMiddleware, async (req, res) => {
   try {
-    const userId = req.user.user_id;
-    const today = new Date().toISOString().split('T')[0];
-    
-    const result = await pool.query(
-      `SELECT question_count FROM chatbot_usage 
-       WHERE user_id = $1 AND usage_date = $2`,
-      [userId, today]
-    );
-
-    const currentCount = result.rows.length > 0 ? result.rows[0].question_count : 0;
-    const remaining = Math.max(0, MAX_QUESTIONS_PER_DAY - currentCount);
+    const usage = await getUsage(req.user.user_id);
 
     res.json({
-      used: currentCount,
-      remaining: remaining,
-      total: MAX_QUESTIONS_PER_DAY,
-      limitReached: currentCount >= MAX_QUESTIONS_PER_DAY
+      tier: usage.tier,
+      used: usage.used,
+      remaining: usage.remaining,
+      total: usage.total,
+      limitReached: usage.limitReached,
+      resetsAt: usage.resetsAt,
+      timeZone: QUOTA_TIME_ZONE
     });
   } catch (err) {
     console.error('Error getting chatbot usage:', err);
@@ -160,60 +158,111 @@ router.get('/usage', authMiddleware, async (req, res) => {
   }
 });
 
-// POST /chatbot/message - Send message to chatbot (protected route)
-router.post('/message', authMiddleware, async (req, res) => {
-  console.log('🔥 CHATBOT MESSAGE ROUTE HIT');
-  try {
-    const { message, conversationHistory = [] } = req.body;
-    const userId = req.user.user_id;
+// Validate a question, load its conversation and count it towards today's limit.
+// Sends the error response and returns null if the question can't be asked.
+// Any conversationHistory sent by the client is ignored - history comes from the stored conversation.
+async function prepareQuestion(req, res) {
+  const userId = req.user.user_id;
+  const { message, conversationId = null } = req.body || {};
 
-    // Validate message
-    if (!message || typeof message !== 'string' || message.trim().length === 0) {
-      return res.status(400).json({ error: 'Message is required and must be a non-empty string' });
-    }
+  // Validate message
+  if (!message || typeof message !== 'string' || message.trim().length === 0) {
+    res.status(400).json({ error: 'Message is required and must be a non-empty string' });
+    return null;
+  }
 
-    // Check daily usage limit
-    const usage = await checkAndIncrementUsage(userId);
-    if (!usage.allowed) {
-      return res.status(429).json({ 
-        error: 'Daily question limit reached',
-        details: `You have reached the maximum of ${MAX_QUESTIONS_PER_DAY} questions per day. Please try again tomorrow.`,
-        remaining: 0,
-        total: MAX_QUESTIONS_PER_DAY
-      });
-    }
+  // Length cap, role-spoofing removal and prompt-injection check
+  const checked = checkQuestion(message);
+  if (checked.error) {
+    console.log(`⚠️ Chatbot question from ${userId} rejected: ${checked.reason}`);
+    res.status(400).json({ error: checked.error, reason: checked.reason });
+    return null;
+  }
+  const { question } = checked;
 
-    // Check if OpenAI API key is configured
-    if (!process.env.OPENAI_API_KEY) {
-      console.error('⚠️ OPENAI_API_KEY not set in environment variables');
-      return res.status(500).json({ error: 'Chatbot service is not configured' });
+  let conversation = null;
+  if (conversationId !== null) {
+    conversation = await getConversation(conversationId, userId);
+    if (!conversation) {
+      res.status(404).json({ error: 'Conversation not found' });
+      return null;
     }
+  }
+  const history = sanitizeHistory(await buildHistory(conversation?.id));
+
+  // Only the Irish driving test or DriveFlow (not sent to the model, and not counted)
+  if (!isOnTopic(question, { hasHistory: history.length > 0 })) {
+    res.status(400).json({ error: OFF_TOPIC_REPLY, reason: 'off_topic' });
+    return null;
+  }
+  const passages = await findPassages(question);
+
+  // Check the model provider is configured
+  const provider = getLLMProvider();
+  if (!provider.configured) {
+    console.error(`⚠️ Chatbot provider ${provider.name} is not configured: ${provider.missing}`);
+    res.status(503).json({ error: 'Chatbot service is not configured', details: provider.missing });
+    return null;
+  }
 
-    // Build messages array for OpenAI
-    const messages = [
-      { role: 'system', content: SYSTEM_PROMPT },
-      ...conversationHistory, // Include previous conversation context
-      { role: 'user', content: message.trim() }
-    ];
-
-    // Get OpenAI client (lazy initialization)
-    const openai = getOpenAIClient();
-
-    // Call OpenAI API
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-3.5-turbo',
-      messages: messages,
-      temperature: 0.7,
-      max_tokens: 500, // Limit response length
+  // Check daily usage limit (counts the question if it's allowed)
+  const usage = await consumeQuestion(userId);
+  if (!usage.allowed) {
+    res.status(429).json({ 
+      error: 'Daily question limit reached',
+      details: `You have reached the maximum of ${usage.total} questions per day. Please try again tomorrow.`,
+      tier: usage.tier,
+      remaining: 0,
+      total: usage.total,
+      resetsAt: usage.resetsAt
     });
+    return null;
+  }
+
+  return {
+    question,
+    conversationId: conversation?.id || null,
+    usage,
+    provider,
+    passages,
+    messages: buildMessages(question, history, passages)
+  };
+}
+
+// POST /chatbot/message - Send message to chatbot (protected route)
+// Body: { message, conversationId? } - leave out conversationId to start a new conversation
+router.post('/message', authMiddleware, async (req, res) => {
+  console.log('🔥 CHATBOT MESSAGE ROUTE HIT');
+  let prepared = null;
+  const userId = req.user.user_id;
+  try {
+    prepared = await prepareQuestion(req, res);
+    if (!prepared) return;
+    const { question, usage, provider, passages, messages } = prepared;
 
-    const aiResponse = completion.choices[0]?.message?.content || 'Sorry, I could not generate a response.';
+    const completion = await provider.complete(messages);
+
+    const { answer: aiResponse, filtered } = checkAnswer(completion.content || 'Sorry, I could not generate a response.', SYSTEM_PROMPT);
+    const citations = citationsFor(aiResponse, passages);
+    const { conversationId, assistantMessageId } = await saveExchange({
+      conversationId: prepared.conversationId,
+      userId,
+      question,
+      answer: aiResponse,
+      model: completion.model,
+      citations,
+    });
 
     console.log('✅ Chatbot response generated successfully');
     res.json({
       response: aiResponse,
       model: completion.model,
+      conversationId,
+      assistantMessageId,
+      citations,
+      filtered,
       usage: {
+        tier: usage.tier,
         remaining: usage.remaining,
         total: usage.total
       }
@@ -224,40 +273,211 @@ router.post('/message', authMiddleware, async (req, res) => {
     console.error('Error stack:', err.stack);
     console.error('Error name:', err.name);
 
-    // Handle specific OpenAI API errors
-    if (err.message && err.message.includes('OPENAI_API_KEY')) {
-      return res.status(503).json({ 
-        error: 'Chatbot service is not configured. OPENAI_API_KEY is missing.',
-        details: 'Please check environment variables in Railway.'
-      });
+    if (prepared) {
+      await refundQuestion(userId, prepared.usage.usageDate);
     }
-    
-    if (err.status === 401 || (err.message && err.message.includes('Invalid API key'))) {
-      return res.status(500).json({ 
-        error: 'Invalid API key. Please check your OpenAI API configuration.',
-        details: err.message 
+    sendChatbotError(res, err);
+  }
+});
+
+// Write one Server-Sent Event
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// POST /chatbot/message/stream - Same as /message, but streams the answer as Server-Sent Events:
+// "token" events with each piece of text, then "done" with the full response, or "error".
+// Text is checked before it's sent, like /message's answers are (see createStreamCheck).
+// The question is refunded if the model call fails at any point, including part-way through.
+router.post('/message/stream', authMiddleware, async (req, res) => {
+  console.log('🔥 CHATBOT STREAM ROUTE HIT');
+  let prepared = null;
+  const userId = req.user.user_id;
+  try {
+    prepared = await prepareQuestion(req, res);
+    if (!prepared) return;
+    const { question, usage, provider, passages, messages } = prepared;
+
+    // Stop generating if the client goes away (the question still counts - it was asked)
+    const abort = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) abort.abort();
+    });
+
+    // Wait for the first piece before starting the stream, so an error calling the model
+    // still gets a normal JSON error response
+    const stream = provider.stream(messages, { signal: abort.signal });
+    let piece = await stream.next();
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no', // don't let proxies buffer the stream
+    });
+
+    const check = createStreamCheck(SYSTEM_PROMPT);
+    let model = null;
+    try {
+      for (; !piece.done; piece = await stream.next()) {
+        model = model || piece.value.model;
+        const content = check.push(piece.value.content);
+        if (content) sendEvent(res, 'token', { content });
+
+        // Leaked instructions or over the length cap: stop generating
+        if (check.stop) {
+          await stream.return();
+          break;
+        }
+      }
+    } catch (err) {
+      if (res.destroyed) return;
+      console.error('❌ Chatbot stream failed part-way:', err);
+      await refundQuestion(userId, usage.usageDate);
+      sendEvent(res, 'error', {
+        error: 'The response was interrupted. This question has not been counted.',
+        usage: { tier: usage.tier, remaining: usage.remaining + 1, total: usage.total }
       });
+      return res.end();
     }
-    
-    if (err.status === 429) {
-      return res.status(429).json({ 
-        error: 'Rate limit exceeded. Please try again in a moment.',
-        details: err.message 
-      });
+
+    // Send what was held back. A withheld answer was never streamed, so "filtered" tells the client
+    // to show "response" instead of the text it has.
+    const { answer: aiResponse, filtered, rest } = check.finish('Sorry, I could not generate a response.');
+    if (rest) sendEvent(res, 'token', { content: rest });
+    const citations = citationsFor(aiResponse, passages);
+    let saved = { conversationId: prepared.conversationId, assistantMessageId: null };
+    try {
+      saved = await saveExchange({ conversationId: prepared.conversationId, userId, question, answer: aiResponse, model, citations });
+    } catch (err) {
+      // The user already has the answer, so don't turn it into an error
+      console.error('❌ Error saving streamed chatbot answer:', err);
     }
-    
-    if (err.status === 500 || (err.message && err.message.includes('OpenAI'))) {
-      return res.status(500).json({ 
-        error: 'OpenAI service error. Please try again later.',
-        details: err.message 
-      });
+
+    console.log('✅ Chatbot response streamed successfully');
+    sendEvent(res, 'done', {
+      response: aiResponse,
+      model,
+      conversationId: saved.conversationId,
+      assistantMessageId: saved.assistantMessageId,
+      citations,
+      filtered,
+      usage: {
+        tier: usage.tier,
+        remaining: usage.remaining,
+        total: usage.total
+      }
+    });
+    res.end();
+
+  } catch (err) {
+    // Failed before streaming started, so a normal JSON error can still be sent
+    console.error('❌ Error in chatbot stream route:', err);
+    if (prepared) {
+      await refundQuestion(userId, prepared.usage.usageDate);
     }
+    sendChatbotError(res, err);
+  }
+});
 
-    // Generic error response
-    res.status(500).json({ 
-      error: 'Failed to get chatbot response', 
-      details: err.message || 'Unknown error occurred'
+const FEEDBACK_RATINGS = ['up', 'down'];
+const MAX_FEEDBACK_REASON_LENGTH = 500;
+
+// POST /chatbot/feedback - Rate an answer thumbs-up or thumbs-down, optionally with a reason
+// Body: { messageId, rating: 'up' | 'down', reason? } (messageId is the answer's assistantMessageId)
+router.post('/feedback', authMiddleware, async (req, res) => {
+  try {
+    const { messageId, rating } = req.body || {};
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : null;
+
+    if (!Number.isInteger(messageId) || messageId < 1) {
+      return res.status(400).json({ error: 'messageId is required' });
+    }
+    if (!FEEDBACK_RATINGS.includes(rating)) {
+      return res.status(400).json({ error: 'rating must be "up" or "down"' });
+    }
+    if (reason && reason.length > MAX_FEEDBACK_REASON_LENGTH) {
+      return res.status(400).json({ error: `reason can be at most ${MAX_FEEDBACK_REASON_LENGTH} characters` });
+    }
+
+    const feedback = await saveFeedback({ messageId, userId: req.user.user_id, rating, reason: reason || null });
+    if (!feedback) {
+      return res.status(404).json({ error: 'Answer not found' });
+    }
+
+    console.log(`💬 Chatbot feedback (${rating}) on message ${messageId} from ${req.user.user_id}`);
+    res.json({
+      id: feedback.id,
+      messageId: feedback.message_id,
+      rating: feedback.rating,
+      reason: feedback.reason,
+      createdAt: feedback.created_at,
+      updatedAt: feedback.updated_at
     });
+  } catch (err) {
+    console.error('Error saving chatbot feedback:', err);
+    res.status(500).json({ error: 'Failed to save feedback' });
+  }
+});
+
+// GET /chatbot/conversations - The user's conversations, most recent first
+router.get('/conversations', authMiddleware, async (req, res) => {
+  try {
+    const conversations = await listConversations(req.user.user_id);
+    res.json({
+      conversations: conversations.map(conversation => ({
+        id: conversation.id,
+        title: conversation.title,
+        messageCount: conversation.message_count,
+        createdAt: conversation.created_at,
+        updatedAt: conversation.updated_at
+      }))
+    });
+  } catch (err) {
+    console.error('Error listing chatbot conversations:', err);
+    res.status(500).json({ error: 'Failed to list conversations' });
+  }
+});
+
+// GET /chatbot/conversations/:id - A conversation with all its messages
+router.get('/conversations/:id', authMiddleware, async (req, res) => {
+  try {
+    const conversation = await getConversation(req.params.id, req.user.user_id);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const messages = await getMessages(conversation.id);
+    res.json({
+      id: conversation.id,
+      title: conversation.title,
+      createdAt: conversation.created_at,
+      updatedAt: conversation.updated_at,
+      messages: messages.map(message => ({
+        id: message.id,
+        role: message.role,
+        content: message.content,
+        citations: message.citations || [],
+        createdAt: message.created_at
+      }))
+    });
+  } catch (err) {
+    console.error('Error getting chatbot conversation:', err);
+    res.status(500).json({ error: 'Failed to get conversation' });
+  }
+});
+
+// DELETE /chatbot/conversations/:id - Delete a conversation and its messages
+router.delete('/conversations/:id', authMiddleware, async (req, res) => {
+  try {
+    const deleted = await deleteConversation(req.params.id, req.user.user_id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error deleting chatbot conversation:', err);
+    res.status(500).json({ error: 'Failed to delete conversation' });
   }
 });
 
@@ -1,6 +1,14 @@
 import express from "express";
-import nodemailer from "nodemailer";
 import jwt from "jsonwebtoken";
+import authMiddleware from "../middleware/auth.js";
+import {
+  TICKET_CATEGORIES,
+  createTicket,
+  getTicket,
+  getTicketMessages,
+  listTickets,
+  addTicketMessage,
+} from "../lib/supportTickets.js";
 
 const router = express.Router();
 
@@ -26,133 +34,76 @@ const optionalAuth = (req, res, next) => {
   next();
 };
 
-// Create transporter (using environment variables)
-// For Gmail, you'll need an App Password: https://support.google.com/accounts/answer/185833
-// Railway may block port 587, so we default to 465 (SSL) which is more reliable
-const transporter = nodemailer.createTransport({
-  host: process.env.SMTP_HOST || "smtp.gmail.com",
-  port: parseInt(process.env.SMTP_PORT || "465"),
-  secure: process.env.SMTP_SECURE !== "false", // true for 465, false for 587
-  auth: {
-    user: process.env.SMTP_USER,
-    pass: process.env.SMTP_PASS,
-  },
-  connectionTimeout: 10000, // 10 seconds
-  greetingTimeout: 10000,
-  socketTimeout: 10000,
-});
+const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_MESSAGE_LENGTH = 5000;
 
-// Verify transporter configuration
-if (process.env.SMTP_USER && process.env.SMTP_PASS) {
-  console.log("📧 SMTP configured with user:", process.env.SMTP_USER);
-  console.log("📧 SMTP host:", process.env.SMTP_HOST || "smtp.gmail.com");
-  const smtpPort = parseInt(process.env.SMTP_PORT || "465");
-  console.log("📧 SMTP port:", smtpPort);
-  console.log("📧 SMTP secure:", process.env.SMTP_SECURE !== "false");
-  transporter.verify((error, success) => {
-    if (error) {
-      console.error("❌ SMTP configuration error:", error);
-      console.error("Error details:", {
-        code: error.code,
-        command: error.command,
-        response: error.response,
-        responseCode: error.responseCode
-      });
-    } else {
-      console.log("✅ SMTP server is ready to send emails");
-    }
-  });
-} else {
-  console.warn("⚠️ SMTP not configured - SMTP_USER or SMTP_PASS missing");
-  console.warn("SMTP_USER:", process.env.SMTP_USER ? "Set" : "Missing");
-  console.warn("SMTP_PASS:", process.env.SMTP_PASS ? "Set" : "Missing");
+// Validate a message body. Returns an error string, or null if it's fine.
+function validateMessage(message) {
+  if (!message || typeof message !== "string" || message.trim().length === 0) {
+    return "Message is required";
+  }
+  // Limit message length to prevent abuse
+  if (message.length > MAX_MESSAGE_LENGTH) {
+    return `Message is too long (max ${MAX_MESSAGE_LENGTH} characters)`;
+  }
+  return null;
+}
+
+function formatTicket(ticket) {
+  return {
+    id: ticket.id,
+    category: ticket.category,
+    subject: ticket.subject,
+    status: ticket.status,
+    messageCount: ticket.message_count,
+    createdAt: ticket.created_at,
+    updatedAt: ticket.updated_at,
+    closedAt: ticket.closed_at,
+  };
 }
 
 // POST /contact/send - Send contact message (optional auth)
+// Saved as a support ticket, so it isn't lost if the email to support fails
 router.post("/send", optionalAuth, async (req, res) => {
   try {
-    const { message } = req.body;
+    const { message, category = "general" } = req.body || {};
 
     // Validate input
-    if (!message || typeof message !== "string" || message.trim().length === 0) {
-      return res.status(400).json({ error: "Message is required" });
-    }
-
-    // Limit message length to prevent abuse
-    if (message.length > 5000) {
-      return res.status(400).json({ error: "Message is too long (max 5000 characters)" });
+    const invalid = validateMessage(message);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
     }
 
-    // Get user info if authenticated (optional)
-    let userEmail = "Anonymous";
-    let username = "Anonymous";
-    
-    if (req.user) {
-      userEmail = req.user.email || "Unknown";
-      username = req.user.username || "Unknown";
+    if (!TICKET_CATEGORIES.includes(category)) {
+      return res.status(400).json({ error: `category must be one of: ${TICKET_CATEGORIES.join(", ")}` });
     }
 
-    // Check if email is configured
-    if (!process.env.SMTP_USER || !process.env.SMTP_PASS) {
-      console.error("❌ SMTP not configured. Contact message from:", userEmail);
-      console.log("Message:", message);
-      // Still return success to user, but log the message
-      return res.status(200).json({ 
-        message: "Thank you for your message. We'll get back to you soon." 
-      });
+    // Logged-in users are replied to at their account email; anonymous senders can leave one
+    let email = null;
+    let name = null;
+    if (!req.user) {
+      email = typeof req.body.email === "string" && req.body.email.trim() ? req.body.email.trim().toLowerCase() : null;
+      if (email && !emailRegex.test(email)) {
+        return res.status(400).json({ error: "Invalid email address" });
+      }
+      name = typeof req.body.name === "string" && req.body.name.trim() ? req.body.name.trim().slice(0, 100) : null;
     }
 
-    // Get recipient email from env or use SMTP_USER as default
-    const recipientEmail = process.env.CONTACT_EMAIL || process.env.SMTP_USER;
-
-    // Prepare email
-    const mailOptions = {
-      from: `"DriveFlow Contact" <${process.env.SMTP_USER}>`,
-      to: recipientEmail,
-      replyTo: userEmail !== "Anonymous" ? userEmail : undefined,
-      subject: `Contact Form Message from ${username}`,
-      text: `New contact form message from DriveFlow\n\n` +
-            `From: ${username} (${userEmail})\n\n` +
-            `Message:\n${message.trim()}\n\n` +
-            `---\nSent from DriveFlow Contact Form`,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #5bc0be;">New Contact Form Message</h2>
-          <div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
-            <p><strong>From:</strong> ${username} (${userEmail})</p>
-            <p><strong>Message:</strong></p>
-            <p style="white-space: pre-wrap; background: white; padding: 15px; border-radius: 4px;">${message.trim().replace(/\n/g, '<br>')}</p>
-          </div>
-          <p style="color: #666; font-size: 12px; margin-top: 20px;">
-            ---<br>
-            Sent from DriveFlow Contact Form
-          </p>
-        </div>
-      `,
-    };
-
-    // Send email
-    try {
-      await transporter.sendMail(mailOptions);
-      console.log(`✅ Contact message sent from ${userEmail} to ${recipientEmail}`);
-    } catch (emailError) {
-      console.error("❌ Email sending failed:", emailError);
-      console.error("Error details:", {
-        code: emailError.code,
-        command: emailError.command,
-        response: emailError.response,
-        responseCode: emailError.responseCode
-      });
-      throw emailError; // Re-throw to be caught by outer catch
-    }
+    const ticket = await createTicket({
+      userId: req.user?.user_id || null,
+      email,
+      name,
+      category,
+      message: message.trim(),
+    });
 
     res.status(200).json({
       message: "Thank you for your message. We'll get back to you soon.",
+      ticketId: ticket.id,
     });
 
   } catch (err) {
-    console.error("❌ Error sending contact message:", err);
-    console.error("Full error:", JSON.stringify(err, Object.getOwnPropertyNames(err)));
+    console.error("❌ Error saving contact message:", err);
     res.status(500).json({
       error: "Failed to send message. Please try again later.",
       details: process.env.NODE_ENV === "development" ? err.message : undefined,
@@ -160,5 +111,77 @@ router.post("/send", optionalAuth, async (req, res) => {
   }
 });
 
-export default router;
+// GET /contact/tickets - The user's support tickets, most recently updated first
+router.get("/tickets", authMiddleware, async (req, res) => {
+  try {
+    const tickets = await listTickets({ userId: req.user.user_id });
+    res.json({ tickets: tickets.map(formatTicket) });
+  } catch (err) {
+    console.error("Error listing support tickets:", err);
+    res.status(500).json({ error: "Failed to list tickets" });
+  }
+});
+
+// Load one of the user's tickets, or send a 404
+async function loadOwnTicket(req, res) {
+  const ticket = await getTicket(req.params.id);
+  if (!ticket || ticket.user_id !== req.user.user_id) {
+    res.status(404).json({ error: "Ticket not found" });
+    return null;
+  }
+  return ticket;
+}
+
+// GET /contact/tickets/:id - A ticket with its whole thread
+router.get("/tickets/:id", authMiddleware, async (req, res) => {
+  try {
+    const ticket = await loadOwnTicket(req, res);
+    if (!ticket) return;
+
+    const messages = await getTicketMessages(ticket.id);
+    res.json({
+      ...formatTicket({ ...ticket, message_count: messages.length }),
+      messages: messages.map(message => ({
+        id: message.id,
+        from: message.author_type,
+        body: message.body,
+        createdAt: message.created_at,
+      })),
+    });
+  } catch (err) {
+    console.error("Error getting support ticket:", err);
+    res.status(500).json({ error: "Failed to get ticket" });
+  }
+});
 
+// POST /contact/tickets/:id/messages - Follow up on a ticket (reopens it if it was answered or closed)
+router.post("/tickets/:id/messages", authMiddleware, async (req, res) => {
+  try {
+    const ticket = await loadOwnTicket(req, res);
+    if (!ticket) return;
+
+    const { message } = req.body || {};
+    const invalid = validateMessage(message);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const result = await addTicketMessage(ticket, {
+      authorType: "user",
+      authorUserId: req.user.user_id,
+      body: message.trim(),
+    });
+
+    res.status(201).json({
+      id: result.message.id,
+      from: result.message.author_type,
+      body: result.message.body,
+      createdAt: result.message.created_at,
+    });
+  } catch (err) {
+    console.error("Error adding to support ticket:", err);
+    res.status(500).json({ error: "Failed to send message" });
+  }
+});
+
+export default router;
@@ -1,58 +1,222 @@
 import express from 'express';
 import pool from '../db.js';
 import authMiddleware from '../middleware/auth.js';
+import { scheduleReview } from '../lib/spacedRepetition.js';
 
 const router = express.Router();
 
-// Save mock test result (protected route)
-router.post('/save', authMiddleware, async (req, res) => {
+// Irish theory test format: 40 questions, 35 correct to pass, 45 minutes
+const QUESTIONS_PER_TEST = 40;
+const PASS_MARK = 35;
+const TIME_LIMIT_SECONDS = 45 * 60;
+// Allow for network latency between the client timer running out and the submit arriving
+const SUBMIT_GRACE_SECONDS = 30;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Start a mock test - draws a random paper from the question bank (protected route)
+router.post('/start', authMiddleware, async (req, res) => {
   try {
-    console.log('🔥 MOCK TEST SAVE ROUTE HIT');
-    console.log('Request body:', req.body);
-    console.log('User from token:', req.user);
-    
-    const { correct_count, total_questions, percentage, passed, time_taken_seconds, time_remaining_seconds } = req.body;
     const user_id = req.user.user_id || req.user.id;
 
-    console.log('Extracted user_id:', user_id);
+    const questions = await pool.query(
+      `SELECT id, category, question, options, image_url
+       FROM theory_questions
+       WHERE is_active = true
+       ORDER BY random()
+       LIMIT $1`,
+      [QUESTIONS_PER_TEST]
+    );
 
-    // Validate required fields
-    if (correct_count === undefined || total_questions === undefined || percentage === undefined || passed === undefined) {
-      console.error('Missing required fields');
-      return res.status(400).json({ error: 'Missing required fields', received: req.body });
+    if (questions.rows.length < QUESTIONS_PER_TEST) {
+      console.error(`Question bank only has ${questions.rows.length} active questions`);
+      return res.status(503).json({ error: 'Mock tests are not available yet. Please try again later.' });
     }
 
-    if (!user_id) {
-      console.error('No user_id found in token');
-      return res.status(400).json({ error: 'User ID not found in token', user: req.user });
+    const expiresAt = new Date(Date.now() + TIME_LIMIT_SECONDS * 1000);
+
+    const attempt = await pool.query(
+      `INSERT INTO mock_test_attempts (user_id, question_ids, expires_at)
+       VALUES ($1, $2, $3)
+       RETURNING id, started_at, expires_at`,
+      [user_id, questions.rows.map(q => q.id), expiresAt]
+    );
+
+    // Correct answers and explanations are only returned after submission
+    res.status(201).json({
+      attempt_id: attempt.rows[0].id,
+      started_at: attempt.rows[0].started_at,
+      expires_at: attempt.rows[0].expires_at,
+      time_limit_seconds: TIME_LIMIT_SECONDS,
+      total_questions: QUESTIONS_PER_TEST,
+      pass_mark: PASS_MARK,
+      questions: questions.rows.map(q => ({
+        id: q.id,
+        category: q.category,
+        question: q.question,
+        options: q.options,
+        image_url: q.image_url,
+      })),
+    });
+
+  } catch (err) {
+    console.error('❌ Error starting mock test:', err);
+    res.status(500).json({ error: 'Failed to start mock test', details: err.message });
+  }
+});
+
+// Submit a mock test - scores the answers on the server (protected route)
+// Body: { answers: [{ question_id, selected_option }] } - unanswered questions count as wrong
+router.post('/:id/submit', authMiddleware, async (req, res) => {
+  let client;
+
+  try {
+    const user_id = req.user.user_id || req.user.id;
+    const { id } = req.params;
+    const { answers = [] } = req.body || {};
+
+    // Attempt ids are UUIDs - anything else can't match one
+    if (!UUID_PATTERN.test(id)) {
+      return res.status(404).json({ error: 'Mock test not found' });
     }
 
-    console.log('Attempting to insert:', { user_id, correct_count, total_questions, percentage, passed });
+    if (!Array.isArray(answers)) {
+      return res.status(400).json({ error: 'Answers must be an array of { question_id, selected_option }' });
+    }
 
-    // Insert the test result
-    const result = await pool.query(
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    // Lock the attempt so a double submit can't score it twice
+    const attemptResult = await client.query(
+      `SELECT id, user_id, question_ids, started_at, expires_at, submitted_at
+       FROM mock_test_attempts
+       WHERE id = $1
+       FOR UPDATE`,
+      [id]
+    );
+
+    if (attemptResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Mock test not found' });
+    }
+
+    const attempt = attemptResult.rows[0];
+
+    if (attempt.user_id !== user_id) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'Mock test does not belong to this user' });
+    }
+
+    if (attempt.submitted_at) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Mock test has already been submitted' });
+    }
+
+    const now = new Date();
+    const deadline = new Date(new Date(attempt.expires_at).getTime() + SUBMIT_GRACE_SECONDS * 1000);
+    if (now > deadline) {
+      // Close the attempt so it can't be submitted later
+      await client.query('UPDATE mock_test_attempts SET submitted_at = NOW() WHERE id = $1', [id]);
+      await client.query('COMMIT');
+      return res.status(400).json({ error: 'Time limit exceeded. This mock test can no longer be submitted.' });
+    }
+
+    const questions = await client.query(
+      `SELECT id, category, question, options, correct_option, explanation, image_url
+       FROM theory_questions
+       WHERE id = ANY($1)`,
+      [attempt.question_ids]
+    );
+    const questionsById = new Map(questions.rows.map(q => [q.id, q]));
+
+    // Only the first answer per question on this paper counts
+    const selectedByQuestion = new Map();
+    for (const answer of answers) {
+      const questionId = parseInt(answer?.question_id);
+      if (attempt.question_ids.includes(questionId) && !selectedByQuestion.has(questionId)) {
+        const selected = Number.isInteger(answer.selected_option) ? answer.selected_option : null;
+        selectedByQuestion.set(questionId, selected);
+      }
+    }
+
+    const review = attempt.question_ids
+      .filter(questionId => questionsById.has(questionId))
+      .map(questionId => {
+        const question = questionsById.get(questionId);
+        const selected_option = selectedByQuestion.get(questionId) ?? null;
+        return {
+          id: question.id,
+          category: question.category,
+          question: question.question,
+          options: question.options,
+          image_url: question.image_url,
+          selected_option,
+          correct_option: question.correct_option,
+          is_correct: selected_option === question.correct_option,
+          explanation: question.explanation,
+        };
+      });
+
+    const total_questions = attempt.question_ids.length;
+    const correct_count = review.filter(q => q.is_correct).length;
+    const percentage = Math.round((correct_count / total_questions) * 100);
+    const passed = correct_count >= PASS_MARK;
+    const time_taken_seconds = Math.min(
+      TIME_LIMIT_SECONDS,
+      Math.round((now - new Date(attempt.started_at)) / 1000)
+    );
+    const time_remaining_seconds = TIME_LIMIT_SECONDS - time_taken_seconds;
+
+    const result = await client.query(
       `INSERT INTO mock_test_results 
        (user_id, correct_count, total_questions, percentage, passed, time_taken_seconds, time_remaining_seconds)
        VALUES ($1, $2, $3, $4, $5, $6, $7)
        RETURNING *`,
-      [user_id, correct_count, total_questions, percentage, passed, time_taken_seconds || null, time_remaining_seconds || null]
+      [user_id, correct_count, total_questions, percentage, passed, time_taken_seconds, time_remaining_seconds]
+    );
+
+    await client.query(
+      `UPDATE mock_test_attempts SET submitted_at = NOW(), result_id = $1 WHERE id = $2`,
+      [result.rows[0].id, id]
     );
 
-    console.log('✅ Test result saved successfully:', result.rows[0]);
+    // Store every answer against the attempt for analytics
+    await client.query(
+      `INSERT INTO mock_test_answers (attempt_id, user_id, question_id, selected_option, is_correct)
+       SELECT $1, $2, question_id, selected_option, is_correct
+       FROM UNNEST($3::int[], $4::int[], $5::boolean[]) AS a(question_id, selected_option, is_correct)`,
+      [id, user_id, review.map(q => q.id), review.map(q => q.selected_option), review.map(q => q.is_correct)]
+    );
+
+    await client.query('COMMIT');
+
+    console.log(`✅ Mock test ${id} scored for user ${user_id}: ${correct_count}/${total_questions}`);
 
     res.json({
-      message: 'Test result saved successfully',
-      result: result.rows[0]
+      message: 'Test submitted successfully',
+      result: result.rows[0],
+      pass_mark: PASS_MARK,
+      questions: review,
     });
 
   } catch (err) {
-    console.error('❌ Error saving mock test result:', err);
-    console.error('Error details:', err.message);
-    console.error('Error stack:', err.stack);
-    res.status(500).json({ error: 'Failed to save test result', details: err.message });
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('❌ Error submitting mock test:', err);
+    res.status(500).json({ error: 'Failed to submit mock test', details: err.message });
+  } finally {
+    client?.release();
   }
 });
 
+// Client-scored results are no longer accepted - use /start and /:id/submit (protected route)
+router.post('/save', authMiddleware, (req, res) => {
+  res.status(410).json({
+    error: 'Saving client-scored results is no longer supported',
+    details: 'Start a test with POST /mock-tests/start and submit it with POST /mock-tests/:id/submit'
+  });
+});
+
 // Get user's mock test results (protected route)
 router.get('/results', authMiddleware, async (req, res) => {
   try {
@@ -117,5 +281,227 @@ router.get('/stats', authMiddleware, async (req, res) => {
   }
 });
 
+// Get the practice queue - reviews that are due, then previously missed questions, then new ones (protected route)
+router.get('/practice/next', authMiddleware, async (req, res) => {
+  try {
+    const user_id = req.user.user_id || req.user.id;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+    const due = await pool.query(
+      `SELECT q.id, q.category, q.question, q.options, q.image_url, r.due_at
+       FROM question_reviews r
+       JOIN theory_questions q ON q.id = r.question_id
+       WHERE r.user_id = $1 AND r.due_at <= NOW() AND q.is_active = true
+       ORDER BY r.due_at
+       LIMIT $2`,
+      [user_id, limit]
+    );
+
+    let questions = due.rows.map(q => ({ ...q, source: 'due' }));
+
+    // Top up with questions the user got wrong in mock tests but hasn't practised yet
+    if (questions.length < limit) {
+      const missed = await pool.query(
+        `SELECT q.id, q.category, q.question, q.options, q.image_url
+         FROM theory_questions q
+         WHERE q.is_active = true
+           AND q.id IN (SELECT question_id FROM mock_test_answers WHERE user_id = $1 AND is_correct = false)
+           AND NOT EXISTS (SELECT 1 FROM question_reviews r WHERE r.user_id = $1 AND r.question_id = q.id)
+         ORDER BY random()
+         LIMIT $2`,
+        [user_id, limit - questions.length]
+      );
+      questions = questions.concat(missed.rows.map(q => ({ ...q, source: 'missed' })));
+    }
+
+    // Then with questions the user has never practised
+    if (questions.length < limit) {
+      const fresh = await pool.query(
+        `SELECT q.id, q.category, q.question, q.options, q.image_url
+         FROM theory_questions q
+         WHERE q.is_active = true
+           AND q.id <> ALL($3::int[])
+           AND NOT EXISTS (SELECT 1 FROM question_reviews r WHERE r.user_id = $1 AND r.question_id = q.id)
+         ORDER BY random()
+         LIMIT $2`,
+        [user_id, limit - questions.length, questions.map(q => q.id)]
+      );
+      questions = questions.concat(fresh.rows.map(q => ({ ...q, source: 'new' })));
+    }
+
+    const dueCount = await pool.query(
+      `SELECT COUNT(*) as due_count
+       FROM question_reviews r
+       JOIN theory_questions q ON q.id = r.question_id
+       WHERE r.user_id = $1 AND r.due_at <= NOW() AND q.is_active = true`,
+      [user_id]
+    );
+
+    res.json({
+      due_count: parseInt(dueCount.rows[0].due_count) || 0,
+      questions: questions.map(q => ({
+        id: q.id,
+        category: q.category,
+        question: q.question,
+        options: q.options,
+        image_url: q.image_url,
+        source: q.source,
+      })),
+    });
+
+  } catch (err) {
+    console.error('Error fetching practice questions:', err);
+    res.status(500).json({ error: 'Failed to fetch practice questions', details: err.message });
+  }
+});
+
+// Answer a practice question and reschedule it (protected route)
+// Body: { question_id, selected_option, quality? } - quality is an optional SM-2 self-rating (0-5)
+router.post('/practice/answer', authMiddleware, async (req, res) => {
+  try {
+    const user_id = req.user.user_id || req.user.id;
+    const { question_id, selected_option, quality } = req.body;
+
+    if (!Number.isInteger(question_id) || !Number.isInteger(selected_option)) {
+      return res.status(400).json({ error: 'question_id and selected_option must be integers' });
+    }
+
+    const questionResult = await pool.query(
+      `SELECT id, correct_option, explanation FROM theory_questions WHERE id = $1 AND is_active = true`,
+      [question_id]
+    );
+
+    if (questionResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+
+    const question = questionResult.rows[0];
+    const is_correct = selected_option === question.correct_option;
+
+    // The server decides pass/fail - a self-rating can only adjust within that (3-5 correct, 0-2 wrong)
+    let grade = is_correct ? 4 : 1;
+    if (Number.isInteger(quality)) {
+      grade = is_correct ? Math.min(5, Math.max(3, quality)) : Math.min(2, Math.max(0, quality));
+    }
+
+    const current = await pool.query(
+      `SELECT ease_factor, interval_days, repetitions FROM question_reviews
+       WHERE user_id = $1 AND question_id = $2`,
+      [user_id, question_id]
+    );
+
+    const next = scheduleReview(current.rows[0] || {}, grade);
+
+    const result = await pool.query(
+      `INSERT INTO question_reviews
+       (user_id, question_id, ease_factor, interval_days, repetitions, review_count, lapse_count, last_quality, due_at, last_reviewed_at)
+       VALUES ($1, $2, $3, $4, $5, 1, $6, $7, $8, NOW())
+       ON CONFLICT (user_id, question_id) DO UPDATE SET
+         ease_factor = EXCLUDED.ease_factor,
+         interval_days = EXCLUDED.interval_days,
+         repetitions = EXCLUDED.repetitions,
+         review_count = question_reviews.review_count + 1,
+         lapse_count = question_reviews.lapse_count + EXCLUDED.lapse_count,
+         last_quality = EXCLUDED.last_quality,
+         due_at = EXCLUDED.due_at,
+         last_reviewed_at = NOW()
+       RETURNING ease_factor::float AS ease_factor, interval_days, repetitions, review_count, due_at`,
+      [user_id, question_id, next.ease_factor, next.interval_days, next.repetitions, is_correct ? 0 : 1, grade, next.due_at]
+    );
+
+    res.json({
+      is_correct,
+      correct_option: question.correct_option,
+      explanation: question.explanation,
+      schedule: result.rows[0],
+    });
+
+  } catch (err) {
+    console.error('Error saving practice answer:', err);
+    res.status(500).json({ error: 'Failed to save practice answer', details: err.message });
+  }
+});
+
+// Get per-category accuracy, accuracy trend and most-missed questions (protected route)
+router.get('/analytics', authMiddleware, async (req, res) => {
+  try {
+    const user_id = req.user.user_id || req.user.id;
+    const days = Math.min(parseInt(req.query.days) || 30, 365);
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+    const categories = await pool.query(
+      `SELECT q.category,
+        COUNT(*) as answered,
+        COUNT(*) FILTER (WHERE a.is_correct) as correct
+       FROM mock_test_answers a
+       JOIN theory_questions q ON q.id = a.question_id
+       WHERE a.user_id = $1
+       GROUP BY q.category`,
+      [user_id]
+    );
+
+    const trend = await pool.query(
+      `SELECT DATE(answered_at) as date,
+        COUNT(*) as answered,
+        COUNT(*) FILTER (WHERE is_correct) as correct
+       FROM mock_test_answers
+       WHERE user_id = $1 AND answered_at > NOW() - make_interval(days => $2)
+       GROUP BY DATE(answered_at)
+       ORDER BY date`,
+      [user_id, days]
+    );
+
+    const mostMissed = await pool.query(
+      `SELECT q.id, q.category, q.question,
+        COUNT(*) as answered,
+        COUNT(*) FILTER (WHERE NOT a.is_correct) as missed,
+        MAX(a.answered_at) as last_answered_at
+       FROM mock_test_answers a
+       JOIN theory_questions q ON q.id = a.question_id
+       WHERE a.user_id = $1
+       GROUP BY q.id
+       HAVING COUNT(*) FILTER (WHERE NOT a.is_correct) > 0
+       ORDER BY missed DESC, last_answered_at DESC
+       LIMIT $2`,
+      [user_id, limit]
+    );
+
+    const accuracy = (correct, answered) =>
+      answered > 0 ? Math.round((correct / answered) * 100) : null;
+
+    // Weakest categories first so the dashboard can highlight what to revise
+    const categoryStats = categories.rows
+      .map(row => ({
+        category: row.category,
+        answered: parseInt(row.answered),
+        correct: parseInt(row.correct),
+        accuracy: accuracy(parseInt(row.correct), parseInt(row.answered)),
+      }))
+      .sort((a, b) => a.accuracy - b.accuracy);
+
+    res.json({
+      categories: categoryStats,
+      trend: trend.rows.map(row => ({
+        date: row.date,
+        answered: parseInt(row.answered),
+        correct: parseInt(row.correct),
+        accuracy: accuracy(parseInt(row.correct), parseInt(row.answered)),
+      })),
+      most_missed: mostMissed.rows.map(row => ({
+        question_id: row.id,
+        category: row.category,
+        question: row.question,
+        answered: parseInt(row.answered),
+        missed: parseInt(row.missed),
+        last_answered_at: row.last_answered_at,
+      })),
+    });
+
+  } catch (err) {
+    console.error('Error fetching mock test analytics:', err);
+    res.status(500).json({ error: 'Failed to fetch analytics', details: err.message });
+  }
+});
+
 export default router;
 
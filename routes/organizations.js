@@ -0,0 +1,346 @@
+import express from 'express';
+import pool from '../db.js';
+import authMiddleware from '../middleware/auth.js';
+import requireRole from '../middleware/requireRole.js';
+import stripe from '../lib/stripe.js';
+import {
+  getSeatPrice,
+  listOrganizations,
+  getManagedOrganization,
+  getSeatUsage,
+  addSeatsFromPayment,
+  inviteStudents,
+  acceptInvite,
+  listStudents,
+  removeStudent,
+} from '../lib/organizations.js';
+
+const router = express.Router();
+
+const MAX_SEATS_PER_PURCHASE = 200;
+const MAX_INVITES_PER_REQUEST = 100;
+
+// Instructors (and admins) manage organizations; the organization routes below also check ownership
+const requireInstructor = [authMiddleware, requireRole('instructor', 'admin')];
+
+// Load the :id organization for its owner (or an admin), or send a 404
+async function loadOrganization(req, res) {
+  const organization = await getManagedOrganization(req.params.id, req.user);
+  if (!organization) {
+    res.status(404).json({ error: 'Organization not found' });
+    return null;
+  }
+  return organization;
+}
+
+// POST /organizations/invites/accept - Join an organization from an emailed invite (any logged-in user)
+router.post('/invites/accept', authMiddleware, async (req, res) => {
+  try {
+    const { token } = req.body || {};
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ error: 'Invite token is required' });
+    }
+
+    const result = await acceptInvite(token, req.user);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      organization: result.organization,
+      expiresAt: result.license.expires_at,
+    });
+  } catch (err) {
+    console.error('Error accepting organization invite:', err);
+    res.status(500).json({ error: 'Failed to accept invite' });
+  }
+});
+
+// GET /organizations - Organizations the instructor owns
+router.get('/', requireInstructor, async (req, res) => {
+  try {
+    const organizations = await listOrganizations(req.user);
+    res.json({
+      organizations: organizations.map(organization => ({
+        id: organization.id,
+        name: organization.name,
+        seats: organization.seats,
+        createdAt: organization.created_at,
+      })),
+    });
+  } catch (err) {
+    console.error('Error listing organizations:', err);
+    res.status(500).json({ error: 'Failed to list organizations' });
+  }
+});
+
+// POST /organizations - Create an organization (driving school)
+router.post('/', requireInstructor, async (req, res) => {
+  try {
+    const name = req.body?.name?.trim();
+    if (!name) {
+      return res.status(400).json({ error: 'Organization name is required' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO organizations (name, owner_user_id) VALUES ($1, $2)
+       RETURNING id, name, seats, created_at`,
+      [name, req.user.user_id]
+    );
+
+    const organization = result.rows[0];
+    console.log(`🏫 Organization "${name}" created by ${req.user.user_id}`);
+    res.status(201).json({
+      id: organization.id,
+      name: organization.name,
+      seats: organization.seats,
+      createdAt: organization.created_at,
+    });
+  } catch (err) {
+    console.error('Error creating organization:', err);
+    res.status(500).json({ error: 'Failed to create organization' });
+  }
+});
+
+// GET /organizations/:id - Organization with seat usage and pending invites
+router.get('/:id', requireInstructor, async (req, res) => {
+  try {
+    const organization = await loadOrganization(req, res);
+    if (!organization) return;
+
+    const usage = await getSeatUsage(organization.id);
+    const invites = await pool.query(
+      `SELECT id, email, expires_at, created_at
+       FROM organization_invites
+       WHERE organization_id = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY created_at DESC`,
+      [organization.id]
+    );
+
+    res.json({
+      id: organization.id,
+      name: organization.name,
+      seats: usage,
+      seatPrice: getSeatPrice(),
+      pendingInvites: invites.rows.map(invite => ({
+        id: invite.id,
+        email: invite.email,
+        expiresAt: invite.expires_at,
+        invitedAt: invite.created_at,
+      })),
+    });
+  } catch (err) {
+    console.error('Error getting organization:', err);
+    res.status(500).json({ error: 'Failed to get organization' });
+  }
+});
+
+// POST /organizations/:id/seats/create-payment-intent - Start a payment for more seats
+router.post('/:id/seats/create-payment-intent', requireInstructor, async (req, res) => {
+  try {
+    if (!stripe) {
+      return res.status(503).json({ error: 'Payment system not configured. Please contact support.' });
+    }
+
+    const organization = await loadOrganization(req, res);
+    if (!organization) return;
+
+    const seats = req.body?.seats;
+    if (!Number.isInteger(seats) || seats < 1 || seats > MAX_SEATS_PER_PURCHASE) {
+      return res.status(400).json({ error: `seats must be a whole number between 1 and ${MAX_SEATS_PER_PURCHASE}` });
+    }
+
+    const seatPrice = getSeatPrice();
+    const amount = seatPrice * seats;
+
+    const paymentIntent = await stripe.paymentIntents.create({
+      amount,
+      currency: 'eur',
+      metadata: {
+        user_id: req.user.user_id.toString(),
+        type: 'organization_seats',
+        organization_id: organization.id.toString(),
+        seats: seats.toString(),
+        product: 'Student seats',
+      },
+      automatic_payment_methods: {
+        enabled: true,
+      },
+      description: `${seats} student seat(s) for ${organization.name}`,
+    });
+
+    console.log(`Seat PaymentIntent ${paymentIntent.id} created for organization ${organization.id}: ${seats} seat(s)`);
+    res.json({
+      clientSecret: paymentIntent.client_secret,
+      paymentIntentId: paymentIntent.id,
+      seats,
+      seatPrice,
+      amount,
+    });
+  } catch (err) {
+    console.error('Error creating seat payment intent:', err);
+    res.status(500).json({ error: 'Failed to create payment intent', details: err.message });
+  }
+});
+
+// POST /organizations/:id/seats/confirm - Add the seats once the payment has succeeded
+router.post('/:id/seats/confirm', requireInstructor, async (req, res) => {
+  try {
+    if (!stripe) {
+      return res.status(503).json({ error: 'Payment system not configured. Please contact support.' });
+    }
+
+    const organization = await loadOrganization(req, res);
+    if (!organization) return;
+
+    const { paymentIntentId } = req.body || {};
+    if (!paymentIntentId) {
+      return res.status(400).json({ error: 'Payment intent ID required' });
+    }
+
+    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+    if (paymentIntent.metadata.type !== 'organization_seats' ||
+        paymentIntent.metadata.organization_id !== organization.id.toString()) {
+      return res.status(403).json({ error: 'Payment is not for this organization' });
+    }
+    if (paymentIntent.status !== 'succeeded') {
+      return res.status(400).json({ error: 'Payment not completed', status: paymentIntent.status });
+    }
+
+    const { created } = await addSeatsFromPayment({
+      userId: req.user.user_id,
+      paymentIntentId,
+      metadata: paymentIntent.metadata,
+      amount: paymentIntent.amount,
+      currency: paymentIntent.currency,
+    });
+
+    res.json({
+      success: true,
+      message: created ? 'Seats added' : 'Seats were already added for this payment',
+      seats: await getSeatUsage(organization.id),
+    });
+  } catch (err) {
+    console.error('Error confirming seat payment:', err);
+    res.status(500).json({ error: 'Failed to confirm payment', details: err.message });
+  }
+});
+
+// POST /organizations/:id/invites - Invite students by email (each invite holds a seat)
+router.post('/:id/invites', requireInstructor, async (req, res) => {
+  try {
+    const organization = await loadOrganization(req, res);
+    if (!organization) return;
+
+    const { emails } = req.body || {};
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!Array.isArray(emails) || emails.length === 0 || emails.length > MAX_INVITES_PER_REQUEST) {
+      return res.status(400).json({ error: `emails must be a list of 1 to ${MAX_INVITES_PER_REQUEST} addresses` });
+    }
+    const invalid = emails.filter(email => typeof email !== 'string' || !emailRegex.test(email.trim()));
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: 'Invalid email address', invalid });
+    }
+
+    const result = await inviteStudents(organization, emails, req.user.user_id);
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
+
+    res.status(201).json({
+      invited: result.invited.map(invite => ({
+        id: invite.id,
+        email: invite.email,
+        expiresAt: invite.expires_at,
+        emailed: invite.emailed,
+      })),
+      skipped: result.skipped,
+      seats: await getSeatUsage(organization.id),
+    });
+  } catch (err) {
+    console.error('Error inviting students:', err);
+    res.status(500).json({ error: 'Failed to invite students' });
+  }
+});
+
+// DELETE /organizations/:id/invites/:inviteId - Revoke a pending invite and free its seat
+router.delete('/:id/invites/:inviteId', requireInstructor, async (req, res) => {
+  try {
+    const organization = await loadOrganization(req, res);
+    if (!organization) return;
+
+    const result = await pool.query(
+      `UPDATE organization_invites SET revoked_at = NOW()
+       WHERE id = $1 AND organization_id = $2 AND accepted_at IS NULL AND revoked_at IS NULL
+       RETURNING id`,
+      [parseInt(req.params.inviteId) || 0, organization.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Pending invite not found' });
+    }
+
+    res.json({ success: true, seats: await getSeatUsage(organization.id) });
+  } catch (err) {
+    console.error('Error revoking invite:', err);
+    res.status(500).json({ error: 'Failed to revoke invite' });
+  }
+});
+
+// GET /organizations/:id/students - Students with license status and mock test stats
+router.get('/:id/students', requireInstructor, async (req, res) => {
+  try {
+    const organization = await loadOrganization(req, res);
+    if (!organization) return;
+
+    const students = await listStudents(organization.id);
+    res.json({
+      students: students.map(student => ({
+        id: student.id,
+        username: student.username,
+        email: student.email,
+        joinedAt: student.joined_at,
+        license: {
+          active: !!student.has_license,
+          expiresAt: student.license_expires_at,
+        },
+        mockTests: {
+          attempts: student.mock_attempts,
+          passed: student.mock_passed,
+          averagePercentage: student.average_percentage,
+          bestPercentage: student.best_percentage,
+          lastAttemptAt: student.last_attempt_at,
+        },
+      })),
+    });
+  } catch (err) {
+    console.error('Error listing students:', err);
+    res.status(500).json({ error: 'Failed to list students' });
+  }
+});
+
+// DELETE /organizations/:id/students/:userId - Remove a student (their organization access ends)
+router.delete('/:id/students/:userId', requireInstructor, async (req, res) => {
+  try {
+    const organization = await loadOrganization(req, res);
+    if (!organization) return;
+
+    if (!/^[0-9a-f-]{36}$/i.test(req.params.userId)) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const removed = await removeStudent(organization.id, req.params.userId);
+    if (!removed) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    console.log(`🏫 User ${req.params.userId} removed from organization ${organization.id}`);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error removing student:', err);
+    res.status(500).json({ error: 'Failed to remove student' });
+  }
+});
+
+export default router;
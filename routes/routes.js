@@ -1,37 +1,38 @@
 import express from 'express';
-import Stripe from 'stripe';
 import pool from '../db.js';
 import authMiddleware from '../middleware/auth.js';
+import requireRole from '../middleware/requireRole.js';
 import { randomUUID } from 'crypto';
-import { readFileSync } from 'fs';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+import stripe from '../lib/stripe.js';
+import { findCentre, getCentreRoutes, getCentreRoute, slugify } from '../lib/routeCatalogue.js';
+import { parseDirectionsLink, describeRoute, toGeoJSON, toGPX } from '../lib/routeGeometry.js';
+import {
+  validatePromoCode,
+  normalizeCode,
+  reservePromoCode,
+  unreservePromoCode,
+  recordPromoReservation,
+  releasePromoReservation,
+} from '../lib/promoCodes.js';
+import {
+  DEFAULT_PRODUCT_ID,
+  listProducts,
+  getProduct,
+  hasActiveLicense,
+  getActiveLicenses,
+  findLicenseToExtend,
+  createLicenseFromPayment,
+  deactivatePaymentLicenses,
+  reactivatePaymentLicenses,
+  notePaymentLicenses,
+} from '../lib/licenses.js';
+import { claimWebhookEvent, markWebhookEventProcessed, markWebhookEventFailed } from '../lib/stripeWebhooks.js';
+import { listPurchases, getReceipt, renderReceiptHtml, renderReceiptPdf } from '../lib/receipts.js';
+import { listGiftVouchers, createGiftVoucherFromPayment, redeemGiftVoucher } from '../lib/giftVouchers.js';
+import { addSeatsFromPayment } from '../lib/organizations.js';
 
 const router = express.Router();
 
-// Initialize Stripe
-let stripe;
-try {
-  if (!process.env.STRIPE_SECRET_KEY) {
-    console.error('⚠️ STRIPE_SECRET_KEY not set in environment variables');
-  } else {
-    const secretKey = process.env.STRIPE_SECRET_KEY.trim();
-    const keyType = secretKey.startsWith('sk_test_') ? 'TEST' : 
-                   secretKey.startsWith('sk_live_') ? 'LIVE' : 'UNKNOWN';
-    console.log(`🔑 Stripe Secret Key Type: ${keyType}`);
-    
-    stripe = new Stripe(secretKey, {
-      apiVersion: '2024-11-20.acacia',
-    });
-    console.log('✅ Stripe initialized successfully');
-  }
-} catch (err) {
-  console.error('❌ Failed to initialize Stripe:', err.message);
-}
-
 // Get link expiry hours from settings (default 12)
 async function getLinkExpiryHours() {
   try {
@@ -45,50 +46,6 @@ async function getLinkExpiryHours() {
   }
 }
 
-// Check if user has active license
-async function hasActiveLicense(userId) {
-  try {
-    // Permanent access for admin users (set via ADMIN_USER_IDS env var, comma-separated)
-    const adminUserIds = process.env.ADMIN_USER_IDS?.split(',').map(id => id.trim()) || [];
-    if (adminUserIds.includes(userId.toString())) {
-      console.log('✅ Admin user detected - granting permanent access:', userId);
-      // Return a "permanent" license object (expires far in the future)
-      return {
-        expires_at: new Date('2099-12-31T23:59:59Z'),
-        is_permanent: true
-      };
-    }
-    
-    // Try with is_active first, fallback to just checking expiry if column doesn't exist
-    let result;
-    try {
-      result = await pool.query(
-        `SELECT expires_at FROM route_licenses 
-         WHERE user_id = $1 AND is_active = true AND expires_at > NOW()
-         ORDER BY expires_at DESC LIMIT 1`,
-        [userId]
-      );
-    } catch (err) {
-      // If is_active column doesn't exist, try without it
-      if (err.message && err.message.includes('is_active')) {
-        console.warn('is_active column not found, checking without it');
-        result = await pool.query(
-          `SELECT expires_at FROM route_licenses 
-           WHERE user_id = $1 AND expires_at > NOW()
-           ORDER BY expires_at DESC LIMIT 1`,
-          [userId]
-        );
-      } else {
-        throw err;
-      }
-    }
-    return result.rows[0] || null;
-  } catch (err) {
-    console.error('Error checking license:', err);
-    return null;
-  }
-}
-
 // GET /routes/publishable-key - Get Stripe publishable key
 router.get('/publishable-key', (req, res) => {
   try {
@@ -139,8 +96,97 @@ router.get('/publishable-key', (req, res) => {
   }
 });
 
+// Work out what a checkout is for: the product, the centre it covers and, for extensions,
+// the license being extended. Returns { error, status } if the purchase isn't allowed.
+// Gifts are for someone else, so the buyer's own licenses don't matter.
+async function resolveCheckout(userId, productId, centreKey, { gift = false } = {}) {
+  const product = await getProduct(productId);
+  if (!product || !product.is_active) {
+    return { error: 'License product not found', status: 404 };
+  }
+
+  let centre = null;
+  if (centreKey) {
+    centre = await findCentre(centreKey);
+    if (!centre) {
+      return { error: 'Test centre not found', status: 404 };
+    }
+  } else if (product.scope === 'centre' && !product.is_extension) {
+    return { error: 'Please choose a test centre for this pass', status: 400 };
+  }
+
+  if (gift) {
+    if (product.is_extension) {
+      return { error: 'Extensions can\'t be bought as a gift', status: 400 };
+    }
+    return { product, centre, extendsLicense: null };
+  }
+
+  if (product.is_extension) {
+    const extendsLicense = await findLicenseToExtend(userId, centre?.id ?? null);
+    if (!extendsLicense) {
+      return {
+        error: centre
+          ? `You need an active license for ${centre.name} (or all centres) to extend it`
+          : 'You need an active license to buy an extension',
+        status: 400,
+      };
+    }
+    return { product, centre, extendsLicense };
+  }
+
+  // Don't sell access the user already has - they can extend it instead
+  const existingLicense = await hasActiveLicense(userId, product.scope === 'centre' ? centre.id : null);
+  if (existingLicense && (product.scope === 'centre' || existingLicense.centre_id == null)) {
+    return {
+      error: 'You already have an active license covering this. Buy an extension to add more time.',
+      status: 400,
+      details: { expiresAt: existingLicense.expires_at },
+    };
+  }
+
+  return { product, centre, extendsLicense: null };
+}
+
+// Check the recipient details of a gift purchase. Stripe metadata values are limited to 500 characters.
+function validateGift(gift) {
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  if (typeof gift !== 'object' || typeof gift.recipientEmail !== 'string' || !emailRegex.test(gift.recipientEmail.trim())) {
+    return 'A valid recipient email is required for a gift';
+  }
+  if (gift.recipientName != null && (typeof gift.recipientName !== 'string' || gift.recipientName.length > 100)) {
+    return 'Recipient name must be 100 characters or fewer';
+  }
+  if (gift.message != null && (typeof gift.message !== 'string' || gift.message.length > 450)) {
+    return 'Gift message must be 450 characters or fewer';
+  }
+  return null;
+}
+
+// GET /routes/products - License products available to buy
+router.get('/products', async (req, res) => {
+  try {
+    const products = await listProducts();
+    res.json(products.map(product => ({
+      id: product.id,
+      name: product.name,
+      description: product.description,
+      price: product.price_cents,
+      currency: product.currency,
+      durationMonths: product.duration_months,
+      scope: product.scope,
+      isExtension: product.is_extension,
+    })));
+  } catch (err) {
+    console.error('Error listing license products:', err);
+    res.status(500).json({ error: 'Failed to load license products' });
+  }
+});
+
 // POST /routes/create-payment-intent - Create PaymentIntent for onsite payment
 router.post('/create-payment-intent', authMiddleware, async (req, res) => {
+  let reservedPromoId = null;
+
   try {
     // Check if Stripe is initialized
     if (!stripe) {
@@ -152,32 +198,81 @@ router.post('/create-payment-intent', authMiddleware, async (req, res) => {
     }
 
     const userId = req.user.user_id;
-    const price = parseInt(process.env.ROUTES_LICENSE_PRICE || '1399'); // default €13.99
+    const { promoCode, centre: centreKey, productId = DEFAULT_PRODUCT_ID, gift } = req.body || {};
+
+    // Buying for someone else: the voucher is emailed to gift.recipientEmail once the payment succeeds
+    let giftMetadata = {};
+    if (gift) {
+      const giftError = validateGift(gift);
+      if (giftError) {
+        return res.status(400).json({ error: giftError });
+      }
+      giftMetadata = {
+        gift: 'true',
+        recipient_email: gift.recipientEmail.trim().toLowerCase(),
+        ...(gift.recipientName?.trim() ? { recipient_name: gift.recipientName.trim() } : {}),
+        ...(gift.message?.trim() ? { gift_message: gift.message.trim() } : {}),
+      };
+    }
 
-    // Check if user already has active license
-    const existingLicense = await hasActiveLicense(userId);
-    if (existingLicense) {
-      return res.status(400).json({ 
-        error: 'You already have an active license',
-        expiresAt: existingLicense.expires_at
+    const checkout = await resolveCheckout(userId, productId, centreKey, { gift: !!gift });
+    if (checkout.error) {
+      return res.status(checkout.status).json({ error: checkout.error, ...checkout.details });
+    }
+    const { product, centre, extendsLicense } = checkout;
+    const price = product.price_cents;
+
+    // Apply promo code
+    let amount = price;
+    let promoMetadata = {};
+    if (promoCode) {
+      const promo = await validatePromoCode({
+        code: promoCode,
+        email: req.user.email,
+        centreId: centre?.id ?? null,
+        scope: product.scope,
+        amount: price,
+        userId,
       });
+      if (!promo.valid) {
+        return res.status(400).json({ error: promo.error });
+      }
+
+      // Hold one use of the code for this checkout; it's released if the payment is cancelled or fails
+      if (!(await reservePromoCode(promo.promo.id, userId))) {
+        return res.status(400).json({ error: 'Promo code has already been used' });
+      }
+      reservedPromoId = promo.promo.id;
+
+      amount = promo.finalAmount;
+      promoMetadata = {
+        promo_code_id: promo.promo.id.toString(),
+        promo_code: promo.promo.code,
+        discount_amount: promo.discount.toString(),
+        original_amount: price.toString(),
+      };
     }
 
-    console.log('Creating PaymentIntent for user:', userId);
-    console.log('Price:', price, 'cents (€' + (price / 100).toFixed(2) + ')');
+    console.log('Creating PaymentIntent for user:', userId, 'product:', product.id);
+    console.log('Price:', amount, 'cents (€' + (amount / 100).toFixed(2) + ')', promoMetadata.promo_code ? `with code ${promoMetadata.promo_code}` : '');
 
     // Create PaymentIntent
     const paymentIntent = await stripe.paymentIntents.create({
-      amount: price,
-      currency: 'eur',
+      amount,
+      currency: product.currency,
       metadata: {
         user_id: userId.toString(),
-        product: '3-Month Route Access License',
+        product: product.name,
+        product_id: product.id,
+        ...(centre ? { centre_id: centre.id.toString() } : {}),
+        ...(extendsLicense ? { extends_license_id: extendsLicense.id } : {}),
+        ...promoMetadata,
+        ...giftMetadata,
       },
       automatic_payment_methods: {
         enabled: true,
       },
-      description: '3-Month Route Access License',
+      description: `${gift ? 'Gift: ' : ''}${centre && product.scope === 'centre' ? `${product.name} - ${centre.name}` : product.name}`,
     });
 
     console.log('PaymentIntent created:', paymentIntent.id);
@@ -197,11 +292,31 @@ router.post('/create-payment-intent', authMiddleware, async (req, res) => {
       throw new Error('Invalid client_secret format returned from Stripe');
     }
 
+    if (reservedPromoId) {
+      await recordPromoReservation({
+        promoCodeId: reservedPromoId,
+        userId,
+        paymentIntentId: paymentIntent.id,
+        amountDiscounted: price - amount,
+      });
+    }
+
     res.json({ 
       clientSecret: paymentIntent.client_secret,
-      paymentIntentId: paymentIntent.id
+      paymentIntentId: paymentIntent.id,
+      amount,
+      originalAmount: price,
+      currency: product.currency,
+      productId: product.id,
+      promoCode: promoMetadata.promo_code || null,
+      isGift: !!gift
     });
   } catch (err) {
+    if (reservedPromoId) {
+      await unreservePromoCode(reservedPromoId).catch((releaseErr) => {
+        console.error('Error releasing promo code reservation:', releaseErr);
+      });
+    }
     console.error('Stripe PaymentIntent error:', err);
     console.error('Error details:', {
       message: err.message,
@@ -216,6 +331,56 @@ router.post('/create-payment-intent', authMiddleware, async (req, res) => {
   }
 });
 
+// POST /routes/validate-promo - Check a promo code and show the discounted price at checkout
+router.post('/validate-promo', authMiddleware, async (req, res) => {
+  try {
+    const { code, centre: centreKey, productId = DEFAULT_PRODUCT_ID } = req.body || {};
+
+    const product = await getProduct(productId);
+    if (!product || !product.is_active) {
+      return res.status(404).json({ error: 'License product not found' });
+    }
+    const price = product.price_cents;
+
+    let centre = null;
+    if (centreKey) {
+      centre = await findCentre(centreKey);
+      if (!centre) {
+        return res.status(404).json({ error: 'Test centre not found' });
+      }
+    }
+
+    const promo = await validatePromoCode({
+      code,
+      email: req.user.email,
+      centreId: centre?.id ?? null,
+      scope: product.scope,
+      amount: price,
+      userId: req.user.user_id,
+    });
+
+    if (!promo.valid) {
+      return res.json({ valid: false, code: normalizeCode(code), error: promo.error });
+    }
+
+    res.json({
+      valid: true,
+      code: promo.promo.code,
+      description: promo.promo.description,
+      discountType: promo.promo.discount_type,
+      discountValue: promo.promo.discount_value,
+      originalAmount: price,
+      discount: promo.discount,
+      finalAmount: promo.finalAmount,
+      currency: product.currency,
+      productId: product.id,
+    });
+  } catch (err) {
+    console.error('Error validating promo code:', err);
+    res.status(500).json({ error: 'Failed to validate promo code' });
+  }
+});
+
 // POST /routes/confirm-payment - Confirm payment and create license
 router.post('/confirm-payment', authMiddleware, async (req, res) => {
   try {
@@ -242,32 +407,52 @@ router.post('/confirm-payment', authMiddleware, async (req, res) => {
       });
     }
 
-    // Check if license already exists for this payment
-    const existingLicense = await pool.query(
-      'SELECT id FROM route_licenses WHERE stripe_payment_intent_id = $1',
-      [paymentIntentId]
-    );
+    // Seat payments are confirmed through /organizations/:id/seats/confirm
+    if (paymentIntent.metadata.type === 'organization_seats') {
+      return res.status(400).json({ error: 'This payment is for organization seats' });
+    }
 
-    if (existingLicense.rows.length > 0) {
-      return res.status(400).json({ error: 'License already created for this payment' });
+    if (paymentIntent.metadata.gift === 'true') {
+      const { voucher, created } = await createGiftVoucherFromPayment({
+        userId,
+        paymentIntentId,
+        metadata: paymentIntent.metadata,
+        amount: paymentIntent.amount,
+        currency: paymentIntent.currency,
+      });
+
+      if (!created) {
+        return res.status(400).json({ error: 'Gift voucher already created for this payment' });
+      }
+
+      return res.json({
+        success: true,
+        message: `Gift voucher sent to ${voucher.recipient_email}`,
+        giftVoucher: {
+          code: voucher.code,
+          recipientEmail: voucher.recipient_email,
+          expiresAt: voucher.expires_at,
+        },
+      });
     }
 
-    // Create license
-    const expiresAt = new Date();
-    expiresAt.setMonth(expiresAt.getMonth() + 3);
+    const { license, created } = await createLicenseFromPayment({
+      userId,
+      paymentIntentId,
+      metadata: paymentIntent.metadata,
+      amount: paymentIntent.amount,
+      currency: paymentIntent.currency,
+    });
 
-    await pool.query(
-      `INSERT INTO route_licenses 
-       (user_id, stripe_payment_intent_id, expires_at)
-       VALUES ($1, $2, $3)`,
-      [userId, paymentIntentId, expiresAt]
-    );
+    if (!created) {
+      return res.status(400).json({ error: 'License already created for this payment' });
+    }
 
     console.log(`License created for user ${userId} from payment ${paymentIntentId}`);
     res.json({ 
       success: true,
       message: 'License activated successfully',
-      expiresAt: expiresAt.toISOString()
+      expiresAt: new Date(license.expires_at).toISOString()
     });
   } catch (err) {
     console.error('Error confirming payment:', err);
@@ -282,12 +467,33 @@ router.post('/confirm-payment', authMiddleware, async (req, res) => {
 router.get('/license-status', authMiddleware, async (req, res) => {
   try {
     const userId = req.user.user_id;
-    const license = await hasActiveLicense(userId);
+
+    // ?centre= checks access to one centre; otherwise any license counts
+    let centre = null;
+    if (req.query.centre) {
+      centre = await findCentre(req.query.centre);
+      if (!centre) {
+        return res.status(404).json({ error: 'Test centre not found' });
+      }
+    }
+
+    const license = await hasActiveLicense(userId, centre?.id ?? null);
+    const licenses = await getActiveLicenses(userId);
 
     res.json({
       hasLicense: !!license,
       expiresAt: license?.expires_at || null,
       isPermanent: license?.is_permanent || false,
+      centre: centre?.slug || null,
+      licenses: licenses.map(row => ({
+        id: row.id,
+        productId: row.product_id,
+        productName: row.product_name,
+        centre: row.centre_slug ? { name: row.centre_name, slug: row.centre_slug } : null,
+        organization: row.organization_name,
+        purchasedAt: row.purchased_at,
+        expiresAt: row.expires_at,
+      })),
     });
   } catch (err) {
     console.error('Error checking license status:', err);
@@ -295,6 +501,126 @@ router.get('/license-status', authMiddleware, async (req, res) => {
   }
 });
 
+// GET /routes/purchases - The user's license purchases, newest first
+router.get('/purchases', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.user_id;
+    const purchases = await listPurchases(userId);
+
+    res.json({
+      purchases: purchases.map(purchase => ({
+        id: purchase.id,
+        receiptNumber: `DF-${purchase.receipt_number}`,
+        productId: purchase.product_id,
+        productName: purchase.product_name,
+        centre: purchase.centre_name,
+        amount: purchase.amount_cents,
+        discount: purchase.discount_cents,
+        promoCode: purchase.promo_code,
+        currency: purchase.currency,
+        paymentIntentId: purchase.stripe_payment_intent_id,
+        purchasedAt: purchase.purchased_at,
+        expiresAt: purchase.expires_at,
+        isActive: purchase.is_active,
+        isGift: purchase.is_gift,
+        recipientEmail: purchase.recipient_email || null,
+      })),
+    });
+  } catch (err) {
+    console.error('Error listing purchases:', err);
+    res.status(500).json({ error: 'Failed to load purchases' });
+  }
+});
+
+// GET /routes/purchases/:id/receipt - Receipt for one purchase as HTML, or ?format=pdf
+router.get('/purchases/:id/receipt', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.user_id;
+    const { id } = req.params;
+    const format = req.query.format || 'html';
+
+    if (!['html', 'pdf'].includes(format)) {
+      return res.status(400).json({ error: 'format must be html or pdf' });
+    }
+    if (!/^([0-9a-f-]{36}|gift-\d+)$/i.test(id)) {
+      return res.status(404).json({ error: 'Purchase not found' });
+    }
+
+    const receipt = await getReceipt(id, userId);
+    if (!receipt) {
+      return res.status(404).json({ error: 'Purchase not found' });
+    }
+
+    if (format === 'pdf') {
+      const pdf = await renderReceiptPdf(receipt);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="driveflow-receipt-${receipt.receiptNumber}.pdf"`);
+      return res.send(pdf);
+    }
+
+    res.type('html').send(renderReceiptHtml(receipt));
+  } catch (err) {
+    console.error('Error generating receipt:', err);
+    res.status(500).json({ error: 'Failed to generate receipt' });
+  }
+});
+
+// GET /routes/gifts - Gift vouchers the user has bought and whether they've been redeemed
+router.get('/gifts', authMiddleware, async (req, res) => {
+  try {
+    const vouchers = await listGiftVouchers(req.user.user_id);
+
+    res.json({
+      gifts: vouchers.map(voucher => ({
+        code: voucher.code,
+        productId: voucher.product_id,
+        productName: voucher.product_name,
+        centre: voucher.centre_name,
+        recipientEmail: voucher.recipient_email,
+        recipientName: voucher.recipient_name,
+        amount: voucher.amount_cents,
+        currency: voucher.currency,
+        purchasedAt: voucher.created_at,
+        expiresAt: voucher.expires_at,
+        emailed: !!voucher.emailed_at,
+        redeemedAt: voucher.redeemed_at,
+        isValid: !voucher.void_reason,
+      })),
+    });
+  } catch (err) {
+    console.error('Error listing gift vouchers:', err);
+    res.status(500).json({ error: 'Failed to load gift vouchers' });
+  }
+});
+
+// POST /routes/redeem - Redeem a gift voucher code for a license
+router.post('/redeem', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.user_id;
+    const code = normalizeCode(req.body?.code);
+
+    if (!code) {
+      return res.status(400).json({ error: 'Voucher code is required' });
+    }
+
+    const result = await redeemGiftVoucher(code, userId);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      message: `${result.product.name} activated`,
+      productId: result.product.id,
+      expiresAt: result.license.expires_at,
+      extendsLicenseId: result.license.extends_license_id,
+    });
+  } catch (err) {
+    console.error('Error redeeming voucher:', err);
+    res.status(500).json({ error: 'Failed to redeem voucher' });
+  }
+});
+
 // POST /routes/generate-link - Generate time-limited link
 router.post('/generate-link', authMiddleware, async (req, res) => {
   try {
@@ -305,8 +631,13 @@ router.post('/generate-link', authMiddleware, async (req, res) => {
       return res.status(400).json({ error: 'Centre name and route number required' });
     }
 
-    // Check for active license
-    const license = await hasActiveLicense(userId);
+    const centre = await findCentre(centreName);
+    if (!centre) {
+      return res.status(404).json({ error: 'Test centre not found' });
+    }
+
+    // Check for a license covering this centre
+    const license = await hasActiveLicense(userId, centre.id);
     if (!license) {
       return res.status(403).json({ error: 'No active license. Please purchase access.' });
     }
@@ -385,30 +716,25 @@ router.get('/centres', authMiddleware, async (req, res) => {
   try {
     const userId = req.user.user_id;
     const license = await hasActiveLicense(userId);
+    const licenses = license?.is_permanent ? [] : await getActiveLicenses(userId);
+    const hasAllCentres = !!license?.is_permanent || licenses.some(row => !row.centre_slug);
+    const passCentres = new Set(licenses.map(row => row.centre_slug).filter(Boolean));
 
-    // Return all centres with route count (7 for each)
-    // In a real app, this might come from a database
-    const centres = [
-      "Athlone", "Ballina", "Birr", "Birr (County Arms Hotel)", "Buncrana",
-      "Carlow (Talbot Hotel)", "Carrick-on-Shannon", "Castlebar", "Cavan",
-      "Charlestown (Dublin)", "Clifden", "Clonmel", "Cork (Ballincollig)",
-      "Cork (St. Finbarr's GAA Club, Togher)", "Cork (Wilton)", "Donegal",
-      "Drogheda", "Dundalk", "Dungarvan", "Dún Laoghaire / Deansgrange",
-      "Ennis", "Finglas", "Galway (Carnmore)", "Galway (Westside)", "Gorey",
-      "Killarney", "Kilkenny (Government Buildings)", "Kilkenny (O'Loughlin Gaels)",
-      "Killester", "Kilrush", "Letterkenny", "Limerick (Castlemungret)",
-      "Limerick (Woodview)", "Longford", "Loughrea", "Loughrea (Lough Rea Hotel & Spa)",
-      "Mallow (Cork Racecourse, Mallow)", "Monaghan", "Mulhuddart",
-      "Mulhuddart (Carlton Hotel)", "Mullingar", "Naas", "Navan", "Nenagh",
-      "Newcastle West", "Newcastle West (Longcourt House Hotel)", "Portlaoise",
-      "Raheny", "Roscommon", "Shannon", "Skibbereen", "Sligo", "Tallaght",
-      "Thurles", "Tipperary", "Tralee", "Tuam", "Tullamore", "Waterford",
-      "Wexford", "Wicklow"
-    ];
-
-    const centresWithRoutes = centres.map(name => ({
-      name,
-      routeCount: 7,
+    // Centres and their real route counts come from the route catalogue
+    const result = await pool.query(
+      `SELECT c.name, c.slug, COUNT(r.id)::int AS route_count
+       FROM centres c
+       LEFT JOIN routes r ON r.centre_id = c.id
+       GROUP BY c.id
+       ORDER BY c.name`
+    );
+
+    const centresWithRoutes = result.rows.map(centre => ({
+      name: centre.name,
+      slug: centre.slug,
+      routeCount: centre.route_count,
+      hasRoutes: centre.route_count > 0,
+      hasAccess: hasAllCentres || passCentres.has(centre.slug),
     }));
 
     res.json({
@@ -441,100 +767,204 @@ router.get('/active-links', authMiddleware, async (req, res) => {
   }
 });
 
-// POST /routes/webhook - Stripe webhook handler
-router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
-  const sig = req.headers['stripe-signature'];
-  const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
-
-  if (!webhookSecret) {
-    console.error('STRIPE_WEBHOOK_SECRET not configured');
-    return res.status(500).json({ error: 'Webhook secret not configured' });
+// Payment intent a charge or dispute belongs to (older API versions leave it off disputes)
+async function getPaymentIntentId(object) {
+  if (object.payment_intent) {
+    return typeof object.payment_intent === 'string' ? object.payment_intent : object.payment_intent.id;
   }
-
-  let event;
-
-  try {
-    event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
-  } catch (err) {
-    console.error('Webhook signature verification failed:', err.message);
-    return res.status(400).send(`Webhook Error: ${err.message}`);
+  if (object.object === 'dispute' && object.charge) {
+    const charge = await stripe.charges.retrieve(object.charge);
+    return charge.payment_intent;
   }
+  return null;
+}
 
-  // Handle payment_intent.succeeded event (for PaymentIntent flow)
-  if (event.type === 'payment_intent.succeeded') {
+// Stripe webhook handlers by event type. Each returns an optional message for the response;
+// throwing marks the event failed so Stripe's redelivery retries it.
+const webhookHandlers = {
+  // PaymentIntent flow
+  'payment_intent.succeeded': async (event) => {
     const paymentIntent = event.data.object;
     const userId = paymentIntent.metadata.user_id;
 
     if (!userId) {
       console.error('No user_id in payment intent metadata');
-      return res.status(400).json({ error: 'No user_id in payment intent' });
+      return 'No user_id in payment intent';
     }
 
-    try {
-      // Check if license already exists for this payment
-      const existingLicense = await pool.query(
-        'SELECT id FROM route_licenses WHERE stripe_payment_intent_id = $1',
-        [paymentIntent.id]
-      );
-
-      if (existingLicense.rows.length > 0) {
-        console.log(`License already exists for payment ${paymentIntent.id}`);
-        return res.json({ received: true, message: 'License already exists' });
-      }
+    if (paymentIntent.metadata.type === 'organization_seats') {
+      const { created } = await addSeatsFromPayment({
+        userId,
+        paymentIntentId: paymentIntent.id,
+        metadata: paymentIntent.metadata,
+        amount: paymentIntent.amount,
+        currency: paymentIntent.currency,
+      });
+      return created ? undefined : 'Seats already added';
+    }
 
-      // Calculate expiry (3 months from now)
-      const expiresAt = new Date();
-      expiresAt.setMonth(expiresAt.getMonth() + 3);
+    if (paymentIntent.metadata.gift === 'true') {
+      const { created } = await createGiftVoucherFromPayment({
+        userId,
+        paymentIntentId: paymentIntent.id,
+        metadata: paymentIntent.metadata,
+        amount: paymentIntent.amount,
+        currency: paymentIntent.currency,
+      });
+      return created ? undefined : 'Gift voucher already exists';
+    }
 
-      // Create license record
-      await pool.query(
-        `INSERT INTO route_licenses 
-         (user_id, stripe_payment_intent_id, expires_at)
-         VALUES ($1, $2, $3)`,
-        [userId, paymentIntent.id, expiresAt]
-      );
+    const { created } = await createLicenseFromPayment({
+      userId,
+      paymentIntentId: paymentIntent.id,
+      metadata: paymentIntent.metadata,
+      amount: paymentIntent.amount,
+      currency: paymentIntent.currency,
+    });
 
-      console.log(`License created for user ${userId} from webhook`);
-    } catch (err) {
-      console.error('Error creating license from webhook:', err);
-      return res.status(500).json({ error: 'Failed to create license' });
+    if (!created) {
+      console.log(`License already exists for payment ${paymentIntent.id}`);
+      return 'License already exists';
     }
-  }
 
-  // Also handle checkout.session.completed for backwards compatibility
-  if (event.type === 'checkout.session.completed') {
+    console.log(`License created for user ${userId} from webhook`);
+  },
+
+  // Checkout Session flow (kept for backwards compatibility)
+  'checkout.session.completed': async (event) => {
     const session = event.data.object;
     const userId = session.client_reference_id; // UUID, not integer
 
     if (!userId) {
       console.error('No user_id in session');
-      return res.status(400).json({ error: 'No user_id in session' });
+      return 'No user_id in session';
+    }
+
+    await createLicenseFromPayment({
+      userId,
+      paymentIntentId: session.payment_intent,
+      checkoutSessionId: session.id,
+      metadata: session.metadata || {},
+      amount: session.amount_total,
+      currency: session.currency,
+    });
+
+    console.log(`License created for user ${userId}`);
+  },
+
+  // Full refunds revoke the license; partial refunds (goodwill credits) are only recorded
+  'charge.refunded': async (event) => {
+    const charge = event.data.object;
+    const paymentIntentId = await getPaymentIntentId(charge);
+    if (!paymentIntentId) return 'Charge has no payment intent';
+
+    const details = { chargeId: charge.id, amount: charge.amount, amountRefunded: charge.amount_refunded };
+    if (!charge.refunded) {
+      await notePaymentLicenses(paymentIntentId, { reason: 'partially_refunded', eventId: event.id, details });
+      console.log(`Partial refund recorded for payment ${paymentIntentId}`);
+      return 'Partial refund recorded';
     }
 
-    try {
-      // Calculate expiry (3 months from now)
-      const expiresAt = new Date();
-      expiresAt.setMonth(expiresAt.getMonth() + 3);
+    const revoked = await deactivatePaymentLicenses(paymentIntentId, { reason: 'refunded', eventId: event.id, details });
+    console.log(`🔒 Refund for payment ${paymentIntentId} revoked ${revoked.length} license(s)`);
+  },
+
+  // Access is suspended while a dispute is open
+  'charge.dispute.created': async (event) => {
+    const dispute = event.data.object;
+    const paymentIntentId = await getPaymentIntentId(dispute);
+    if (!paymentIntentId) return 'Dispute has no payment intent';
+
+    const revoked = await deactivatePaymentLicenses(paymentIntentId, {
+      reason: 'disputed',
+      eventId: event.id,
+      details: { disputeId: dispute.id, disputeReason: dispute.reason, amount: dispute.amount },
+    });
+    console.log(`🔒 Dispute ${dispute.id} on payment ${paymentIntentId} suspended ${revoked.length} license(s)`);
+  },
+
+  // Won disputes restore access (unless the payment has been refunded since); lost ones are final
+  'charge.dispute.closed': async (event) => {
+    const dispute = event.data.object;
+    const paymentIntentId = await getPaymentIntentId(dispute);
+    if (!paymentIntentId) return 'Dispute has no payment intent';
+
+    const details = { disputeId: dispute.id, status: dispute.status };
+    if (dispute.status === 'won' || dispute.status === 'warning_closed') {
+      const restored = await reactivatePaymentLicenses(paymentIntentId, {
+        reason: 'dispute_won',
+        eventId: event.id,
+        details,
+        restoreReason: 'disputed',
+      });
+      console.log(`🔓 Dispute ${dispute.id} closed (${dispute.status}), restored ${restored.length} license(s)`);
+    } else {
+      await notePaymentLicenses(paymentIntentId, { reason: 'dispute_lost', eventId: event.id, details });
+      console.log(`Dispute ${dispute.id} closed (${dispute.status}), license stays revoked`);
+    }
+  },
 
-      // Create license record
-      await pool.query(
-        `INSERT INTO route_licenses 
-         (user_id, stripe_payment_intent_id, stripe_checkout_session_id, expires_at)
-         VALUES ($1, $2, $3, $4)`,
-        [userId, session.payment_intent, session.id, expiresAt]
-      );
+  // Delayed payment methods can fail after a license was issued
+  'payment_intent.payment_failed': async (event) => {
+    const paymentIntent = event.data.object;
+    const revoked = await deactivatePaymentLicenses(paymentIntent.id, {
+      reason: 'payment_failed',
+      eventId: event.id,
+      details: { failureCode: paymentIntent.last_payment_error?.code || null },
+    });
+    // The customer can retry the same PaymentIntent; if that succeeds the use is taken again
+    await releasePromoReservation(paymentIntent.id);
+    console.log(`Payment ${paymentIntent.id} failed, revoked ${revoked.length} license(s)`);
+  },
 
-      console.log(`License created for user ${userId}`);
-    } catch (err) {
-      console.error('Error creating license:', err);
-      return res.status(500).json({ error: 'Failed to create license' });
+  // Abandoned or cancelled checkouts give their promo code use back
+  'payment_intent.canceled': async (event) => {
+    const paymentIntent = event.data.object;
+    if (await releasePromoReservation(paymentIntent.id)) {
+      console.log(`Payment ${paymentIntent.id} cancelled, released its promo code`);
     }
+  },
+};
+
+// POST /routes/webhook - Stripe webhook handler
+router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
+  const sig = req.headers['stripe-signature'];
+  const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+
+  if (!webhookSecret) {
+    console.error('STRIPE_WEBHOOK_SECRET not configured');
+    return res.status(500).json({ error: 'Webhook secret not configured' });
+  }
+
+  let event;
+
+  try {
+    event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
+  } catch (err) {
+    console.error('Webhook signature verification failed:', err.message);
+    return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
-  res.json({ received: true });
+  try {
+    // Redeliveries of an event we've already handled are acknowledged without doing anything
+    if (!(await claimWebhookEvent(event))) {
+      console.log(`Webhook event ${event.id} (${event.type}) already processed`);
+      return res.json({ received: true, duplicate: true });
+    }
+
+    const handler = webhookHandlers[event.type];
+    const message = handler ? await handler(event) : undefined;
+    await markWebhookEventProcessed(event.id);
+    res.json({ received: true, ...(message ? { message } : {}) });
+  } catch (err) {
+    // Stripe retries non-2xx responses, and the failed event can be claimed again then
+    console.error(`Error handling webhook event ${event.id} (${event.type}):`, err);
+    await markWebhookEventFailed(event.id, err);
+    res.status(500).json({ error: 'Failed to process webhook event' });
+  }
 });
 
-// GET /routes/settings - Get route settings (optional, for admin)
+// GET /routes/settings - Get route settings
 router.get('/settings', authMiddleware, async (req, res) => {
   try {
     const result = await pool.query('SELECT link_expiry_hours FROM route_settings WHERE id = 1');
@@ -545,117 +975,76 @@ router.get('/settings', authMiddleware, async (req, res) => {
   }
 });
 
-// POST /routes/generate-naas-token - Generate 30-minute access token for Naas routes
-router.post('/generate-naas-token', authMiddleware, async (req, res) => {
+// PUT /routes/settings - Update route settings (admin only)
+router.put('/settings', authMiddleware, requireRole('admin'), async (req, res) => {
   try {
-    const userId = req.user.user_id;
+    const { linkExpiryHours } = req.body;
 
-    // Check for active license
-    const license = await hasActiveLicense(userId);
-    if (!license) {
-      return res.status(403).json({ error: 'No active license. Please purchase access.' });
+    if (!Number.isInteger(linkExpiryHours) || linkExpiryHours < 1 || linkExpiryHours > 168) {
+      return res.status(400).json({ error: 'linkExpiryHours must be a whole number between 1 and 168' });
     }
 
-    // Generate unique token
-    const accessToken = randomUUID();
-
-    // Set expiry to 30 minutes from now
-    const expiresAt = new Date();
-    expiresAt.setMinutes(expiresAt.getMinutes() + 30);
-
-    // Create token record
-    await pool.query(
-      `INSERT INTO naas_access_tokens (user_id, access_token, expires_at)
-       VALUES ($1, $2, $3)`,
-      [userId, accessToken, expiresAt]
+    const result = await pool.query(
+      `INSERT INTO route_settings (id, link_expiry_hours, updated_at)
+       VALUES (1, $1, NOW())
+       ON CONFLICT (id) DO UPDATE SET link_expiry_hours = EXCLUDED.link_expiry_hours, updated_at = NOW()
+       RETURNING link_expiry_hours, updated_at`,
+      [linkExpiryHours]
     );
 
-    console.log(`Naas access token generated for user ${userId}, expires at ${expiresAt.toISOString()}`);
-
+    console.log(`Route settings updated by ${req.user.user_id}: link_expiry_hours = ${linkExpiryHours}`);
     res.json({
-      accessToken,
-      expiresAt: expiresAt.toISOString(),
+      linkExpiryHours: result.rows[0].link_expiry_hours,
+      updatedAt: result.rows[0].updated_at,
     });
   } catch (err) {
-    console.error('Error generating Naas token:', err);
-    res.status(500).json({ error: 'Failed to generate access token' });
+    console.error('Error updating settings:', err);
+    res.status(500).json({ error: 'Failed to update settings' });
   }
 });
 
-// GET /routes/naas-data/:token - Get Naas route data (without actual links)
-router.get('/naas-data/:token', authMiddleware, async (req, res) => {
-  try {
-    const userId = req.user.user_id;
-    const { token } = req.params;
-
-    // Validate token
-    const result = await pool.query(
-      `SELECT user_id, expires_at, is_used
-       FROM naas_access_tokens
-       WHERE access_token = $1`,
-      [token]
-    );
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Invalid access token' });
-    }
+// Access tokens for centre route data last 30 minutes
+const CENTRE_TOKEN_MINUTES = 30;
 
-    const tokenData = result.rows[0];
+// Look up a centre access token and check it was issued for this centre and hasn't expired
+async function validateCentreAccessToken(token, centreId) {
+  const result = await pool.query(
+    `SELECT user_id, centre_id, expires_at, is_used
+     FROM centre_access_tokens
+     WHERE access_token = $1`,
+    [token]
+  );
 
-    // Check if token belongs to this user
-    if (tokenData.user_id !== userId) {
-      return res.status(403).json({ error: 'Token does not belong to this user' });
-    }
+  if (result.rows.length === 0) {
+    return { status: 404, error: 'Invalid access token' };
+  }
 
-    // Check if expired
-    if (new Date(tokenData.expires_at) < new Date()) {
-      return res.status(403).json({ error: 'Access token has expired' });
-    }
-
-    // Load naas.json file
-    let naasData;
-    try {
-      const filePath = join(__dirname, '../data/naas.json');
-      const fileContent = readFileSync(filePath, 'utf-8');
-      naasData = JSON.parse(fileContent);
-    } catch (err) {
-      console.error('Error reading naas.json:', err);
-      return res.status(500).json({ error: 'Failed to load route data' });
-    }
-
-    // Return data without actual links - replace with proxy endpoints
-    const routesWithoutLinks = naasData.routes.map(route => ({
-      id: route.id,
-      name: route.name,
-      // Don't include the actual link - frontend will use proxy endpoint
-    }));
+  const tokenData = result.rows[0];
 
-    // Update last accessed
-    await pool.query(
-      `UPDATE naas_access_tokens 
-       SET last_accessed_at = NOW(), is_used = true
-       WHERE access_token = $1`,
-      [token]
-    );
+  // Tokens are scoped to the centre they were issued for
+  if (tokenData.centre_id !== centreId) {
+    return { status: 403, error: 'Access token is not valid for this centre' };
+  }
 
-    res.json({
-      location: naasData.location,
-      routes: routesWithoutLinks,
-      expiresAt: tokenData.expires_at,
-    });
-  } catch (err) {
-    console.error('Error getting Naas data:', err);
-    res.status(500).json({ error: 'Failed to get route data' });
+  if (new Date(tokenData.expires_at) < new Date()) {
+    return { status: 403, error: 'Access token has expired' };
   }
-});
 
-// POST /routes/generate-tallaght-token - Generate 30-minute access token for Tallaght routes
-router.post('/generate-tallaght-token', authMiddleware, async (req, res) => {
+  return { tokenData };
+}
+
+// Generate a 30-minute access token for one centre's routes
+async function issueCentreToken(req, res, centreKey) {
   try {
     const userId = req.user.user_id;
 
-    // Check for active license
-    const license = await hasActiveLicense(userId);
+    const centre = await findCentre(centreKey);
+    if (!centre) {
+      return res.status(404).json({ error: 'Test centre not found' });
+    }
+
+    // Check for a license covering this centre
+    const license = await hasActiveLicense(userId, centre.id);
     if (!license) {
       return res.status(403).json({ error: 'No active license. Please purchase access.' });
     }
@@ -663,193 +1052,185 @@ router.post('/generate-tallaght-token', authMiddleware, async (req, res) => {
     // Generate unique token
     const accessToken = randomUUID();
 
-    // Set expiry to 30 minutes from now
     const expiresAt = new Date();
-    expiresAt.setMinutes(expiresAt.getMinutes() + 30);
+    expiresAt.setMinutes(expiresAt.getMinutes() + CENTRE_TOKEN_MINUTES);
 
-    // Create token record (reuse naas_access_tokens table for simplicity)
+    // Create token record
     await pool.query(
-      `INSERT INTO naas_access_tokens (user_id, access_token, expires_at)
-       VALUES ($1, $2, $3)`,
-      [userId, accessToken, expiresAt]
+      `INSERT INTO centre_access_tokens (user_id, centre_id, access_token, expires_at)
+       VALUES ($1, $2, $3, $4)`,
+      [userId, centre.id, accessToken, expiresAt]
     );
 
-    console.log(`Tallaght access token generated for user ${userId}, expires at ${expiresAt.toISOString()}`);
+    console.log(`${centre.name} access token generated for user ${userId}, expires at ${expiresAt.toISOString()}`);
 
     res.json({
       accessToken,
+      centre: centre.slug,
       expiresAt: expiresAt.toISOString(),
     });
   } catch (err) {
-    console.error('Error generating Tallaght token:', err);
+    console.error('Error generating centre token:', err);
     res.status(500).json({ error: 'Failed to generate access token' });
   }
-});
+}
 
-// GET /routes/tallaght-data/:token - Get Tallaght route data (without actual links)
-router.get('/tallaght-data/:token', authMiddleware, async (req, res) => {
+// Get a centre's route list (without actual links)
+async function sendCentreData(req, res, centreKey) {
   try {
     const userId = req.user.user_id;
     const { token } = req.params;
 
-    // Validate token
-    const result = await pool.query(
-      `SELECT user_id, expires_at, is_used
-       FROM naas_access_tokens
-       WHERE access_token = $1`,
-      [token]
-    );
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Invalid access token' });
+    const centre = await findCentre(centreKey);
+    if (!centre) {
+      return res.status(404).json({ error: 'Test centre not found' });
     }
 
-    const tokenData = result.rows[0];
+    const { tokenData, status, error } = await validateCentreAccessToken(token, centre.id);
+    if (error) {
+      return res.status(status).json({ error });
+    }
 
     // Check if token belongs to this user
     if (tokenData.user_id !== userId) {
       return res.status(403).json({ error: 'Token does not belong to this user' });
     }
 
-    // Check if expired
-    if (new Date(tokenData.expires_at) < new Date()) {
-      return res.status(403).json({ error: 'Access token has expired' });
-    }
+    const routes = await getCentreRoutes(centre.id);
 
-    // Load tallaght.json file
-    let tallaghtData;
-    try {
-      const filePath = join(__dirname, '../data/tallaght.json');
-      const fileContent = readFileSync(filePath, 'utf-8');
-      tallaghtData = JSON.parse(fileContent);
-    } catch (err) {
-      console.error('Error reading tallaght.json:', err);
-      return res.status(500).json({ error: 'Failed to load route data' });
-    }
-
-    // Return data without actual links
-    const routesWithoutLinks = tallaghtData.routes.map(route => ({
-      id: route.id,
-      name: route.name,
-    }));
+    // Return data without actual links - frontend will use proxy endpoint
+    const routesWithoutLinks = routes.map(route => {
+      const parsed = parseDirectionsLink(route.link);
+      const geometry = parsed ? describeRoute(parsed.points) : null;
+      return {
+        id: route.route_number,
+        name: route.name,
+        // Distance and bounding box only - the waypoints themselves stay behind the token
+        distanceMetres: geometry?.distanceMetres ?? null,
+        boundingBox: geometry?.boundingBox ?? null,
+      };
+    });
 
     // Update last accessed
     await pool.query(
-      `UPDATE naas_access_tokens 
+      `UPDATE centre_access_tokens 
        SET last_accessed_at = NOW(), is_used = true
        WHERE access_token = $1`,
       [token]
     );
 
     res.json({
-      location: tallaghtData.location,
+      location: centre.name,
       routes: routesWithoutLinks,
       expiresAt: tokenData.expires_at,
     });
   } catch (err) {
-    console.error('Error getting Tallaght data:', err);
+    console.error('Error getting centre data:', err);
     res.status(500).json({ error: 'Failed to get route data' });
   }
-});
+}
 
-// GET /routes/tallaght-route/:token/:routeId - Proxy endpoint that redirects to actual Google Maps link
-router.get('/tallaght-route/:token/:routeId', async (req, res) => {
+// Proxy that redirects to the actual Google Maps link - link never exposed in frontend
+async function redirectToCentreRoute(req, res, centreKey) {
   try {
     const { token, routeId } = req.params;
 
-    // Validate token
-    const tokenResult = await pool.query(
-      `SELECT user_id, expires_at
-       FROM naas_access_tokens
-       WHERE access_token = $1`,
-      [token]
-    );
-
-    if (tokenResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Invalid access token' });
-    }
-
-    const tokenData = tokenResult.rows[0];
-
-    // Check if expired
-    if (new Date(tokenData.expires_at) < new Date()) {
-      return res.status(403).json({ error: 'Access token has expired' });
+    const centre = await findCentre(centreKey);
+    if (!centre) {
+      return res.status(404).json({ error: 'Test centre not found' });
     }
 
-    // Load tallaght.json file
-    let tallaghtData;
-    try {
-      const filePath = join(__dirname, '../data/tallaght.json');
-      const fileContent = readFileSync(filePath, 'utf-8');
-      tallaghtData = JSON.parse(fileContent);
-    } catch (err) {
-      console.error('Error reading tallaght.json:', err);
-      return res.status(500).json({ error: 'Failed to load route data' });
+    const { status, error } = await validateCentreAccessToken(token, centre.id);
+    if (error) {
+      return res.status(status).json({ error });
     }
 
-    // Find the route
-    const route = tallaghtData.routes.find(r => r.id === parseInt(routeId));
+    const route = await getCentreRoute(centre.id, routeId);
     if (!route) {
       return res.status(404).json({ error: 'Route not found' });
     }
 
-    // Redirect directly to Google Maps - link never exposed in frontend
     res.redirect(302, route.link);
   } catch (err) {
-    console.error('Error accessing Tallaght route:', err);
+    console.error('Error accessing centre route:', err);
     res.status(500).json({ error: 'Failed to access route' });
   }
-});
+}
 
-// GET /routes/naas-route/:token/:routeId - Proxy endpoint that redirects to actual Google Maps link
-// Note: No authMiddleware needed - access token in URL is sufficient security
-router.get('/naas-route/:token/:routeId', async (req, res) => {
+// Download a route's waypoints as GeoJSON or GPX for sat-nav and practice apps
+async function sendCentreRouteGeometry(req, res, centreKey) {
   try {
-    const { token, routeId } = req.params;
+    const { token, routeId, format } = req.params;
 
-    // Validate token
-    const tokenResult = await pool.query(
-      `SELECT user_id, expires_at
-       FROM naas_access_tokens
-       WHERE access_token = $1`,
-      [token]
-    );
-
-    if (tokenResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Invalid access token' });
+    if (!['geojson', 'gpx'].includes(format)) {
+      return res.status(400).json({ error: 'Format must be geojson or gpx' });
     }
 
-    const tokenData = tokenResult.rows[0];
-
-    // Check if expired
-    if (new Date(tokenData.expires_at) < new Date()) {
-      return res.status(403).json({ error: 'Access token has expired' });
+    const centre = await findCentre(centreKey);
+    if (!centre) {
+      return res.status(404).json({ error: 'Test centre not found' });
     }
 
-    // Load naas.json file
-    let naasData;
-    try {
-      const filePath = join(__dirname, '../data/naas.json');
-      const fileContent = readFileSync(filePath, 'utf-8');
-      naasData = JSON.parse(fileContent);
-    } catch (err) {
-      console.error('Error reading naas.json:', err);
-      return res.status(500).json({ error: 'Failed to load route data' });
+    const { status, error } = await validateCentreAccessToken(token, centre.id);
+    if (error) {
+      return res.status(status).json({ error });
     }
 
-    // Find the route
-    const route = naasData.routes.find(r => r.id === parseInt(routeId));
+    const route = await getCentreRoute(centre.id, routeId);
     if (!route) {
       return res.status(404).json({ error: 'Route not found' });
     }
 
-    // Redirect directly to Google Maps - link never exposed in frontend
-    res.redirect(302, route.link);
+    const parsed = parseDirectionsLink(route.link);
+    if (!parsed) {
+      console.error(`Route ${route.route_number} at ${centre.name} has no parseable waypoints`);
+      return res.status(422).json({ error: 'Route geometry is not available for this route' });
+    }
+
+    const details = { name: route.name, centre: centre.name };
+    const filename = `${centre.slug}-route-${route.route_number}`;
+
+    if (format === 'gpx') {
+      res.set('Content-Type', 'application/gpx+xml');
+      res.set('Content-Disposition', `attachment; filename="${filename}.gpx"`);
+      return res.send(toGPX(details, parsed.points));
+    }
+
+    res.set('Content-Type', 'application/geo+json');
+    res.set('Content-Disposition', `attachment; filename="${filename}.geojson"`);
+    res.send(JSON.stringify(toGeoJSON(details, parsed.points)));
   } catch (err) {
-    console.error('Error accessing Naas route:', err);
-    res.status(500).json({ error: 'Failed to access route' });
+    console.error('Error exporting route geometry:', err);
+    res.status(500).json({ error: 'Failed to export route' });
   }
-});
+}
+
+// POST /routes/centres/:centre/token - Generate 30-minute access token for a centre's routes
+router.post('/centres/:centre/token', authMiddleware, (req, res) =>
+  issueCentreToken(req, res, req.params.centre));
+
+// GET /routes/centres/:centre/data/:token - Get a centre's route data (without actual links)
+router.get('/centres/:centre/data/:token', authMiddleware, (req, res) =>
+  sendCentreData(req, res, req.params.centre));
+
+// GET /routes/centres/:centre/route/:token/:routeId - Redirect to the route's Google Maps link
+// Note: No authMiddleware needed - access token in URL is sufficient security
+router.get('/centres/:centre/route/:token/:routeId', (req, res) =>
+  redirectToCentreRoute(req, res, req.params.centre));
+
+// GET /routes/centres/:centre/route/:token/:routeId/:format - Download route as GeoJSON or GPX
+router.get('/centres/:centre/route/:token/:routeId/:format', (req, res) =>
+  sendCentreRouteGeometry(req, res, req.params.centre));
+
+// Legacy per-centre paths, kept for existing frontend links
+router.post('/generate-naas-token', authMiddleware, (req, res) => issueCentreToken(req, res, 'naas'));
+router.get('/naas-data/:token', authMiddleware, (req, res) => sendCentreData(req, res, 'naas'));
+router.get('/naas-route/:token/:routeId', (req, res) => redirectToCentreRoute(req, res, 'naas'));
+router.get('/naas-route/:token/:routeId/:format', (req, res) => sendCentreRouteGeometry(req, res, 'naas'));
+router.post('/generate-tallaght-token', authMiddleware, (req, res) => issueCentreToken(req, res, 'tallaght'));
+router.get('/tallaght-data/:token', authMiddleware, (req, res) => sendCentreData(req, res, 'tallaght'));
+router.get('/tallaght-route/:token/:routeId', (req, res) => redirectToCentreRoute(req, res, 'tallaght'));
+router.get('/tallaght-route/:token/:routeId/:format', (req, res) => sendCentreRouteGeometry(req, res, 'tallaght'));
 
 // POST /routes/waitlist - Add email to waitlist for a test route
 router.post('/waitlist', async (req, res) => {
@@ -872,8 +1253,8 @@ router.post('/waitlist', async (req, res) => {
     }
 
     // Sanitize test centre input - remove any potentially dangerous characters
-    // Only allow letters, numbers, spaces, hyphens, apostrophes, and common punctuation
-    let sanitizedCentre = testCentre.trim().replace(/[^A-Za-z0-9\s\-'.,()]/g, '');
+    // Only allow letters (including accented ones), numbers, spaces, hyphens, apostrophes, and common punctuation
+    let sanitizedCentre = testCentre.trim().replace(/[^\p{L}\p{N}\s\-'.,()/]/gu, '');
     
     // Limit length to prevent abuse
     if (sanitizedCentre.length > 100) {
@@ -887,12 +1268,19 @@ router.post('/waitlist', async (req, res) => {
       });
     }
 
+    // Signups are matched to their centre by id, or by slug if the centre isn't in the catalogue yet
+    const centre = await findCentre(sanitizedCentre);
+    const centreSlug = centre ? centre.slug : slugify(sanitizedCentre);
+    if (!centreSlug) {
+      return res.status(400).json({ error: 'Test centre name must contain letters or numbers' });
+    }
+
     // Check if already on waitlist (using sanitized input)
     const existing = await pool.query(
       `SELECT id FROM route_waitlist 
-       WHERE email = $1 AND test_centre = $2 
+       WHERE email = $1 AND centre_slug = $2 
        AND route_number IS NULL`,
-      [email, sanitizedCentre]
+      [email, centreSlug]
     );
 
     if (existing.rows.length > 0) {
@@ -902,21 +1290,18 @@ router.post('/waitlist', async (req, res) => {
       });
     }
 
-    // Generate discount code (simple format: WAITLIST-XXXX)
-    const discountCode = `WAITLIST-${Math.random().toString(36).substring(2, 8).toUpperCase()}`;
-
     // Add to waitlist (using parameterized query for safety - no SQL injection possible)
+    // The discount code is generated and emailed when the centre's routes are released
     await pool.query(
-      `INSERT INTO route_waitlist (email, test_centre, route_number, discount_code)
-       VALUES ($1, $2, NULL, $3)`,
-      [email, sanitizedCentre, discountCode]
+      `INSERT INTO route_waitlist (email, test_centre, centre_id, centre_slug, route_number)
+       VALUES ($1, $2, $3, $4, NULL)`,
+      [email, sanitizedCentre, centre?.id || null, centreSlug]
     );
 
     console.log(`✅ Added ${email} to waitlist for ${sanitizedCentre}`);
 
     res.status(201).json({
       message: 'Successfully added to waitlist! You will receive a discount code when the route is released.',
-      discountCode: discountCode,
       testCentre: sanitizedCentre
     });
 
@@ -0,0 +1,19 @@
+// Import the data/*.json route files into the centres and routes tables.
+// Run it once after setup-centres-routes.sql, and again when a centre file is added:
+//   npm run import-routes               # add missing centres and routes, leave existing ones alone
+//   npm run import-routes -- --overwrite  # also update existing routes' names and links from the files
+import pool from '../db.js';
+import { importRouteFiles } from '../lib/routeCatalogue.js';
+
+const overwrite = process.argv.includes('--overwrite');
+
+try {
+  const imported = await importRouteFiles(undefined, { overwrite });
+  imported.forEach(({ file, centre, routeCount, addedCount }) =>
+    console.log(`🗺️ ${file}: ${centre} has ${routeCount} routes in the file, ${addedCount} added`));
+} catch (err) {
+  console.error('❌ Route catalogue import failed:', err);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
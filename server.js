@@ -3,15 +3,24 @@ dotenv.config({ path: ".env" });   // <- Explicit load
 
 import express from "express";
 import cors from "cors";
+import cookieParser from "cookie-parser";
 import authRoutes from "./routes/auth.js";
 import chatbotRoutes from "./routes/chatbot.js";
 import mockTestRoutes from "./routes/mockTests.js";
 import routesRoutes from "./routes/routes.js";
 import contactRoutes from "./routes/contact.js";
+import adminRoutes from "./routes/admin.js";
+import organizationRoutes from "./routes/organizations.js";
 import db from "./db.js";
+import { importKnowledgeFiles } from "./lib/knowledgeBase.js";
+import { startMailWorker } from "./lib/mailOutbox.js";
+import { applyLegacyLicensePrice } from "./lib/licenses.js";
 
 const app = express();
 
+// Railway terminates TLS at one proxy, so trust it for req.ip (used by the rate limits)
+app.set("trust proxy", 1);
+
 /* ================================
    🔥 CORS FIRST — REQUIRED FOR BROWSER
 ================================ */
@@ -30,7 +39,10 @@ app.use(cors({
 /* ================================
    🔥 ALWAYS BEFORE ROUTES
 ================================ */
-app.use(express.json());
+// Stripe webhooks need the raw body to verify their signature (routes/routes.js parses it itself)
+const jsonParser = express.json({ limit: "1mb" }); // admin centre imports carry every route link
+app.use((req, res, next) => (req.path === "/routes/webhook" ? next() : jsonParser(req, res, next)));
+app.use(cookieParser()); // refresh_token cookie for /auth/refresh and /auth/logout
 
 /* ================================
    🔥 HEALTH CHECK + ROOT
@@ -45,6 +57,25 @@ db.query("SELECT 1")
   .then(() => console.log("📦 Database pool connected successfully"))
   .catch(err => console.error("❌ Database connection failed:", err));
 
+/* ================================
+   🔥 CHATBOT KNOWLEDGE BASE IMPORT (knowledge/*.md)
+================================ */
+importKnowledgeFiles()
+  .then(imported => imported.filter(({ updated }) => updated).forEach(({ file, chunkCount }) =>
+    console.log(`📚 Imported ${chunkCount} knowledge passages from ${file}`)))
+  .catch(err => console.error("❌ Knowledge base import failed:", err));
+
+/* ================================
+   🔥 ROUTES_LICENSE_PRICE (older deployments set the license price with it)
+================================ */
+applyLegacyLicensePrice()
+  .catch(err => console.error("❌ Applying ROUTES_LICENSE_PRICE failed:", err));
+
+/* ================================
+   🔥 EMAIL OUTBOX WORKER (lib/mailOutbox.js)
+================================ */
+startMailWorker();
+
 /* ================================
    🔥 ROUTES
 ================================ */
@@ -53,6 +84,8 @@ app.use("/chatbot", chatbotRoutes);
 app.use("/mock-tests", mockTestRoutes);
 app.use("/routes", routesRoutes);
 app.use("/contact", contactRoutes);
+app.use("/admin", adminRoutes);
+app.use("/organizations", organizationRoutes);
 
 /* ================================
    🔥 SERVER LISTEN
@@ -0,0 +1,20 @@
+-- Create table for centre-scoped route data access tokens
+-- Run this in your Railway/Supabase SQL Editor
+-- Requires setup-centres-routes.sql. Replaces naas_access_tokens, which was shared by every centre.
+
+-- Table for storing time-limited access tokens, each valid for a single centre
+CREATE TABLE IF NOT EXISTS centre_access_tokens (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  centre_id INTEGER NOT NULL REFERENCES centres(id) ON DELETE CASCADE,
+  access_token VARCHAR(255) UNIQUE NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL,
+  is_used BOOLEAN DEFAULT false,
+  last_accessed_at TIMESTAMP
+);
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_centre_tokens_user_id ON centre_access_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_centre_tokens_token ON centre_access_tokens(access_token);
+CREATE INDEX IF NOT EXISTS idx_centre_tokens_expires_at ON centre_access_tokens(expires_at);
@@ -0,0 +1,92 @@
+-- Create tables for the test centre and route catalogue
+-- Run this in your Railway/Supabase SQL Editor
+
+-- Table for test centres (one row per RSA test centre)
+CREATE TABLE IF NOT EXISTS centres (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) UNIQUE NOT NULL,
+  slug VARCHAR(255) UNIQUE NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Table for routes at each centre (route_number matches the "id" in data/*.json)
+CREATE TABLE IF NOT EXISTS routes (
+  id SERIAL PRIMARY KEY,
+  centre_id INTEGER NOT NULL REFERENCES centres(id) ON DELETE CASCADE,
+  route_number INTEGER NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  link TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(centre_id, route_number)
+);
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_centres_slug ON centres(slug);
+CREATE INDEX IF NOT EXISTS idx_routes_centre_id ON routes(centre_id);
+
+-- Seed all RSA test centres (routes are imported from data/*.json with `npm run import-routes`)
+INSERT INTO centres (name, slug) VALUES
+  ('Athlone', 'athlone'),
+  ('Ballina', 'ballina'),
+  ('Birr', 'birr'),
+  ('Birr (County Arms Hotel)', 'birr-county-arms-hotel'),
+  ('Buncrana', 'buncrana'),
+  ('Carlow (Talbot Hotel)', 'carlow-talbot-hotel'),
+  ('Carrick-on-Shannon', 'carrick-on-shannon'),
+  ('Castlebar', 'castlebar'),
+  ('Cavan', 'cavan'),
+  ('Charlestown (Dublin)', 'charlestown-dublin'),
+  ('Clifden', 'clifden'),
+  ('Clonmel', 'clonmel'),
+  ('Cork (Ballincollig)', 'cork-ballincollig'),
+  ('Cork (St. Finbarr''s GAA Club, Togher)', 'cork-st-finbarrs-gaa-club-togher'),
+  ('Cork (Wilton)', 'cork-wilton'),
+  ('Donegal', 'donegal'),
+  ('Drogheda', 'drogheda'),
+  ('Dundalk', 'dundalk'),
+  ('Dungarvan', 'dungarvan'),
+  ('Dún Laoghaire / Deansgrange', 'dun-laoghaire-deansgrange'),
+  ('Ennis', 'ennis'),
+  ('Finglas', 'finglas'),
+  ('Galway (Carnmore)', 'galway-carnmore'),
+  ('Galway (Westside)', 'galway-westside'),
+  ('Gorey', 'gorey'),
+  ('Killarney', 'killarney'),
+  ('Kilkenny (Government Buildings)', 'kilkenny-government-buildings'),
+  ('Kilkenny (O''Loughlin Gaels)', 'kilkenny-oloughlin-gaels'),
+  ('Killester', 'killester'),
+  ('Kilrush', 'kilrush'),
+  ('Letterkenny', 'letterkenny'),
+  ('Limerick (Castlemungret)', 'limerick-castlemungret'),
+  ('Limerick (Woodview)', 'limerick-woodview'),
+  ('Longford', 'longford'),
+  ('Loughrea', 'loughrea'),
+  ('Loughrea (Lough Rea Hotel & Spa)', 'loughrea-lough-rea-hotel-spa'),
+  ('Mallow (Cork Racecourse, Mallow)', 'mallow-cork-racecourse-mallow'),
+  ('Monaghan', 'monaghan'),
+  ('Mulhuddart', 'mulhuddart'),
+  ('Mulhuddart (Carlton Hotel)', 'mulhuddart-carlton-hotel'),
+  ('Mullingar', 'mullingar'),
+  ('Naas', 'naas'),
+  ('Navan', 'navan'),
+  ('Nenagh', 'nenagh'),
+  ('Newcastle West', 'newcastle-west'),
+  ('Newcastle West (Longcourt House Hotel)', 'newcastle-west-longcourt-house-hotel'),
+  ('Portlaoise', 'portlaoise'),
+  ('Raheny', 'raheny'),
+  ('Roscommon', 'roscommon'),
+  ('Shannon', 'shannon'),
+  ('Skibbereen', 'skibbereen'),
+  ('Sligo', 'sligo'),
+  ('Tallaght', 'tallaght'),
+  ('Thurles', 'thurles'),
+  ('Tipperary', 'tipperary'),
+  ('Tralee', 'tralee'),
+  ('Tuam', 'tuam'),
+  ('Tullamore', 'tullamore'),
+  ('Waterford', 'waterford'),
+  ('Wexford', 'wexford'),
+  ('Wicklow', 'wicklow')
+ON CONFLICT (name) DO NOTHING;
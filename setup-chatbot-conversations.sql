@@ -0,0 +1,24 @@
+-- Store chatbot conversations on the server so history can't be forged and chats continue across devices
+-- Run this in your Railway/Supabase SQL Editor (after setup-chatbot-usage.sql)
+
+CREATE TABLE IF NOT EXISTS chatbot_conversations (
+  id SERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  title VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_chatbot_conversations_user ON chatbot_conversations(user_id, updated_at DESC);
+
+-- Only user questions and assistant answers are stored; the system prompt is always added by the server
+CREATE TABLE IF NOT EXISTS chatbot_messages (
+  id SERIAL PRIMARY KEY,
+  conversation_id INTEGER NOT NULL REFERENCES chatbot_conversations(id) ON DELETE CASCADE,
+  role VARCHAR(20) NOT NULL CHECK (role IN ('user', 'assistant')),
+  content TEXT NOT NULL,
+  model VARCHAR(100),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_chatbot_messages_conversation ON chatbot_messages(conversation_id, id);
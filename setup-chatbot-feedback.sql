@@ -0,0 +1,19 @@
+-- Create chatbot_feedback for thumbs-up/down ratings of chatbot answers
+-- Run this in your Railway/Supabase SQL Editor (after setup-chatbot-conversations.sql)
+
+-- One rating per user and answer (rating again replaces it). The question and answer are copied,
+-- so feedback can still be reviewed after the user deletes the conversation.
+CREATE TABLE IF NOT EXISTS chatbot_feedback (
+  id SERIAL PRIMARY KEY,
+  message_id INTEGER REFERENCES chatbot_messages(id) ON DELETE SET NULL,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  rating VARCHAR(10) NOT NULL CHECK (rating IN ('up', 'down')),
+  reason TEXT,
+  question TEXT,
+  answer TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (message_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_chatbot_feedback_rating ON chatbot_feedback(rating, created_at DESC);
@@ -0,0 +1,38 @@
+-- Create the outbox that all outgoing email goes through
+-- Run this in your Railway/Supabase SQL Editor
+
+-- Emails are rendered and saved here, then sent by the worker in lib/mailOutbox.js. Failed sends are
+-- retried with backoff (next_attempt_at) until max_attempts, then marked 'failed'. A row stuck in
+-- 'sending' (the server stopped mid-send) is picked up again once locked_at is old enough.
+CREATE TABLE IF NOT EXISTS email_outbox (
+  id BIGSERIAL PRIMARY KEY,
+  template VARCHAR(50) NOT NULL,
+  to_address VARCHAR(255) NOT NULL,
+  reply_to VARCHAR(255),
+  subject TEXT NOT NULL,
+  text_body TEXT NOT NULL,
+  html_body TEXT NOT NULL,
+  -- [{ filename, contentType, content, encoding: 'base64' }]
+  attachments JSONB NOT NULL DEFAULT '[]',
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 8,
+  next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  locked_at TIMESTAMP,
+  last_error TEXT,
+  sent_at TIMESTAMP,
+  -- Not sent after this (verification and reset emails expire with their links)
+  expires_at TIMESTAMP,
+  -- When text_body, html_body and attachments were cleared (see purgeOutboxBodies)
+  purged_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_email_outbox_created ON email_outbox(created_at DESC);
+
+-- Expiry and body clearing. Safe to re-run on an existing email_outbox table.
+ALTER TABLE email_outbox ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP;
+ALTER TABLE email_outbox ADD COLUMN IF NOT EXISTS purged_at TIMESTAMP;
+CREATE INDEX IF NOT EXISTS idx_email_outbox_unpurged ON email_outbox(status, updated_at) WHERE purged_at IS NULL;
@@ -0,0 +1,40 @@
+-- Create gift vouchers (route access bought for someone else)
+-- Run this in your Railway/Supabase SQL Editor (after setup-license-products.sql, setup-stripe-webhooks.sql
+-- and setup-receipts.sql)
+
+-- One voucher per gift payment. Redeeming it creates a route_licenses row for the redeeming user.
+-- void_reason is set when the payment is refunded or disputed before the voucher is redeemed.
+CREATE TABLE IF NOT EXISTS gift_vouchers (
+  id SERIAL PRIMARY KEY,
+  code VARCHAR(50) UNIQUE NOT NULL,
+  product_id VARCHAR(50) NOT NULL REFERENCES license_products(id),
+  centre_id INTEGER REFERENCES centres(id) ON DELETE SET NULL,
+  purchaser_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  recipient_email VARCHAR(255) NOT NULL,
+  recipient_name VARCHAR(100),
+  message TEXT,
+  stripe_payment_intent_id VARCHAR(255) UNIQUE NOT NULL,
+  amount_cents INTEGER,
+  currency VARCHAR(3) DEFAULT 'eur',
+  expires_at TIMESTAMP NOT NULL,
+  emailed_at TIMESTAMP,
+  void_reason VARCHAR(50),
+  redeemed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  redeemed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_gift_vouchers_purchaser ON gift_vouchers(purchaser_user_id);
+
+-- Licenses created by redeeming a voucher
+ALTER TABLE route_licenses ADD COLUMN IF NOT EXISTS gift_voucher_id INTEGER UNIQUE REFERENCES gift_vouchers(id) ON DELETE SET NULL;
+
+-- The purchaser's receipt for the voucher, numbered in the same sequence as license receipts.
+-- Safe to re-run on an existing gift_vouchers table.
+ALTER TABLE gift_vouchers ADD COLUMN IF NOT EXISTS receipt_number INTEGER UNIQUE DEFAULT nextval('route_license_receipt_seq');
+ALTER TABLE gift_vouchers ADD COLUMN IF NOT EXISTS receipt_sent_at TIMESTAMP;
+
+-- All-centres gifts cover every centre, whatever centre was chosen at checkout
+UPDATE gift_vouchers v SET centre_id = NULL
+FROM license_products p
+WHERE p.id = v.product_id AND p.scope = 'all' AND v.centre_id IS NOT NULL;
@@ -0,0 +1,31 @@
+-- Create the chatbot knowledge base (Rules of the Road, RSA test-day guidance, DriveFlow FAQ)
+-- Run this in your Railway/Supabase SQL Editor (after setup-chatbot-conversations.sql)
+-- The knowledge/*.md files are imported into these tables on server start.
+
+CREATE TABLE IF NOT EXISTS knowledge_documents (
+  id SERIAL PRIMARY KEY,
+  slug VARCHAR(100) UNIQUE NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  source_url TEXT,
+  checksum VARCHAR(64) NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- One passage per section of a document, searched with Postgres full-text search
+CREATE TABLE IF NOT EXISTS knowledge_chunks (
+  id SERIAL PRIMARY KEY,
+  document_id INTEGER NOT NULL REFERENCES knowledge_documents(id) ON DELETE CASCADE,
+  chunk_index INTEGER NOT NULL,
+  heading VARCHAR(255),
+  content TEXT NOT NULL,
+  search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', COALESCE(heading, '')), 'A') || setweight(to_tsvector('english', content), 'B')
+  ) STORED,
+  UNIQUE (document_id, chunk_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_knowledge_chunks_search ON knowledge_chunks USING GIN (search_vector);
+
+-- Passages each answer was grounded on, so they can be shown with the answer
+ALTER TABLE chatbot_messages ADD COLUMN IF NOT EXISTS citations JSONB;
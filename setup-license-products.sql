@@ -0,0 +1,37 @@
+-- Create license products and record what each license covers
+-- Run this in your Railway/Supabase SQL Editor (after setup-routes-licenses.sql and setup-centres-routes.sql)
+
+-- Products that can be bought. scope 'centre' covers the one centre chosen at checkout,
+-- 'all' covers every centre. Extensions add duration_months to a license the user already has.
+CREATE TABLE IF NOT EXISTS license_products (
+  id VARCHAR(50) PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  price_cents INTEGER NOT NULL CHECK (price_cents >= 50),
+  currency VARCHAR(3) NOT NULL DEFAULT 'eur',
+  duration_months INTEGER NOT NULL CHECK (duration_months > 0),
+  scope VARCHAR(10) NOT NULL CHECK (scope IN ('centre', 'all')),
+  is_extension BOOLEAN NOT NULL DEFAULT false,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- What each license covers. centre_id NULL means all centres; licenses bought before products
+-- existed have no product_id and are treated as the 3-month all-centres pass.
+ALTER TABLE route_licenses ADD COLUMN IF NOT EXISTS product_id VARCHAR(50) REFERENCES license_products(id);
+ALTER TABLE route_licenses ADD COLUMN IF NOT EXISTS centre_id INTEGER REFERENCES centres(id) ON DELETE SET NULL;
+ALTER TABLE route_licenses ADD COLUMN IF NOT EXISTS extends_license_id UUID REFERENCES route_licenses(id) ON DELETE SET NULL;
+ALTER TABLE route_licenses ADD COLUMN IF NOT EXISTS amount_cents INTEGER;
+ALTER TABLE route_licenses ADD COLUMN IF NOT EXISTS currency VARCHAR(3) DEFAULT 'eur';
+
+CREATE INDEX IF NOT EXISTS idx_route_licenses_centre_id ON route_licenses(centre_id);
+
+-- Default products (prices in cents; adjust here rather than in code). ROUTES_LICENSE_PRICE, which set the
+-- price before products existed, still works: if it's set, the server applies it to all-centres-3m at startup.
+INSERT INTO license_products (id, name, description, price_cents, duration_months, scope, is_extension, sort_order) VALUES
+  ('all-centres-3m', '3-Month Route Access License', 'All test centres for 3 months', 1399, 3, 'all', false, 1),
+  ('all-centres-1m', '1-Month Route Access License', 'All test centres for 1 month', 799, 1, 'all', false, 2),
+  ('centre-3m', '3-Month Single-Centre Pass', 'One test centre for 3 months', 899, 3, 'centre', false, 3),
+  ('extension-1m', '1-Month Extension', 'Adds 1 month to your current license', 499, 1, 'all', true, 4)
+ON CONFLICT (id) DO NOTHING;
@@ -0,0 +1,17 @@
+-- Create mock_test_answers table for per-question answer tracking
+-- Run this in your Railway PostgreSQL database (after setup-question-bank.sql)
+
+CREATE TABLE IF NOT EXISTS mock_test_answers (
+  id SERIAL PRIMARY KEY,
+  attempt_id UUID NOT NULL REFERENCES mock_test_attempts(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  question_id INTEGER NOT NULL REFERENCES theory_questions(id) ON DELETE CASCADE,
+  selected_option INTEGER,             -- NULL when the question was left unanswered
+  is_correct BOOLEAN NOT NULL,
+  answered_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(attempt_id, question_id)
+);
+
+-- Create indexes for analytics queries
+CREATE INDEX IF NOT EXISTS idx_mock_test_answers_user_id ON mock_test_answers(user_id, answered_at DESC);
+CREATE INDEX IF NOT EXISTS idx_mock_test_answers_question_id ON mock_test_answers(question_id);
@@ -0,0 +1,59 @@
+-- Create organizations (driving schools / instructors) with bulk seats and student invites
+-- Run this in your Railway/Supabase SQL Editor (after setup-user-roles.sql and setup-license-products.sql)
+
+-- An organization is owned by an instructor. seats is how many student licenses have been paid for;
+-- each accepted invite uses one.
+CREATE TABLE IF NOT EXISTS organizations (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  owner_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  seats INTEGER NOT NULL DEFAULT 0 CHECK (seats >= 0),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_organizations_owner ON organizations(owner_user_id);
+
+-- Seat purchases, one per Stripe payment (so confirm and the webhook only add seats once)
+CREATE TABLE IF NOT EXISTS organization_seat_purchases (
+  id SERIAL PRIMARY KEY,
+  organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  purchased_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  seats INTEGER NOT NULL CHECK (seats > 0),
+  stripe_payment_intent_id VARCHAR(255) UNIQUE NOT NULL,
+  amount_cents INTEGER,
+  currency VARCHAR(3) DEFAULT 'eur',
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Students of an organization. Removing a student (removed_at) ends the access their seat gave them.
+CREATE TABLE IF NOT EXISTS organization_members (
+  id SERIAL PRIMARY KEY,
+  organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  joined_at TIMESTAMP DEFAULT NOW(),
+  removed_at TIMESTAMP,
+  UNIQUE (organization_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_organization_members_user_id ON organization_members(user_id);
+
+-- Email invites. Only the SHA-256 hash of the token is stored, as with auth_tokens.
+CREATE TABLE IF NOT EXISTS organization_invites (
+  id SERIAL PRIMARY KEY,
+  organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  email VARCHAR(255) NOT NULL,
+  token_hash VARCHAR(64) UNIQUE NOT NULL,
+  invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP NOT NULL,
+  accepted_at TIMESTAMP,
+  accepted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_organization_invites_org ON organization_invites(organization_id);
+
+-- Licenses granted through an organization seat
+ALTER TABLE route_licenses ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_route_licenses_organization_id ON route_licenses(organization_id);
@@ -0,0 +1,20 @@
+-- Create question_reviews table for spaced-repetition practice (SM-2 schedule per user and question)
+-- Run this in your Railway PostgreSQL database (after setup-question-bank.sql)
+
+CREATE TABLE IF NOT EXISTS question_reviews (
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  question_id INTEGER NOT NULL REFERENCES theory_questions(id) ON DELETE CASCADE,
+  ease_factor NUMERIC(4, 2) NOT NULL DEFAULT 2.5,
+  interval_days INTEGER NOT NULL DEFAULT 0,
+  repetitions INTEGER NOT NULL DEFAULT 0,
+  review_count INTEGER NOT NULL DEFAULT 0,
+  lapse_count INTEGER NOT NULL DEFAULT 0,
+  last_quality INTEGER,
+  due_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  last_reviewed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  PRIMARY KEY (user_id, question_id)
+);
+
+-- Create index for the "what's due" lookup
+CREATE INDEX IF NOT EXISTS idx_question_reviews_user_due ON question_reviews(user_id, due_at);
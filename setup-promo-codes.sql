@@ -0,0 +1,36 @@
+-- Create tables for promo/discount codes and their redemptions
+-- Run this in your Railway/Supabase SQL Editor (after setup-centres-routes.sql and setup-routes-licenses.sql)
+
+-- Codes are stored upper-case. email/centre_id restrict who can use a code and for which centre;
+-- waitlist codes are single-use (max_redemptions = 1) and tied to the signup's email.
+CREATE TABLE IF NOT EXISTS promo_codes (
+  id SERIAL PRIMARY KEY,
+  code VARCHAR(50) UNIQUE NOT NULL,
+  description VARCHAR(255),
+  discount_type VARCHAR(10) NOT NULL CHECK (discount_type IN ('percent', 'fixed')),
+  discount_value INTEGER NOT NULL CHECK (discount_value > 0), -- percent (1-100) or cents
+  expires_at TIMESTAMP,
+  max_redemptions INTEGER,
+  redemption_count INTEGER NOT NULL DEFAULT 0,
+  email VARCHAR(255),
+  centre_id INTEGER REFERENCES centres(id) ON DELETE CASCADE,
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT NOW(),
+  CONSTRAINT valid_percent CHECK (discount_type <> 'percent' OR discount_value <= 100)
+);
+
+-- One row per payment that used a code
+CREATE TABLE IF NOT EXISTS promo_redemptions (
+  id SERIAL PRIMARY KEY,
+  promo_code_id INTEGER NOT NULL REFERENCES promo_codes(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  license_id UUID REFERENCES route_licenses(id) ON DELETE SET NULL,
+  stripe_payment_intent_id VARCHAR(255) UNIQUE NOT NULL,
+  amount_discounted INTEGER NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_promo_codes_email ON promo_codes(LOWER(email));
+CREATE INDEX IF NOT EXISTS idx_promo_redemptions_promo_code_id ON promo_redemptions(promo_code_id);
+CREATE INDEX IF NOT EXISTS idx_promo_redemptions_user_id ON promo_redemptions(user_id);
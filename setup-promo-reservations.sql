@@ -0,0 +1,12 @@
+-- Reserve promo code uses when a checkout starts, so concurrent checkouts can't go over max_redemptions
+-- Run this in your Railway/Supabase SQL Editor (after setup-promo-codes.sql)
+
+-- A redemption row is now created as 'reserved' with the PaymentIntent, becomes 'redeemed' when the payment
+-- succeeds, and 'released' if the payment is cancelled, fails or is abandoned. promo_codes.redemption_count
+-- counts reserved and redeemed uses. Existing rows are completed payments.
+ALTER TABLE promo_redemptions ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'redeemed'
+  CHECK (status IN ('reserved', 'redeemed', 'released'));
+ALTER TABLE promo_redemptions ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS idx_promo_redemptions_reserved ON promo_redemptions(promo_code_id, created_at)
+  WHERE status = 'reserved';
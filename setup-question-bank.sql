@@ -0,0 +1,44 @@
+-- Create tables for the theory test question bank and server-scored mock test attempts
+-- Run this in your Railway PostgreSQL database (after setup-mock-tests.sql)
+
+-- Table for theory test questions
+CREATE TABLE IF NOT EXISTS theory_questions (
+  id SERIAL PRIMARY KEY,
+  category VARCHAR(100) NOT NULL,
+  question TEXT NOT NULL,
+  options JSONB NOT NULL,              -- array of answer strings, e.g. ["A", "B", "C", "D"]
+  correct_option INTEGER NOT NULL,     -- zero-based index into options
+  explanation TEXT,
+  image_url TEXT,
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  CONSTRAINT valid_options CHECK (jsonb_typeof(options) = 'array' AND jsonb_array_length(options) BETWEEN 2 AND 6),
+  CONSTRAINT valid_correct_option CHECK (correct_option >= 0 AND correct_option < jsonb_array_length(options))
+);
+
+-- Table for mock test attempts (the paper drawn for the user and its time limit)
+CREATE TABLE IF NOT EXISTS mock_test_attempts (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  question_ids INTEGER[] NOT NULL,
+  started_at TIMESTAMP DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL,
+  submitted_at TIMESTAMP,
+  result_id UUID REFERENCES mock_test_results(id) ON DELETE SET NULL
+);
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_theory_questions_category ON theory_questions(category);
+CREATE INDEX IF NOT EXISTS idx_theory_questions_active ON theory_questions(is_active);
+CREATE INDEX IF NOT EXISTS idx_mock_test_attempts_user_id ON mock_test_attempts(user_id);
+
+-- Example question:
+-- INSERT INTO theory_questions (category, question, options, correct_option, explanation)
+-- VALUES (
+--   'Speed Limits',
+--   'What is the default speed limit on a national road?',
+--   '["50 km/h", "80 km/h", "100 km/h", "120 km/h"]',
+--   2,
+--   'The default speed limit on national roads is 100 km/h unless signs show otherwise.'
+-- );
@@ -0,0 +1,10 @@
+-- Add receipt numbers and receipt email tracking to route licenses
+-- Run this in your Railway/Supabase SQL Editor (after setup-license-products.sql)
+
+-- Receipts need sequential numbers. Existing licenses are numbered when the column is added.
+CREATE SEQUENCE IF NOT EXISTS route_license_receipt_seq START 1001;
+
+ALTER TABLE route_licenses ADD COLUMN IF NOT EXISTS receipt_number INTEGER UNIQUE DEFAULT nextval('route_license_receipt_seq');
+ALTER TABLE route_licenses ADD COLUMN IF NOT EXISTS receipt_sent_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_route_licenses_user_id_purchased_at ON route_licenses(user_id, purchased_at DESC);
@@ -0,0 +1,30 @@
+-- Create tables for processed Stripe webhook events and the license audit trail
+-- Run this in your Railway/Supabase SQL Editor (after setup-routes-licenses.sql)
+
+-- One row per Stripe event id, so redelivered events are only processed once.
+-- A 'failed' event (or one stuck in 'processing') is retried when Stripe redelivers it.
+CREATE TABLE IF NOT EXISTS stripe_webhook_events (
+  id VARCHAR(255) PRIMARY KEY, -- Stripe event id (evt_...)
+  type VARCHAR(100) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'processed', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 1,
+  error TEXT,
+  received_at TIMESTAMP DEFAULT NOW(),
+  last_attempt_at TIMESTAMP DEFAULT NOW(),
+  processed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_stripe_webhook_events_status ON stripe_webhook_events(status);
+
+-- Every time a license is deactivated or restored (refunds, disputes, failed payments)
+CREATE TABLE IF NOT EXISTS route_license_events (
+  id SERIAL PRIMARY KEY,
+  license_id UUID NOT NULL REFERENCES route_licenses(id) ON DELETE CASCADE,
+  action VARCHAR(20) NOT NULL CHECK (action IN ('deactivated', 'reactivated', 'noted')),
+  reason VARCHAR(50) NOT NULL, -- refunded, partially_refunded, disputed, dispute_won, dispute_lost, payment_failed
+  stripe_event_id VARCHAR(255),
+  details JSONB,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_route_license_events_license_id ON route_license_events(license_id);
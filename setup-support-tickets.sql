@@ -0,0 +1,35 @@
+-- Create support tickets for contact form messages and their replies
+-- Run this in your Railway/Supabase SQL Editor
+
+-- A ticket per contact form message. user_id is set when the sender was logged in; anonymous
+-- senders can leave an email address for the reply.
+CREATE TABLE IF NOT EXISTS support_tickets (
+  id SERIAL PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  email VARCHAR(255),
+  name VARCHAR(100),
+  category VARCHAR(30) NOT NULL DEFAULT 'general',
+  subject VARCHAR(255) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'answered', 'closed')),
+  staff_notified_at TIMESTAMP,
+  closed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_support_tickets_user ON support_tickets(user_id, updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_support_tickets_status ON support_tickets(status, updated_at DESC);
+
+-- The thread: the original message, staff replies and the user's follow-ups.
+-- emailed_at is set once a staff reply has been queued to be emailed to the user.
+CREATE TABLE IF NOT EXISTS support_ticket_messages (
+  id SERIAL PRIMARY KEY,
+  ticket_id INTEGER NOT NULL REFERENCES support_tickets(id) ON DELETE CASCADE,
+  author_type VARCHAR(10) NOT NULL CHECK (author_type IN ('user', 'staff')),
+  author_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  body TEXT NOT NULL,
+  emailed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_support_ticket_messages_ticket ON support_ticket_messages(ticket_id, id);
@@ -0,0 +1,29 @@
+-- Add roles to users (learner, instructor, admin), replacing the ADMIN_USER_IDS env var
+-- Run this in your Supabase SQL Editor
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'learner';
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'users_role_check') THEN
+    ALTER TABLE users ADD CONSTRAINT users_role_check CHECK (role IN ('learner', 'instructor', 'admin'));
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
+
+-- Audit trail for role grants made through the admin API
+CREATE TABLE IF NOT EXISTS user_role_changes (
+  id SERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  old_role VARCHAR(20) NOT NULL,
+  new_role VARCHAR(20) NOT NULL,
+  changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_role_changes_user_id ON user_role_changes(user_id);
+
+-- Bootstrap the first admin (everyone after that can be granted through PUT /admin/users/:id/role).
+-- If you used ADMIN_USER_IDS, run this once for each id in it:
+-- UPDATE users SET role = 'admin' WHERE id = '<user-uuid>';
@@ -0,0 +1,23 @@
+-- Create user_sessions table for refresh tokens and session revocation
+-- Run this in your Supabase SQL Editor
+
+-- Each login creates a session. Its refresh token rotates on every /auth/refresh;
+-- only SHA-256 hashes are stored, and the previous hash is kept to detect token reuse.
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash VARCHAR(64) UNIQUE NOT NULL,
+  previous_token_hash VARCHAR(64),
+  user_agent TEXT,
+  ip_address VARCHAR(64),
+  created_at TIMESTAMP DEFAULT NOW(),
+  last_used_at TIMESTAMP DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP,
+  revoked_reason VARCHAR(64)
+);
+
+-- Create indexes for faster lookups
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_previous_hash ON user_sessions(previous_token_hash);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_expires_at ON user_sessions(expires_at);
@@ -0,0 +1,28 @@
+-- Make waitlist discount codes unique so each one can be redeemed exactly once
+-- Run this in your Supabase SQL Editor (after setup-waitlist.sql and setup-centres-routes.sql)
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_waitlist_discount_code
+  ON route_waitlist(discount_code)
+  WHERE discount_code IS NOT NULL;
+
+-- Link signups to their centre. test_centre is the name as typed (with some characters stripped), so
+-- releases match on centre_id, or on the slug of the typed name for centres that didn't exist yet.
+-- Safe to re-run on an existing route_waitlist table.
+ALTER TABLE route_waitlist ADD COLUMN IF NOT EXISTS centre_id INTEGER REFERENCES centres(id) ON DELETE SET NULL;
+ALTER TABLE route_waitlist ADD COLUMN IF NOT EXISTS centre_slug VARCHAR(255);
+
+-- Existing signups: compare with each centre's name stripped the way POST /routes/waitlist used to
+UPDATE route_waitlist w SET centre_id = c.id
+FROM centres c
+WHERE w.centre_id IS NULL
+  AND (LOWER(w.test_centre) = LOWER(c.name)
+       OR LOWER(w.test_centre) = LOWER(regexp_replace(c.name, '[^A-Za-z0-9\s\-''.,()]', '', 'g')));
+
+UPDATE route_waitlist w SET centre_slug = COALESCE(
+  (SELECT slug FROM centres c WHERE c.id = w.centre_id),
+  trim(both '-' from regexp_replace(replace(LOWER(w.test_centre), '''', ''), '[^a-z0-9]+', '-', 'g'))
+)
+WHERE w.centre_slug IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_waitlist_centre_id ON route_waitlist(centre_id);
+CREATE INDEX IF NOT EXISTS idx_waitlist_centre_slug ON route_waitlist(centre_slug);
@@ -0,0 +1,83 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './helpers/testServer.js';
+
+let server;
+
+before(async () => {
+  server = await startTestServer({
+    CHATBOT_PROVIDER: 'canned',
+    CHATBOT_CANNED_RESPONSE: '',
+    CHATBOT_FREE_QUESTIONS_PER_DAY: '5',
+  });
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('GET /chatbot/test reports the canned provider as configured and reachable', async () => {
+  const user = await server.createUser('provider@example.com');
+
+  const response = await server.request('GET', '/chatbot/test', { token: user.token });
+  assert.equal(response.status, 200);
+
+  const body = await response.json();
+  assert.equal(body.provider, 'canned');
+  assert.equal(body.model, 'canned');
+  assert.equal(body.configured, true);
+  assert.equal(body.reachable, true);
+  assert.equal(body.error, null);
+});
+
+test('POST /chatbot/message answers with the canned text and cites the passage it was given', async () => {
+  const user = await server.createUser('canned@example.com');
+  const question = 'Who has priority at a roundabout?';
+
+  const response = await server.request('POST', '/chatbot/message', { token: user.token, body: { message: question } });
+  assert.equal(response.status, 200);
+
+  const body = await response.json();
+  assert.equal(body.response, `This is a canned answer to: "${question}" [1]`);
+  assert.equal(body.model, 'canned');
+  assert.equal(body.filtered, null);
+  assert.deepEqual(body.usage, { tier: 'free', remaining: 4, total: 5 });
+
+  // Only the cited passage is returned, and it's one about roundabouts
+  assert.equal(body.citations.length, 1);
+  const [citation] = body.citations;
+  assert.equal(citation.number, 1);
+  assert.ok(citation.document);
+  assert.match(`${citation.heading} ${citation.excerpt}`, /roundabout/i);
+
+  // The exchange is stored with its citations
+  const conversation = await server.request('GET', `/chatbot/conversations/${body.conversationId}`, { token: user.token });
+  const { messages } = await conversation.json();
+  assert.deepEqual(messages.map(({ role, content }) => ({ role, content })), [
+    { role: 'user', content: question },
+    { role: 'assistant', content: body.response },
+  ]);
+  assert.deepEqual(messages[1].citations, body.citations);
+});
+
+test('POST /chatbot/message continues a conversation', async () => {
+  const user = await server.createUser('follow-up@example.com');
+
+  const first = await server.request('POST', '/chatbot/message', {
+    token: user.token,
+    body: { message: 'How long is the driving test?' },
+  });
+  const { conversationId } = await first.json();
+
+  // Off-topic on its own, but follow-ups in a conversation are allowed
+  const second = await server.request('POST', '/chatbot/message', {
+    token: user.token,
+    body: { message: 'And why?', conversationId },
+  });
+  assert.equal(second.status, 200);
+
+  const body = await second.json();
+  assert.equal(body.conversationId, conversationId);
+  assert.match(body.response, /^This is a canned answer to: "And why\?"/);
+  assert.deepEqual(body.usage, { tier: 'free', remaining: 3, total: 5 });
+});
@@ -0,0 +1,67 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './helpers/testServer.js';
+
+let server;
+let pool;
+let giftVouchers;
+
+before(async () => {
+  // lib/ logs to stdout, which the test runner also reads its results from
+  mock.method(console, 'log', () => {});
+
+  server = await startTestServer();
+  Object.assign(process.env, server.env);
+  pool = (await import('../db.js')).default;
+  giftVouchers = await import('../lib/giftVouchers.js');
+});
+
+after(async () => {
+  await pool?.end();
+  await server?.stop();
+});
+
+test('an all-centres gift bought with a centre in the request redeems as an all-centres license', async () => {
+  const buyer = await server.createUser('gift-buyer@example.com');
+  const recipient = await server.createUser('gift-recipient@example.com');
+  const naas = (await server.query(`SELECT id FROM centres WHERE slug = 'naas'`)).rows[0].id;
+
+  // A Naas pass the all-centres gift mustn't be added to
+  await server.query(
+    `INSERT INTO route_licenses (user_id, expires_at, product_id, centre_id, stripe_payment_intent_id, amount_cents)
+     VALUES ($1, NOW() + INTERVAL '1 month', 'centre-3m', $2, 'pi_naas_pass', 899)`,
+    [recipient.id, naas]
+  );
+
+  // The metadata create-payment-intent sets when the client sends a centre with an all-centres product
+  const { voucher } = await giftVouchers.createGiftVoucherFromPayment({
+    userId: buyer.id,
+    paymentIntentId: 'pi_all_centres_gift',
+    metadata: {
+      product_id: 'all-centres-3m',
+      centre_id: String(naas),
+      gift: 'true',
+      recipient_email: recipient.email,
+    },
+    amount: 1399,
+  });
+
+  const stored = await server.query('SELECT centre_id FROM gift_vouchers WHERE id = $1', [voucher.id]);
+  assert.equal(stored.rows[0].centre_id, null);
+
+  const response = await server.request('POST', '/routes/redeem', { token: recipient.token, body: { code: voucher.code } });
+  assert.equal(response.status, 200);
+  const body = await response.json();
+  assert.equal(body.productId, 'all-centres-3m');
+  assert.equal(body.extendsLicenseId, null);
+
+  const license = await server.query(
+    'SELECT centre_id, product_id FROM route_licenses WHERE gift_voucher_id = $1',
+    [voucher.id]
+  );
+  assert.deepEqual(license.rows[0], { centre_id: null, product_id: 'all-centres-3m' });
+
+  // It gives access to every centre, not only Naas
+  const status = await server.request('GET', '/routes/license-status?centre=tallaght', { token: recipient.token });
+  assert.equal((await status.json()).hasLicense, true);
+});
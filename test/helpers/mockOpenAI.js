@@ -0,0 +1,72 @@
+import http from 'http';
+
+// A small OpenAI-compatible server for the chatbot tests: answers chat completions (streamed or not)
+// with `answer`, and lists one model. Set `failStreamAfter` to drop the connection after that many
+// streamed chunks. Every request body is kept in `requests`.
+export async function startMockOpenAI({ answer = 'Check your mirrors before you signal.' } = {}) {
+  const mock = {
+    answer,
+    failStreamAfter: null,
+    requests: [],
+    url: null,
+    close: null,
+  };
+
+  const chunk = (content, finishReason = null) => ({
+    id: 'chatcmpl-mock',
+    object: 'chat.completion.chunk',
+    created: Math.floor(Date.now() / 1000),
+    model: 'mock-model',
+    choices: [{ index: 0, delta: content === null ? {} : { content }, finish_reason: finishReason }],
+  });
+
+  const server = http.createServer(async (req, res) => {
+    let body = '';
+    for await (const data of req) body += data;
+
+    if (req.method === 'GET' && req.url.endsWith('/models')) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ object: 'list', data: [{ id: 'mock-model', object: 'model', owned_by: 'test' }] }));
+    }
+
+    if (req.method !== 'POST' || !req.url.endsWith('/chat/completions')) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ error: { message: 'Not found' } }));
+    }
+
+    const request = JSON.parse(body);
+    mock.requests.push(request);
+
+    if (!request.stream) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({
+        id: 'chatcmpl-mock',
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model: 'mock-model',
+        choices: [{ index: 0, message: { role: 'assistant', content: mock.answer }, finish_reason: 'stop' }],
+      }));
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+    const pieces = mock.answer.match(/\S+\s*/g) || [];
+    for (const [index, piece] of pieces.entries()) {
+      if (mock.failStreamAfter !== null && index === mock.failStreamAfter) {
+        // Let the chunks already written reach the client before the connection drops
+        return setTimeout(() => res.destroy(), 50);
+      }
+      res.write(`data: ${JSON.stringify(chunk(piece))}\n\n`);
+    }
+    res.write(`data: ${JSON.stringify(chunk(null, 'stop'))}\n\n`);
+    res.write('data: [DONE]\n\n');
+    res.end();
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  mock.url = `http://127.0.0.1:${server.address().port}/v1`;
+  mock.close = () => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+  return mock;
+}
@@ -0,0 +1,158 @@
+import { spawn } from 'child_process';
+import { readFile, readdir } from 'fs/promises';
+import net from 'net';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { PGlite } from '@electric-sql/pglite';
+import { PGLiteSocketServer } from '@electric-sql/pglite-socket';
+import jwt from 'jsonwebtoken';
+import pg from 'pg';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+const JWT_SECRET = 'driveflow-test-secret';
+const STARTUP_TIMEOUT_MS = 30000;
+
+// The schema the server needs, in the order the setup files say to run them
+const SETUP_FILES = [
+  'setup.sql',
+  'setup-user-roles.sql',
+  'setup-routes-licenses.sql',
+  'setup-centres-routes.sql',
+  'setup-license-products.sql',
+  'setup-waitlist.sql',
+  'setup-waitlist-release.sql',
+  'setup-promo-codes.sql',
+  'setup-promo-reservations.sql',
+  'setup-stripe-webhooks.sql',
+  'setup-receipts.sql',
+  'setup-gift-vouchers.sql',
+  'setup-organizations.sql',
+  'setup-chatbot-usage.sql',
+  'setup-chatbot-conversations.sql',
+  'setup-knowledge-base.sql',
+  'setup-chatbot-feedback.sql',
+  'setup-email-outbox.sql',
+];
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitFor(check, what) {
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  while (!(await check())) {
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${what}`);
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+}
+
+// Run server.js against an in-memory Postgres (PGlite behind the Postgres wire protocol), with env
+// added to its environment. Resolves once it's listening and the knowledge base has been imported.
+export async function startTestServer(env = {}) {
+  const db = new PGlite();
+  for (const file of SETUP_FILES) {
+    await db.exec(await readFile(path.join(ROOT, file), 'utf-8'));
+  }
+
+  const pgServer = new PGLiteSocketServer({ db, port: 0, maxConnections: 20 });
+  await pgServer.start();
+  const databaseUrl = `postgres://postgres@${pgServer.getServerConn()}/postgres?sslmode=disable`;
+  const pool = new pg.Pool({ connectionString: databaseUrl, max: 1 });
+
+  // Also returned, for tests that import lib/ modules directly (set on process.env before importing them)
+  const serverEnv = {
+    DATABASE_URL: databaseUrl,
+    JWT_SECRET,
+    STRIPE_SECRET_KEY: '',
+    SMTP_USER: '',
+    SMTP_PASS: '',
+    ...env,
+  };
+
+  const port = await getFreePort();
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    env: { ...process.env, ...serverEnv, PORT: String(port) },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  // Kept for the error message if the server doesn't start
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+
+  const stop = async () => {
+    if (child.exitCode === null) {
+      child.kill();
+      await new Promise(resolve => child.once('exit', resolve));
+    }
+    await pool.end();
+    // Not followed by db.close(): the socket server finishes detaching its connections after stop()
+    // resolves, and they still use the database. It's freed when the test process exits.
+    await pgServer.stop();
+  };
+
+  try {
+    const knowledgeFiles = (await readdir(path.join(ROOT, 'knowledge'))).filter(file => file.endsWith('.md'));
+    await waitFor(() => {
+      if (child.exitCode !== null) throw new Error(`server.js exited with code ${child.exitCode}:\n${output}`);
+      return output.includes('Server live');
+    }, 'server.js to start');
+    await waitFor(async () => {
+      const result = await pool.query('SELECT COUNT(*)::int AS count FROM knowledge_documents');
+      return result.rows[0].count === knowledgeFiles.length;
+    }, 'the knowledge base import');
+  } catch (err) {
+    await stop();
+    throw err;
+  }
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  return {
+    baseUrl,
+    env: serverEnv,
+    query: (text, params) => pool.query(text, params),
+
+    // A user with an access token for them
+    async createUser(email) {
+      const result = await pool.query(
+        `INSERT INTO users (email, username, password) VALUES ($1, $2, 'not-used') RETURNING id, email, username`,
+        [email, email.split('@')[0]]
+      );
+      const user = result.rows[0];
+      const token = jwt.sign({ user_id: user.id, email: user.email, username: user.username }, JWT_SECRET);
+      return { ...user, token };
+    },
+
+    request(method, urlPath, { token, body } = {}) {
+      return fetch(baseUrl + urlPath, {
+        method,
+        headers: {
+          ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+      });
+    },
+
+    stop,
+  };
+}
+
+// Parse a Server-Sent Events body into [{ event, data }]
+export function parseEvents(text) {
+  return text.split('\n\n').filter(block => block.trim()).map(block => {
+    const lines = block.split('\n');
+    const event = lines.find(line => line.startsWith('event: '))?.slice('event: '.length) || 'message';
+    const data = lines.filter(line => line.startsWith('data: ')).map(line => line.slice('data: '.length)).join('\n');
+    return { event, data: JSON.parse(data) };
+  });
+}
@@ -0,0 +1,84 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './helpers/testServer.js';
+
+let server;
+let pool;
+let licenses;
+let centres;
+
+before(async () => {
+  // lib/ logs to stdout, which the test runner also reads its results from
+  mock.method(console, 'log', () => {});
+
+  server = await startTestServer();
+  Object.assign(process.env, server.env);
+  pool = (await import('../db.js')).default;
+  licenses = await import('../lib/licenses.js');
+
+  const result = await server.query(`SELECT id, slug FROM centres WHERE slug IN ('naas', 'tallaght')`);
+  centres = Object.fromEntries(result.rows.map(row => [row.slug, row.id]));
+});
+
+after(async () => {
+  await pool?.end();
+  await server?.stop();
+});
+
+async function addLicense(userId, centreId, months = 2) {
+  const result = await server.query(
+    `INSERT INTO route_licenses (user_id, expires_at, product_id, centre_id)
+     VALUES ($1, NOW() + make_interval(months => $2), $3, $4)
+     RETURNING id`,
+    [userId, months, centreId ? 'centre-3m' : 'all-centres-3m', centreId]
+  );
+  return result.rows[0].id;
+}
+
+test('findLicenseToExtend only finds the requested centre\'s license or an all-centres one', async () => {
+  const user = await server.createUser('extend-centre@example.com');
+  const naasLicense = await addLicense(user.id, centres.naas);
+
+  assert.equal((await licenses.findLicenseToExtend(user.id, centres.naas)).id, naasLicense);
+  assert.equal(await licenses.findLicenseToExtend(user.id, centres.tallaght), null);
+  assert.equal((await licenses.findLicenseToExtend(user.id)).id, naasLicense);
+
+  // An all-centres license covers every centre, but the centre's own license is still preferred
+  const allCentresLicense = await addLicense(user.id, null, 1);
+  assert.equal((await licenses.findLicenseToExtend(user.id, centres.tallaght)).id, allCentresLicense);
+  assert.equal((await licenses.findLicenseToExtend(user.id, centres.naas)).id, naasLicense);
+});
+
+test('an extension paid for one centre never adds time to another centre\'s license', async () => {
+  const user = await server.createUser('extend-payment@example.com');
+  const naasLicense = await addLicense(user.id, centres.naas);
+
+  const { license } = await licenses.createLicenseFromPayment({
+    userId: user.id,
+    paymentIntentId: 'pi_extension_tallaght',
+    metadata: { product_id: 'extension-1m', centre_id: String(centres.tallaght) },
+    amount: 499,
+  });
+
+  assert.equal(license.centre_id, centres.tallaght);
+  const stored = await server.query('SELECT extends_license_id FROM route_licenses WHERE id = $1', [license.id]);
+  assert.equal(stored.rows[0].extends_license_id, null);
+  assert.notEqual(license.id, naasLicense);
+});
+
+test('ROUTES_LICENSE_PRICE still sets the price of the default product', async () => {
+  try {
+    process.env.ROUTES_LICENSE_PRICE = '1299';
+    assert.equal(await licenses.applyLegacyLicensePrice(), 1299);
+    assert.equal((await licenses.getProduct(licenses.DEFAULT_PRODUCT_ID)).price_cents, 1299);
+    assert.equal((await licenses.getProduct('all-centres-1m')).price_cents, 799);
+
+    // Below Stripe's minimum charge it's ignored
+    process.env.ROUTES_LICENSE_PRICE = '10';
+    assert.equal(await licenses.applyLegacyLicensePrice(), null);
+    assert.equal((await licenses.getProduct(licenses.DEFAULT_PRODUCT_ID)).price_cents, 1299);
+  } finally {
+    delete process.env.ROUTES_LICENSE_PRICE;
+    await server.query('UPDATE license_products SET price_cents = 1399 WHERE id = $1', [licenses.DEFAULT_PRODUCT_ID]);
+  }
+});
@@ -0,0 +1,45 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './helpers/testServer.js';
+
+let server;
+let user;
+
+before(async () => {
+  server = await startTestServer();
+  user = await server.createUser('promo@example.com');
+  await server.query(
+    `INSERT INTO promo_codes (code, discount_type, discount_value, centre_id)
+     VALUES ('NAAS20', 'percent', 20, (SELECT id FROM centres WHERE slug = 'naas'))`
+  );
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+async function validate(body) {
+  const response = await server.request('POST', '/routes/validate-promo', { token: user.token, body: { code: 'naas20', ...body } });
+  assert.equal(response.status, 200);
+  return response.json();
+}
+
+test('a centre\'s promo code discounts a single-centre pass for that centre', async () => {
+  const result = await validate({ productId: 'centre-3m', centre: 'naas' });
+  assert.equal(result.valid, true);
+  assert.equal(result.finalAmount, 719);
+});
+
+test('a centre\'s promo code is rejected for another centre', async () => {
+  const result = await validate({ productId: 'centre-3m', centre: 'tallaght' });
+  assert.equal(result.valid, false);
+  assert.match(result.error, /Naas/);
+});
+
+test('a centre\'s promo code doesn\'t discount an all-centres pass, even with that centre in the request', async () => {
+  for (const productId of ['all-centres-3m', 'extension-1m']) {
+    const result = await validate({ productId, centre: 'naas' });
+    assert.equal(result.valid, false, productId);
+    assert.match(result.error, /single-centre pass/);
+  }
+});
@@ -0,0 +1,71 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './helpers/testServer.js';
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+async function addLicense(userId, columns) {
+  const names = Object.keys(columns);
+  const result = await server.query(
+    `INSERT INTO route_licenses (user_id, expires_at, product_id, currency, ${names.join(', ')})
+     VALUES ($1, NOW() + INTERVAL '3 months', 'all-centres-3m', 'eur', ${names.map((_, i) => `$${i + 2}`).join(', ')})
+     RETURNING id, receipt_number`,
+    [userId, ...Object.values(columns)]
+  );
+  return result.rows[0];
+}
+
+async function purchasesOf(user) {
+  const response = await server.request('GET', '/routes/purchases', { token: user.token });
+  assert.equal(response.status, 200);
+  return (await response.json()).purchases;
+}
+
+test('only paid licenses are listed as purchases and have receipts', async () => {
+  const buyer = await server.createUser('receipt-buyer@example.com');
+  const student = await server.createUser('receipt-student@example.com');
+  const recipient = await server.createUser('receipt-recipient@example.com');
+
+  const paid = await addLicense(student.id, { stripe_payment_intent_id: 'pi_paid', amount_cents: 1399 });
+
+  const organization = await server.query(
+    `INSERT INTO organizations (name, owner_user_id, seats) VALUES ('Driving school', $1, 5) RETURNING id`,
+    [buyer.id]
+  );
+  const seat = await addLicense(student.id, { amount_cents: 0, organization_id: organization.rows[0].id, receipt_number: null });
+
+  const voucher = await server.query(
+    `INSERT INTO gift_vouchers
+     (code, product_id, purchaser_user_id, recipient_email, stripe_payment_intent_id, amount_cents, expires_at, redeemed_by, redeemed_at)
+     VALUES ('GIFT-RECEIPTS', 'all-centres-3m', $1, $2, 'pi_gift', 1399, NOW() + INTERVAL '1 year', $3, NOW())
+     RETURNING id`,
+    [buyer.id, recipient.email, recipient.id]
+  );
+  const redeemed = await addLicense(recipient.id, { amount_cents: 0, gift_voucher_id: voucher.rows[0].id, receipt_number: null });
+
+  const studentPurchases = await purchasesOf(student);
+  assert.deepEqual(studentPurchases.map(purchase => purchase.id), [paid.id]);
+  assert.equal(studentPurchases[0].amount, 1399);
+
+  // The gift is receipted once, to the buyer
+  assert.deepEqual(await purchasesOf(recipient), []);
+  const buyerPurchases = await purchasesOf(buyer);
+  assert.deepEqual(buyerPurchases.map(purchase => [purchase.id, purchase.isGift]), [[`gift-${voucher.rows[0].id}`, true]]);
+
+  const receipt = await server.request('GET', `/routes/purchases/${paid.id}/receipt`, { token: student.token });
+  assert.equal(receipt.status, 200);
+  assert.match(await receipt.text(), new RegExp(`DF-${paid.receipt_number}`));
+
+  for (const [user, license] of [[student, seat], [recipient, redeemed]]) {
+    const response = await server.request('GET', `/routes/purchases/${license.id}/receipt?format=pdf`, { token: user.token });
+    assert.equal(response.status, 404);
+  }
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDirectionsLink } from '../lib/routeGeometry.js';
+
+const WAYPOINTS = '/maps/dir/53.2159,-6.6669/53.2201,-6.6598/';
+
+test('parseDirectionsLink reads the waypoints of a Google Maps directions link', () => {
+  assert.deepEqual(parseDirectionsLink(`https://www.google.com${WAYPOINTS}`), {
+    points: [{ lat: 53.2159, lng: -6.6669 }, { lat: 53.2201, lng: -6.6598 }],
+    skipped: 0,
+  });
+});
+
+test('parseDirectionsLink accepts the Google Maps hosts routes are shared from', () => {
+  for (const host of ['google.com', 'www.google.ie', 'maps.google.co.uk', 'WWW.GOOGLE.COM']) {
+    assert.ok(parseDirectionsLink(`https://${host}${WAYPOINTS}`), host);
+  }
+});
+
+test('parseDirectionsLink rejects hosts that only look like Google', () => {
+  const hosts = [
+    'google.evil.com',
+    'maps.google.attacker.co',
+    'www.google.com.evil.ie',
+    'evilgoogle.com',
+    'google.com.',
+    'mail.google.com',
+    'google.fr',
+  ];
+  for (const host of hosts) {
+    assert.equal(parseDirectionsLink(`https://${host}${WAYPOINTS}`), null, host);
+  }
+});
+
+test('parseDirectionsLink rejects links that aren\'t directions', () => {
+  assert.equal(parseDirectionsLink('https://www.google.com/maps/place/53.2159,-6.6669'), null);
+  assert.equal(parseDirectionsLink('not a link'), null);
+});
@@ -0,0 +1,72 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './helpers/testServer.js';
+
+const ROUTE_LINK = 'https://www.google.com/maps/dir/53.2869,-6.1376/53.2901,-6.1302/';
+
+let server;
+let admin;
+
+before(async () => {
+  server = await startTestServer();
+  admin = await server.createUser('waitlist-admin@example.com');
+  await server.query(`UPDATE users SET role = 'admin' WHERE id = $1`, [admin.id]);
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('the waitlist for a centre with an accented name is released when its routes are published', async () => {
+  // One signup typed the full name, one the slug, one without the accent
+  const signups = [
+    ['dun@example.com', 'Dún Laoghaire / Deansgrange'],
+    ['slug@example.com', 'dun-laoghaire-deansgrange'],
+    ['plain@example.com', 'Dun Laoghaire / Deansgrange'],
+  ];
+  for (const [email, testCentre] of signups) {
+    const response = await server.request('POST', '/routes/waitlist', { body: { email, testCentre } });
+    assert.equal(response.status, 201, testCentre);
+  }
+
+  // The same person signing up again with a differently typed name is already on the list
+  const again = await server.request('POST', '/routes/waitlist', {
+    body: { email: 'dun@example.com', testCentre: 'DÚN LAOGHAIRE / DEANSGRANGE' },
+  });
+  assert.equal((await again.json()).alreadyExists, true);
+
+  const listed = await server.request('GET', '/admin/centres/dun-laoghaire-deansgrange/waitlist', { token: admin.token });
+  assert.equal((await listed.json()).count, 3);
+
+  const published = await server.request('POST', '/admin/centres/dun-laoghaire-deansgrange/routes', {
+    token: admin.token,
+    body: { name: 'Route 1', link: ROUTE_LINK },
+  });
+  assert.equal(published.status, 201);
+  const { waitlist } = await published.json();
+  assert.equal(waitlist.centre, 'Dún Laoghaire / Deansgrange');
+  assert.equal(waitlist.notified, 3);
+
+  const emails = await server.query(
+    `SELECT to_address FROM email_outbox WHERE template = 'waitlist-release' ORDER BY to_address`
+  );
+  assert.deepEqual(emails.rows.map(row => row.to_address), ['dun@example.com', 'plain@example.com', 'slug@example.com']);
+
+  const demand = await server.request('GET', '/admin/waitlist/demand', { token: admin.token });
+  const [centre] = (await demand.json()).demand;
+  assert.equal(centre.slug, 'dun-laoghaire-deansgrange');
+  assert.equal(centre.signups, 3);
+  assert.equal(centre.notified, 3);
+});
+
+test('signups for a centre that isn\'t in the catalogue yet are matched by slug when it is added', async () => {
+  const response = await server.request('POST', '/routes/waitlist', {
+    body: { email: 'new-centre@example.com', testCentre: 'Béal an Átha' },
+  });
+  assert.equal(response.status, 201);
+
+  await server.query(`INSERT INTO centres (name, slug) VALUES ('Béal an Átha', 'beal-an-atha')`);
+  const listed = await server.request('GET', '/admin/centres/beal-an-atha/waitlist', { token: admin.token });
+  const { signups } = await listed.json();
+  assert.deepEqual(signups.map(signup => signup.email), ['new-centre@example.com']);
+});